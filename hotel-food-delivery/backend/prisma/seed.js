@@ -10,10 +10,23 @@ async function main() {
   await prisma.refreshToken.deleteMany();
   await prisma.review.deleteMany();
   await prisma.address.deleteMany();
+  await prisma.webhookEvent.deleteMany();
+  await prisma.paymentTransaction.deleteMany();
+  await prisma.refundItem.deleteMany();
+  await prisma.refund.deleteMany();
+  await prisma.promotionRedemption.deleteMany();
+  await prisma.orderStatusHistory.deleteMany();
+  await prisma.orderItemOption.deleteMany();
   await prisma.orderItem.deleteMany();
   await prisma.order.deleteMany();
+  await prisma.courier.deleteMany();
+  await prisma.promotion.deleteMany();
+  await prisma.deliverySlot.deleteMany();
+  await prisma.menuOption.deleteMany();
+  await prisma.menuOptionGroup.deleteMany();
   await prisma.menuItem.deleteMany();
   await prisma.hotelAdmin.deleteMany();
+  await prisma.hotelClosure.deleteMany();
   await prisma.hotel.deleteMany();
   await prisma.user.deleteMany();
 
@@ -63,17 +76,19 @@ async function main() {
         cuisineType: 'International',
         description: 'Fine dining experience delivered to your office. We specialize in business lunches and corporate catering.',
         deliveryFee: 3.99,
+        taxRate: 0.08875,
         minOrderAmount: 15.00,
         deliveryRadius: 5000,
         isActive: true,
+        timezone: 'America/New_York',
         openingHours: {
-          monday: '11:00 AM - 10:00 PM',
-          tuesday: '11:00 AM - 10:00 PM',
-          wednesday: '11:00 AM - 10:00 PM',
-          thursday: '11:00 AM - 11:00 PM',
-          friday: '11:00 AM - 11:00 PM',
-          saturday: '12:00 PM - 11:00 PM',
-          sunday: '12:00 PM - 9:00 PM',
+          monday: [{ open: '11:00', close: '22:00' }],
+          tuesday: [{ open: '11:00', close: '22:00' }],
+          wednesday: [{ open: '11:00', close: '22:00' }],
+          thursday: [{ open: '11:00', close: '23:00' }],
+          friday: [{ open: '11:00', close: '23:00' }],
+          saturday: [{ open: '12:00', close: '23:00' }],
+          sunday: [{ open: '12:00', close: '21:00' }],
         },
       },
     }),
@@ -92,14 +107,15 @@ async function main() {
         minOrderAmount: 12.00,
         deliveryRadius: 4000,
         isActive: true,
+        timezone: 'America/New_York',
         openingHours: {
-          monday: '12:00 PM - 10:00 PM',
-          tuesday: '12:00 PM - 10:00 PM',
-          wednesday: '12:00 PM - 10:00 PM',
-          thursday: '12:00 PM - 11:00 PM',
-          friday: '12:00 PM - 11:00 PM',
-          saturday: '12:00 PM - 11:00 PM',
-          sunday: '4:00 PM - 10:00 PM',
+          monday: [{ open: '12:00', close: '22:00' }],
+          tuesday: [{ open: '12:00', close: '22:00' }],
+          wednesday: [{ open: '12:00', close: '22:00' }],
+          thursday: [{ open: '12:00', close: '23:00' }],
+          friday: [{ open: '12:00', close: '23:00' }],
+          saturday: [{ open: '12:00', close: '23:00' }],
+          sunday: [{ open: '16:00', close: '22:00' }],
         },
       },
     }),
@@ -118,14 +134,15 @@ async function main() {
         minOrderAmount: 10.00,
         deliveryRadius: 3500,
         isActive: true,
+        timezone: 'America/New_York',
         openingHours: {
-          monday: '10:00 AM - 9:00 PM',
-          tuesday: '10:00 AM - 9:00 PM',
-          wednesday: '10:00 AM - 9:00 PM',
-          thursday: '10:00 AM - 10:00 PM',
-          friday: '10:00 AM - 10:00 PM',
-          saturday: '11:00 AM - 10:00 PM',
-          sunday: 'Closed',
+          monday: [{ open: '10:00', close: '21:00' }],
+          tuesday: [{ open: '10:00', close: '21:00' }],
+          wednesday: [{ open: '10:00', close: '21:00' }],
+          thursday: [{ open: '10:00', close: '22:00' }],
+          friday: [{ open: '10:00', close: '22:00' }],
+          saturday: [{ open: '11:00', close: '22:00' }],
+          sunday: [],
         },
       },
     }),
@@ -198,6 +215,27 @@ async function main() {
   });
   console.log('✅ Created sample addresses');
 
+  // Create sample promotions
+  await prisma.promotion.createMany({
+    data: [
+      {
+        code: 'WELCOME10',
+        description: '10% off your first order',
+        discountType: 'PERCENTAGE',
+        discountValue: 10,
+        maxDiscount: 15,
+        perUserLimit: 1,
+      },
+      {
+        code: 'FREEDELIVERY',
+        description: 'Free delivery on orders over $30',
+        discountType: 'FREE_DELIVERY',
+        minOrderAmount: 30,
+      },
+    ],
+  });
+  console.log('✅ Created sample promotions');
+
   console.log('🎉 Seeding completed successfully!');
   console.log('\n📋 Login Credentials:');
   console.log('Admin: admin@example.com / admin123');
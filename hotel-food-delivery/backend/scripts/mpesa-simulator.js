@@ -0,0 +1,255 @@
+/**
+ * Local M-Pesa Daraja simulator for end-to-end testing without network access
+ *
+ * Usage:
+ *   node scripts/mpesa-simulator.js [--port 4010] [--delay 3000]
+ *
+ * Then run the API with:
+ *   MPESA_BASE_URL=http://localhost:4010
+ *   MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_PASSKEY set to anything
+ *   MPESA_INITIATOR_NAME, MPESA_SECURITY_CREDENTIAL set to anything (for refunds)
+ *   MPESA_CALLBACK_TOKEN may be left unset; callbacks are only taken without it
+ *   while MPESA_BASE_URL points at the simulator
+ *
+ * Implements the OAuth, STK push, STK push query and reversal endpoints.
+ * After a push the simulator "approves" on the customer's behalf and POSTs the
+ * result to the CallBackURL. The last digits of the phone number pick the outcome:
+ *   ...000  insufficient funds (ResultCode 1)
+ *   ...111  cancelled by the customer (ResultCode 1032)
+ *   ...999  no callback at all; the request stays pending until the expiry sweep
+ *   other   success, with a generated receipt number
+ *
+ * A reversal succeeds for a receipt the simulator issued and hasn't reversed
+ * yet, and its result is POSTed to the ResultURL after the same delay.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+
+function getOption(name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : parseInt(args[index + 1]);
+}
+
+const PORT = getOption('--port', 4010);
+const CALLBACK_DELAY_MS = getOption('--delay', 3000);
+
+const OUTCOMES = {
+  '000': { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction.' },
+  '111': { ResultCode: 1032, ResultDesc: 'Request cancelled by user.' },
+};
+
+// CheckoutRequestID -> { request, result }
+const requests = new Map();
+
+// Receipt numbers already reversed
+const reversed = new Set();
+
+function generateReceiptNumber() {
+  return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+function getOutcome(phoneNumber) {
+  const suffix = String(phoneNumber).slice(-3);
+  if (suffix === '999') return null;
+
+  return OUTCOMES[suffix] || { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' };
+}
+
+async function sendCallback(checkoutRequestId) {
+  const entry = requests.get(checkoutRequestId);
+  const { request, result } = entry;
+
+  const stkCallback = {
+    MerchantRequestID: entry.merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: result.ResultCode,
+    ResultDesc: result.ResultDesc,
+  };
+
+  if (result.ResultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: request.Amount },
+        { Name: 'MpesaReceiptNumber', Value: entry.receiptNumber },
+        { Name: 'TransactionDate', Value: parseInt(request.Timestamp) },
+        { Name: 'PhoneNumber', Value: parseInt(request.PhoneNumber) },
+      ],
+    };
+  }
+
+  try {
+    const response = await fetch(request.CallBackURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ Body: { stkCallback } }),
+    });
+    console.log(`📨 Callback for ${checkoutRequestId} → ${response.status}`);
+  } catch (error) {
+    console.error(`❌ Callback for ${checkoutRequestId} failed:`, error.message);
+  }
+}
+
+function getReversalOutcome(transactionId) {
+  const paid = [...requests.values()]
+    .some(entry => entry.receiptNumber === transactionId && entry.result?.ResultCode === 0);
+
+  if (!paid) return { ResultCode: 'R000002', ResultDesc: 'The OriginalTransactionID is invalid.' };
+  if (reversed.has(transactionId)) return { ResultCode: 'R000001', ResultDesc: 'The transaction has already been reversed.' };
+
+  reversed.add(transactionId);
+  return { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' };
+}
+
+async function sendReversalResult(request, conversationId, originatorConversationId) {
+  const result = getReversalOutcome(request.TransactionID);
+
+  try {
+    const response = await fetch(request.ResultURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        Result: {
+          ResultType: 0,
+          ...result,
+          OriginatorConversationID: originatorConversationId,
+          ConversationID: conversationId,
+          TransactionID: generateReceiptNumber(),
+        },
+      }),
+    });
+    console.log(`📨 Reversal result for ${conversationId} → ${response.status}`);
+  } catch (error) {
+    console.error(`❌ Reversal result for ${conversationId} failed:`, error.message);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const handlers = {
+  'GET /oauth/v1/generate': (req, res) => {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return send(res, 400, { errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+
+    send(res, 200, { access_token: crypto.randomBytes(16).toString('hex'), expires_in: '3599' });
+  },
+
+  'POST /mpesa/stkpush/v1/processrequest': async (req, res) => {
+    const request = await readBody(req);
+
+    if (!request.PhoneNumber || !request.Amount || !request.CallBackURL) {
+      return send(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+    }
+
+    const merchantRequestId = `${Date.now()}-${crypto.randomInt(1000, 9999)}`;
+    const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomInt(100, 999)}`;
+    const result = getOutcome(request.PhoneNumber);
+
+    requests.set(checkoutRequestId, {
+      request,
+      result: null,
+      merchantRequestId,
+      receiptNumber: generateReceiptNumber(),
+    });
+
+    console.log(`📱 STK push ${checkoutRequestId}: ${request.Amount} from ${request.PhoneNumber}`);
+
+    if (result) {
+      setTimeout(() => {
+        requests.get(checkoutRequestId).result = result;
+        sendCallback(checkoutRequestId);
+      }, CALLBACK_DELAY_MS);
+    }
+
+    send(res, 200, {
+      MerchantRequestID: merchantRequestId,
+      CheckoutRequestID: checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+  },
+
+  'POST /mpesa/stkpushquery/v1/query': async (req, res) => {
+    const { CheckoutRequestID } = await readBody(req);
+    const entry = requests.get(CheckoutRequestID);
+
+    if (!entry) {
+      return send(res, 404, { errorCode: '404.001.04', errorMessage: 'Invalid CheckoutRequestID' });
+    }
+
+    if (!entry.result) {
+      return send(res, 500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    }
+
+    send(res, 200, {
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: entry.merchantRequestId,
+      CheckoutRequestID,
+      ResultCode: String(entry.result.ResultCode),
+      ResultDesc: entry.result.ResultDesc,
+    });
+  },
+
+  'POST /mpesa/reversal/v1/request': async (req, res) => {
+    const request = await readBody(req);
+
+    if (!request.TransactionID || !request.Amount || !request.ResultURL) {
+      return send(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+    }
+
+    const conversationId = `AG_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    const originatorConversationId = `${crypto.randomInt(10000, 99999)}-${Date.now()}-1`;
+
+    console.log(`↩️  Reversal ${conversationId}: ${request.Amount} of ${request.TransactionID}`);
+
+    setTimeout(() => sendReversalResult(request, conversationId, originatorConversationId), CALLBACK_DELAY_MS);
+
+    send(res, 200, {
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const route = `${req.method} ${req.url.split('?')[0]}`;
+  const handler = handlers[route];
+
+  if (!handler) {
+    return send(res, 404, { errorMessage: `No simulator route for ${route}` });
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    send(res, 400, { errorMessage: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 M-Pesa simulator listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,89 @@
+/**
+ * Replay a Stripe fixture event against a locally running server
+ *
+ * Usage:
+ *   node scripts/replay-stripe-event.js <fixture> [--order <id>] [--intent <pi_id>] [--fresh]
+ *
+ *   fixture   name in scripts/fixtures/stripe (e.g. payment_intent.succeeded) or a path
+ *   --order   order id to put in the event metadata
+ *   --intent  PaymentIntent id to use (matches Order.paymentIntentId)
+ *   --fresh   give the event a new id; without it, replaying twice checks idempotency
+ *
+ * Signs the payload with STRIPE_WEBHOOK_SECRET, like the Stripe CLI does.
+ */
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+const env = require('../src/config/env');
+
+const args = process.argv.slice(2);
+const fixtureArg = args.find(arg => !arg.startsWith('--') && !isOptionValue(arg));
+
+function isOptionValue(arg) {
+  const index = args.indexOf(arg);
+  return index > 0 && ['--order', '--intent'].includes(args[index - 1]);
+}
+
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main() {
+  if (!fixtureArg) {
+    console.error('❌ Usage: node scripts/replay-stripe-event.js <fixture> [--order <id>] [--intent <pi_id>] [--fresh]');
+    process.exit(1);
+  }
+
+  if (!env.STRIPE_WEBHOOK_SECRET) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET must be set to sign the event');
+    process.exit(1);
+  }
+
+  const fixturePath = fs.existsSync(fixtureArg)
+    ? fixtureArg
+    : path.join(__dirname, 'fixtures', 'stripe', `${fixtureArg.replace(/\.json$/, '')}.json`);
+
+  const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const object = event.data.object;
+
+  const orderId = getOption('--order');
+  if (orderId) {
+    object.metadata = { ...object.metadata, orderId };
+  }
+
+  const paymentIntentId = getOption('--intent');
+  if (paymentIntentId) {
+    if (object.object === 'payment_intent') object.id = paymentIntentId;
+    else object.payment_intent = paymentIntentId;
+  }
+
+  if (args.includes('--fresh')) {
+    event.id = `evt_replay_${Date.now()}`;
+    event.created = Math.floor(Date.now() / 1000);
+  }
+
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  const url = `http://localhost:${env.PORT}/api/webhooks/stripe`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature,
+    },
+    body: payload,
+  });
+
+  console.log(`📨 ${event.type} (${event.id}) → ${response.status}`);
+  console.log(await response.text());
+}
+
+main().catch((error) => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
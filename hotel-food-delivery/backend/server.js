@@ -1,67 +1,75 @@
-const express = require('express');
-const cors = require('cors');
-require('dotenv').config();
+const createApp = require('./src/app');
+const env = require('./src/config/env');
+const { prisma } = require('./src/config/database');
+const { expirePendingPayments } = require('./src/utils/mobileMoney/settlement');
+const { purgeExpiredIdempotencyKeys } = require('./src/middleware/idempotency');
+const { resetDailyStock } = require('./src/utils/menuStock');
+const { closeEventBus } = require('./src/utils/eventBus');
 
-const app = express();
+// Live order streams stay open until the client leaves, so shutdown cuts them after this
+const SHUTDOWN_GRACE_MS = 10 * 1000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+const app = createApp();
 
-// Basic routes
-app.get('/', (req, res) => {
-  res.json({
-      message: '🚀 Hotel Food Delivery API is running!',
-          version: '1.0.0',
-              endpoints: {
-                    auth: '/api/auth',
-                          hotels: '/api/hotels',
-                                health: '/api/health'
-                                    }
-                                      });
-                                      });
+// Fail mobile money prompts the customer never answered
+const paymentSweep = setInterval(() => {
+  expirePendingPayments(prisma)
+    .then(count => count > 0 && console.log(`⌛ Settled ${count} expired mobile money payment(s)`))
+    .catch(err => console.error('Payment sweep error:', err));
+}, env.PAYMENT_SWEEP_INTERVAL_MS).unref();
 
-                                      app.get('/api/health', (req, res) => {
-                                        res.json({
-                                            status: '✅ OK',
-                                                timestamp: new Date().toISOString(),
-                                                    service: 'Hotel Food Delivery API',
-                                                        database: 'PostgreSQL',
-                                                            uptime: process.uptime()
-                                                              });
-                                                              });
+// Drop Idempotency-Key responses past their TTL
+const idempotencyPurge = setInterval(() => {
+  purgeExpiredIdempotencyKeys()
+    .catch(err => console.error('Idempotency key purge error:', err));
+}, 60 * 60 * 1000).unref();
 
-                                                              // Test database connection
-                                                              app.get('/api/test-db', async (req, res) => {
-                                                                try {
-                                                                    const { PrismaClient } = require('@prisma/client');
-                                                                        const prisma = new PrismaClient();
-                                                                            await prisma.$connect();
-                                                                                await prisma.$disconnect();
-                                                                                    res.json({ success: true, message: 'Database connected successfully!' });
-                                                                                      } catch (error) {
-                                                                                          res.status(500).json({ success: false, error: error.message });
-                                                                                            }
-                                                                                            });
+// Refill daily menu stock once each hotel's morning comes round
+const refillStock = () => {
+  resetDailyStock(prisma)
+    .then(count => count > 0 && console.log(`🍽️  Refilled daily stock for ${count} menu item(s)`))
+    .catch(err => console.error('Stock reset error:', err));
+};
+refillStock();
+const stockRefill = setInterval(refillStock, 15 * 60 * 1000).unref();
 
-                                                                                            // Start server
-                                                                                            const PORT = process.env.PORT || 5000;
-                                                                                            app.listen(PORT, () => {
-                                                                                              console.log(`
-                                                                                              ===========================================
-                                                                                              🚀 HOTEL FOOD DELIVERY SERVER STARTED
-                                                                                              ===========================================
-                                                                                              📡 Port: ${PORT}
-                                                                                              🔗 Local: http://localhost:${PORT}
-                                                                                              🌐 Environment: ${process.env.NODE_ENV}
-                                                                                              ⏰ Time: ${new Date().toLocaleTimeString()}
-                                                                                              ===========================================
-                                                                                                `);
-                                                                                                });
+// Start server
+const PORT = env.PORT;
+const server = app.listen(PORT, () => {
+  console.log(`
+===========================================
+🚀 HOTEL FOOD DELIVERY SERVER STARTED
+===========================================
+📡 Port: ${PORT}
+🔗 Local: http://localhost:${PORT}
+🌐 Environment: ${env.NODE_ENV}
+⏰ Time: ${new Date().toLocaleTimeString()}
+===========================================
+  `);
+});
 
-                                                                                                // Handle graceful shutdown
-                                                                                                process.on('SIGTERM', () => {
-                                                                                                  console.log('SIGTERM received. Closing server gracefully...');
-                                                                                                    process.exit(0);
-                                                                                                    });
\ No newline at end of file
+// Handle graceful shutdown: stop taking requests and background jobs, let
+// in-flight requests finish, then close the event bus and the database
+const shutdown = (signal) => {
+  console.log(`${signal} received. Closing server gracefully...`);
+
+  [paymentSweep, idempotencyPurge, stockRefill].forEach(clearInterval);
+
+  server.close(async () => {
+    try {
+      await closeEventBus();
+      await prisma.$disconnect();
+      console.log('✅ Server closed');
+      process.exit(0);
+    } catch (err) {
+      console.error('Shutdown error:', err);
+      process.exit(1);
+    }
+  });
+
+  setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS).unref();
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
+process.once('SIGUSR2', shutdown); // For nodemon
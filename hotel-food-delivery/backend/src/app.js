@@ -0,0 +1,113 @@
+const express = require('express');
+const path = require('path');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
+const env = require('./config/env');
+const { prisma } = require('./config/database');
+const errorHandler = require('./middleware/errorHandler');
+const notFound = require('./middleware/notFound');
+
+const authRoutes = require('./routes/auth.routes');
+const hotelRoutes = require('./routes/hotel.routes');
+const menuRoutes = require('./routes/menu.routes');
+const orderRoutes = require('./routes/order.routes');
+const cartRoutes = require('./routes/cart.routes');
+const courierRoutes = require('./routes/courier.routes');
+const kitchenRoutes = require('./routes/kitchen.routes');
+const userRoutes = require('./routes/user.routes');
+const adminRoutes = require('./routes/admin.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+
+/**
+ * Build the Express application without binding to a port
+ * @returns {express.Application} Configured app
+ */
+function createApp() {
+  const app = express();
+
+  // Security & logging
+  app.use(helmet({
+    // Allow the frontend (different origin) to load uploaded images
+    crossOriginResourcePolicy: { policy: 'cross-origin' },
+  }));
+  app.use(cors({
+    origin: env.FRONTEND_URL,
+    credentials: true,
+    exposedHeaders: ['Idempotent-Replayed'],
+  }));
+  if (env.NODE_ENV !== 'test') {
+    app.use(morgan(env.NODE_ENV === 'development' ? 'dev' : 'combined'));
+  }
+
+  // Webhooks verify signatures over the raw body, so they go before JSON parsing
+  app.use('/api/webhooks', webhookRoutes);
+
+  // Body & cookie parsing
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cookieParser());
+
+  // Uploaded files (URLs are built as /uploads/<folder>/<filename>)
+  app.use('/uploads', express.static(path.join(__dirname, '..', env.UPLOAD_PATH)));
+
+  // Basic routes
+  app.get('/', (req, res) => {
+    res.json({
+      message: '🚀 Hotel Food Delivery API is running!',
+      version: '1.0.0',
+      endpoints: {
+        auth: '/api/auth',
+        hotels: '/api/hotels',
+        menu: '/api/menu',
+        orders: '/api/orders',
+        cart: '/api/cart',
+        couriers: '/api/couriers',
+        kitchen: '/api/kitchen',
+        users: '/api/users',
+        admin: '/api/admin',
+        health: '/api/health',
+      },
+    });
+  });
+
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: '✅ OK',
+      timestamp: new Date().toISOString(),
+      service: 'Hotel Food Delivery API',
+      database: 'PostgreSQL',
+      uptime: process.uptime(),
+    });
+  });
+
+  // Test database connection
+  app.get('/api/test-db', async (req, res) => {
+    try {
+      await prisma.$queryRaw`SELECT 1`;
+      res.json({ success: true, message: 'Database connected successfully!' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // API routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/hotels', hotelRoutes);
+  app.use('/api/menu', menuRoutes);
+  app.use('/api/orders', orderRoutes);
+  app.use('/api/cart', cartRoutes);
+  app.use('/api/couriers', courierRoutes);
+  app.use('/api/kitchen', kitchenRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/admin', adminRoutes);
+
+  // 404 & error handling (must be last)
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = createApp;
@@ -36,21 +36,7 @@ async function testConnection() {
   }
 }
 
-// Graceful shutdown
-async function gracefulShutdown() {
-  console.log('🔄 Disconnecting from database...');
-  await prisma.$disconnect();
-  console.log('✅ Database disconnected');
-  process.exit(0);
-}
-
-// Handle shutdown signals
-process.on('SIGINT', gracefulShutdown);
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGUSR2', gracefulShutdown); // For nodemon
-
 module.exports = { 
   prisma, 
-  testConnection,
-  gracefulShutdown
+  testConnection
 };
\ No newline at end of file
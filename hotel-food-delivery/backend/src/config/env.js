@@ -10,13 +10,43 @@ const env = {
   
   // JWT
   JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '7d',
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m', // short-lived access token
   JWT_COOKIE_EXPIRE: parseInt(process.env.JWT_COOKIE_EXPIRE) || 7,
+  REFRESH_TOKEN_EXPIRE_DAYS: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
   
   // Stripe Payments
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
   
+  // Mobile Money (M-Pesa Daraja; point MPESA_BASE_URL at scripts/mpesa-simulator.js locally)
+  MOBILE_MONEY_PROVIDER: process.env.MOBILE_MONEY_PROVIDER || 'mpesa',
+  MPESA_BASE_URL: process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke',
+  MPESA_CONSUMER_KEY: process.env.MPESA_CONSUMER_KEY,
+  MPESA_CONSUMER_SECRET: process.env.MPESA_CONSUMER_SECRET,
+  MPESA_SHORTCODE: process.env.MPESA_SHORTCODE || '174379',
+  MPESA_PASSKEY: process.env.MPESA_PASSKEY,
+  MPESA_CALLBACK_URL: process.env.MPESA_CALLBACK_URL,
+  MPESA_CALLBACK_TOKEN: process.env.MPESA_CALLBACK_TOKEN, // shared secret in the callback URL
+  MPESA_INITIATOR_NAME: process.env.MPESA_INITIATOR_NAME, // API operator allowed to reverse payments
+  MPESA_SECURITY_CREDENTIAL: process.env.MPESA_SECURITY_CREDENTIAL, // initiator password, encrypted with Safaricom's certificate
+  MPESA_REVERSAL_RESULT_URL: process.env.MPESA_REVERSAL_RESULT_URL,
+  MPESA_STK_TIMEOUT_SECONDS: parseInt(process.env.MPESA_STK_TIMEOUT_SECONDS) || 120,
+  MPESA_CURRENCY: process.env.MPESA_CURRENCY || 'kes', // what M-Pesa charges in; orders are priced in USD
+  MPESA_EXCHANGE_RATE: parseFloat(process.env.MPESA_EXCHANGE_RATE) || null, // MPESA_CURRENCY per USD; M-Pesa is refused until set
+  PAYMENT_SWEEP_INTERVAL_MS: parseInt(process.env.PAYMENT_SWEEP_INTERVAL_MS) || 60 * 1000,
+  PAYMENT_PROVIDER_TIMEOUT_MS: parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15 * 1000, // per Stripe or M-Pesa call
+  
+  // Idempotency-Key responses are replayed for this long
+  IDEMPOTENCY_KEY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  
+  // Live order tracking (EVENT_BUS=redis shares events between server instances)
+  EVENT_BUS: process.env.EVENT_BUS || 'memory',
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
+  SSE_HEARTBEAT_MS: parseInt(process.env.SSE_HEARTBEAT_MS) || 25 * 1000,
+  
+  // Daily menu stock refills at this hour, hotel local time
+  STOCK_RESET_HOUR: parseInt(process.env.STOCK_RESET_HOUR ?? 5),
+  
   // Email
   SMTP_HOST: process.env.SMTP_HOST || 'smtp.gmail.com',
   SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
@@ -52,6 +82,11 @@ requiredEnvVars.forEach(varName => {
   }
 });
 
+// M-Pesa callbacks are refused without their token (outside the local simulator)
+if (env.NODE_ENV === 'production' && !env.MPESA_CALLBACK_TOKEN) {
+  console.error('❌ MPESA_CALLBACK_TOKEN is not set: M-Pesa callbacks will be refused');
+}
+
 // Log loaded config (excluding sensitive data)
 console.log('✅ Environment loaded:', {
   NODE_ENV: env.NODE_ENV,
@@ -1,4 +1,5 @@
 const { prisma } = require('../config/database');
+const { normalizePromoCode } = require('../utils/promotions');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -152,7 +153,7 @@ exports.updateUserRole = async (req, res, next) => {
     const { id } = req.params;
     const { role } = req.body;
     
-    const validRoles = ['USER', 'ADMIN', 'HOTEL_ADMIN'];
+    const validRoles = ['USER', 'ADMIN', 'HOTEL_ADMIN', 'COURIER', 'DISPATCHER'];
     if (!validRoles.includes(role)) {
       return res.status(400).json({
         success: false,
@@ -516,4 +517,441 @@ exports.getSystemStats = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+/**
+ * Pick and parse promotion fields from a request body
+ */
+const buildPromotionData = (body) => {
+  const data = {};
+  
+  if (body.code !== undefined) data.code = normalizePromoCode(body.code);
+  if (body.description !== undefined) data.description = body.description;
+  if (body.discountType !== undefined) data.discountType = body.discountType;
+  if (body.discountValue !== undefined) data.discountValue = parseFloat(body.discountValue);
+  if (body.minOrderAmount !== undefined) data.minOrderAmount = parseFloat(body.minOrderAmount);
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  if (body.hotelIds !== undefined) data.hotelIds = body.hotelIds.map(id => parseInt(id));
+  if (body.categories !== undefined) data.categories = body.categories;
+  
+  // Nullable fields: null clears the limit/window
+  if (body.maxDiscount !== undefined) {
+    data.maxDiscount = body.maxDiscount === null ? null : parseFloat(body.maxDiscount);
+  }
+  if (body.usageLimit !== undefined) {
+    data.usageLimit = body.usageLimit === null ? null : parseInt(body.usageLimit);
+  }
+  if (body.perUserLimit !== undefined) {
+    data.perUserLimit = body.perUserLimit === null ? null : parseInt(body.perUserLimit);
+  }
+  if (body.startsAt !== undefined) {
+    data.startsAt = body.startsAt === null ? null : new Date(body.startsAt);
+  }
+  if (body.endsAt !== undefined) {
+    data.endsAt = body.endsAt === null ? null : new Date(body.endsAt);
+  }
+  
+  return data;
+};
+
+/**
+ * Check the discount settings and validity window of a promotion
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkPromotion = (promotion) => {
+  if (promotion.discountType === 'PERCENTAGE' &&
+    (promotion.discountValue <= 0 || promotion.discountValue > 100)) {
+    return 'Percentage discounts must be between 0 and 100';
+  }
+  
+  if (promotion.discountType === 'FIXED' && promotion.discountValue <= 0) {
+    return 'Fixed discounts must be greater than 0';
+  }
+  
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+  
+  return null;
+};
+
+/**
+ * @desc    Get all promotions
+ * @route   GET /api/admin/promotions
+ * @access  Private/Admin
+ */
+exports.getPromotions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, isActive, search } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const where = {};
+    
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+    
+    if (search) {
+      where.OR = [
+        { code: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+    
+    const [promotions, total] = await Promise.all([
+      prisma.promotion.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.promotion.count({ where }),
+    ]);
+    
+    const totalPages = Math.ceil(total / limit);
+    
+    res.json({
+      success: true,
+      count: promotions.length,
+      total,
+      totalPages,
+      currentPage: parseInt(page),
+      promotions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single promotion with redemption totals
+ * @route   GET /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+exports.getPromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: parseInt(id) },
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+    
+    const redemptions = await prisma.promotionRedemption.aggregate({
+      where: { promotionId: promotion.id },
+      _count: true,
+      _sum: { discountAmount: true },
+    });
+    
+    res.json({
+      success: true,
+      promotion: {
+        ...promotion,
+        redemptionCount: redemptions._count,
+        totalDiscountGiven: redemptions._sum.discountAmount || 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create promotion
+ * @route   POST /api/admin/promotions
+ * @access  Private/Admin
+ */
+exports.createPromotion = async (req, res, next) => {
+  try {
+    const data = buildPromotionData(req.body);
+    
+    const error = checkPromotion(data);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    
+    const existingPromotion = await prisma.promotion.findUnique({
+      where: { code: data.code },
+    });
+    
+    if (existingPromotion) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promotion with this code already exists',
+      });
+    }
+    
+    const promotion = await prisma.promotion.create({ data });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      promotion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+exports.updatePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: parseInt(id) },
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+    
+    const data = buildPromotionData(req.body);
+    
+    // Check the merged result so partial updates can't break the promotion
+    const error = checkPromotion({ ...promotion, ...data });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    
+    const updatedPromotion = await prisma.promotion.update({
+      where: { id: promotion.id },
+      data,
+    });
+    
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion: updatedPromotion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete promotion (deactivated instead if it has been redeemed)
+ * @route   DELETE /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+exports.deletePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        _count: {
+          select: { orders: true },
+        },
+      },
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+    
+    // Orders keep pointing at redeemed promotions, so only retire those
+    if (promotion._count.orders > 0) {
+      await prisma.promotion.update({
+        where: { id: promotion.id },
+        data: { isActive: false },
+      });
+      
+      return res.json({
+        success: true,
+        message: 'Promotion has been redeemed, so it was deactivated instead of deleted',
+      });
+    }
+    
+    await prisma.promotion.delete({
+      where: { id: promotion.id },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Query the payment ledger
+ * @route   GET /api/admin/payments
+ * @access  Private/Admin
+ */
+exports.getPayments = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      orderId,
+      hotelId,
+      provider,
+      type,
+      status,
+      externalId,
+      startDate,
+      endDate,
+    } = req.query;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    // Build where clause
+    const where = {};
+    
+    if (orderId) where.orderId = parseInt(orderId);
+    if (hotelId) where.order = { hotelId: parseInt(hotelId) };
+    if (provider) where.provider = provider;
+    if (type) where.type = type;
+    if (status) where.status = status;
+    if (externalId) where.externalId = externalId;
+    
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+    
+    const [transactions, total, totals] = await Promise.all([
+      prisma.paymentTransaction.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+        include: {
+          order: {
+            select: {
+              id: true,
+              orderNumber: true,
+              hotelId: true,
+              userId: true,
+              paymentMethod: true,
+              paymentStatus: true,
+            },
+          },
+        },
+      }),
+      prisma.paymentTransaction.count({ where }),
+      
+      // Money moved by the matching entries, per currency
+      prisma.paymentTransaction.groupBy({
+        by: ['type', 'status', 'currency'],
+        where,
+        _sum: { amount: true },
+        _count: true,
+      }),
+    ]);
+    
+    const totalPages = Math.ceil(total / limit);
+    
+    res.json({
+      success: true,
+      count: transactions.length,
+      total,
+      totalPages,
+      currentPage: parseInt(page),
+      totals: totals.map(group => ({
+        type: group.type,
+        status: group.status,
+        currency: group.currency,
+        count: group._count,
+        amount: group._sum.amount || 0,
+      })),
+      transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single payment ledger entry with the order's full payment trail
+ * @route   GET /api/admin/payments/:id
+ * @access  Private/Admin
+ */
+exports.getPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const transaction = await prisma.paymentTransaction.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        order: {
+          select: {
+            id: true,
+            orderNumber: true,
+            hotelId: true,
+            userId: true,
+            totalAmount: true,
+            paymentMethod: true,
+            paymentStatus: true,
+            paymentIntentId: true,
+            transactions: {
+              orderBy: { createdAt: 'asc' },
+              select: {
+                id: true,
+                type: true,
+                provider: true,
+                externalId: true,
+                amount: true,
+                status: true,
+                attempt: true,
+                createdAt: true,
+              },
+            },
+            webhookEvents: {
+              orderBy: { createdAt: 'asc' },
+              select: {
+                id: true,
+                provider: true,
+                eventId: true,
+                type: true,
+                status: true,
+                createdAt: true,
+              },
+            },
+          },
+        },
+      },
+    });
+    
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment transaction not found',
+      });
+    }
+    
+    res.json({
+      success: true,
+      transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,8 +2,32 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const env = require('../config/env');
 const { prisma } = require('../config/database');
-const { generateToken, setTokenCookie } = require('../middleware/auth');
+const {
+  generateToken,
+  setTokenCookie,
+  setRefreshTokenCookie,
+} = require('../middleware/auth');
 const { sendPasswordReset } = require('../utils/emailService');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+} = require('../utils/refreshToken');
+
+/**
+ * Issue an access token + a refresh token (new family) and set both cookies
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueTokens(res, userId) {
+  const token = generateToken(userId);
+  const refresh = await issueRefreshToken(userId);
+
+  setTokenCookie(res, token);
+  setRefreshTokenCookie(res, refresh.token, refresh.expiresAt);
+
+  return { token, refreshToken: refresh.token };
+}
 
 /**
  * @desc    Register user
@@ -52,16 +76,14 @@ exports.register = async (req, res, next) => {
       },
     });
 
-    // Generate token
-    const token = generateToken(user.id);
-
-    // Set cookie
-    setTokenCookie(res, token);
+    // Generate tokens and set cookies
+    const { token, refreshToken } = await issueTokens(res, user.id);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user,
     });
   } catch (error) {
@@ -119,16 +141,14 @@ exports.login = async (req, res, next) => {
       data: { lastLogin: new Date() },
     });
 
-    // Generate token
-    const token = generateToken(user.id);
-
-    // Set cookie
-    setTokenCookie(res, token);
+    // Generate tokens and set cookies
+    const { token, refreshToken } = await issueTokens(res, user.id);
 
     res.json({
       success: true,
       message: 'Logged in successfully',
       token,
+      refreshToken,
       user: userWithoutPassword,
     });
   } catch (error) {
@@ -137,13 +157,63 @@ exports.login = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user / clear cookie
- * @route   GET /api/auth/logout
- * @access  Private
+ * @desc    Get a new access token using a refresh token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const presented = req.body.refreshToken || req.cookies?.refreshToken;
+
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const rotated = await rotateRefreshToken(presented);
+
+    if (!rotated) {
+      res.clearCookie('token');
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.',
+      });
+    }
+
+    const token = generateToken(rotated.userId);
+
+    setTokenCookie(res, token);
+    setRefreshTokenCookie(res, rotated.token, rotated.expiresAt);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: rotated.token,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user / revoke refresh token and clear cookies
+ * @route   POST /api/auth/logout
+ * @access  Public (identified by refresh token)
  */
 exports.logout = async (req, res, next) => {
   try {
+    const presented = req.body?.refreshToken || req.cookies?.refreshToken;
+
+    if (presented) {
+      await revokeRefreshToken(presented);
+    }
+
     res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
     
     res.json({
       success: true,
@@ -154,6 +224,27 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Logout from all devices / revoke every refresh token
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await revokeUserTokens(req.user.id);
+
+    res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current logged in user
  * @route   GET /api/auth/me
@@ -161,6 +252,36 @@ exports.logout = async (req, res, next) => {
  */
 exports.getMe = async (req, res, next) => {
   try {
+    // Hotel staff are not in the users table
+    if (req.user.type === 'hotelAdmin') {
+      const hotelAdmin = await prisma.hotelAdmin.findUnique({
+        where: { id: req.user.id },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          phone: true,
+          hotel: {
+            select: {
+              id: true,
+              name: true,
+              address: true,
+              city: true,
+            },
+          },
+        },
+      });
+
+      return res.json({
+        success: true,
+        user: {
+          ...hotelAdmin,
+          role: req.user.role,
+          permissions: req.user.permissions,
+        },
+      });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
       select: {
@@ -270,9 +391,15 @@ exports.updatePassword = async (req, res, next) => {
       data: { passwordHash },
     });
 
+    // Sign out every session, then start a fresh one for this device
+    await revokeUserTokens(req.user.id);
+    const { token, refreshToken } = await issueTokens(res, req.user.id);
+
     res.json({
       success: true,
       message: 'Password updated successfully',
+      token,
+      refreshToken,
     });
   } catch (error) {
     next(error);
@@ -344,6 +471,9 @@ exports.resetPassword = async (req, res, next) => {
       data: { passwordHash },
     });
 
+    // Invalidate existing sessions
+    await revokeUserTokens(decoded.userId);
+
     res.json({
       success: true,
       message: 'Password reset successful. You can now login with your new password.',
@@ -0,0 +1,420 @@
+const { prisma } = require('../config/database');
+const { optionGroupsInclude } = require('../utils/menuOptions');
+const { normalizePromoCode } = require('../utils/promotions');
+const { priceOrder } = require('../utils/pricing');
+const {
+  cartInclude,
+  priceCartLine,
+  revalidateCart,
+  cartToOrderInput,
+} = require('../utils/cart');
+
+// Most of one item (with the same options) a cart line can hold, as cartRules allow
+const MAX_LINE_QUANTITY = 100;
+
+/**
+ * Find the customer's cart at a hotel
+ * @returns {Promise<Object|null>} Cart loaded with cartInclude
+ */
+const findCart = (userId, hotelId) => prisma.cart.findUnique({
+  where: { userId_hotelId: { userId, hotelId: parseInt(hotelId) } },
+  include: cartInclude,
+});
+
+/**
+ * Get the customer's cart at a hotel, creating it on first use
+ * @returns {Promise<Object|null>} Cart, or null if the hotel isn't open for orders
+ */
+const getOrCreateCart = async (userId, hotelId) => {
+  const hotel = await prisma.hotel.findFirst({
+    where: { id: parseInt(hotelId), isActive: true },
+    select: { id: true },
+  });
+  
+  if (!hotel) return null;
+  
+  return prisma.cart.upsert({
+    where: { userId_hotelId: { userId, hotelId: hotel.id } },
+    create: { userId, hotelId: hotel.id },
+    update: {},
+  });
+};
+
+/**
+ * Revalidate a cart and price its orderable lines the way checkout will
+ * @param {Object} cart - Cart loaded with cartInclude
+ * @param {number} userId - Cart owner
+ * @returns {Promise<Object>} Cart for the response
+ */
+const presentCart = async (cart, userId) => {
+  const { items, subtotal, hasStaleItems } = revalidateCart(cart);
+  const orderable = items.filter(item => !item.stale);
+  
+  let quote = null;
+  let quoteError = null;
+  
+  if (orderable.length > 0) {
+    const input = cartToOrderInput({
+      ...cart,
+      items: cart.items.filter(line => orderable.some(item => item.id === line.id)),
+    });
+    const result = await priceOrder(prisma, input, userId);
+    
+    if (result.error) {
+      quoteError = result.error.message;
+    } else {
+      quote = { ...result.breakdown, deliveryFeeDetails: result.deliveryFeeDetails };
+    }
+  }
+  
+  return {
+    id: cart.id,
+    hotel: cart.hotel,
+    address: cart.address,
+    promoCode: cart.promoCode,
+    deliveryTime: cart.deliveryTime,
+    specialInstructions: cart.specialInstructions,
+    tip: cart.tip,
+    items,
+    subtotal,
+    hasStaleItems,
+    quote,
+    quoteError,
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * @desc    Get all of the customer's carts
+ * @route   GET /api/cart
+ * @access  Private
+ */
+exports.getCarts = async (req, res, next) => {
+  try {
+    const carts = await prisma.cart.findMany({
+      where: { userId: req.user.id },
+      include: cartInclude,
+      orderBy: { updatedAt: 'desc' },
+    });
+    
+    res.json({
+      success: true,
+      carts: carts.map(cart => {
+        const { items, subtotal, hasStaleItems } = revalidateCart(cart);
+        
+        return {
+          id: cart.id,
+          hotel: cart.hotel,
+          itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+          subtotal,
+          hasStaleItems,
+          updatedAt: cart.updatedAt,
+        };
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the cart for a hotel, checked against the current menu
+ * @route   GET /api/cart/:hotelId
+ * @access  Private
+ */
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await findCart(req.user.id, req.params.hotelId);
+    
+    if (!cart) {
+      return res.json({
+        success: true,
+        cart: null,
+      });
+    }
+    
+    res.json({
+      success: true,
+      cart: await presentCart(cart, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the cart's delivery address, promo code, time, instructions or tip
+ * @route   PUT /api/cart/:hotelId
+ * @access  Private
+ */
+exports.updateCart = async (req, res, next) => {
+  try {
+    const { addressId, promoCode, deliveryTime, specialInstructions, tip } = req.body;
+    
+    const cart = await getOrCreateCart(req.user.id, req.params.hotelId);
+    
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hotel not found or not active',
+      });
+    }
+    
+    const data = {};
+    
+    // null clears a field; leaving it out keeps it
+    if (addressId !== undefined) {
+      if (addressId !== null) {
+        const address = await prisma.address.findFirst({
+          where: { id: parseInt(addressId), userId: req.user.id },
+        });
+        
+        if (!address) {
+          return res.status(404).json({
+            success: false,
+            message: 'Address not found',
+          });
+        }
+      }
+      
+      data.addressId = addressId === null ? null : parseInt(addressId);
+    }
+    
+    if (promoCode !== undefined) {
+      if (promoCode !== null) {
+        const promotion = await prisma.promotion.findUnique({
+          where: { code: normalizePromoCode(promoCode) },
+        });
+        
+        if (!promotion || !promotion.isActive) {
+          return res.status(404).json({
+            success: false,
+            message: 'Promo code not found',
+          });
+        }
+      }
+      
+      data.promoCode = promoCode === null ? null : normalizePromoCode(promoCode);
+    }
+    
+    if (deliveryTime !== undefined) {
+      data.deliveryTime = deliveryTime === null ? null : new Date(deliveryTime);
+    }
+    
+    if (specialInstructions !== undefined) {
+      data.specialInstructions = specialInstructions || null;
+    }
+    
+    if (tip !== undefined) {
+      data.tip = tip === null ? 0 : parseFloat(tip);
+    }
+    
+    const updatedCart = await prisma.cart.update({
+      where: { id: cart.id },
+      data,
+      include: cartInclude,
+    });
+    
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      cart: await presentCart(updatedCart, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Empty the cart for a hotel
+ * @route   DELETE /api/cart/:hotelId
+ * @access  Private
+ */
+exports.clearCart = async (req, res, next) => {
+  try {
+    await prisma.cart.deleteMany({
+      where: { userId: req.user.id, hotelId: parseInt(req.params.hotelId) },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add an item to the cart (same item and options add up)
+ * @route   POST /api/cart/:hotelId/items
+ * @access  Private
+ */
+exports.addCartItem = async (req, res, next) => {
+  try {
+    const { menuItemId, quantity, options = [] } = req.body;
+    
+    const cart = await getOrCreateCart(req.user.id, req.params.hotelId);
+    
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hotel not found or not active',
+      });
+    }
+    
+    const menuItem = await prisma.menuItem.findFirst({
+      where: { id: parseInt(menuItemId), hotelId: cart.hotelId },
+      include: { optionGroups: optionGroupsInclude },
+    });
+    
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found at this hotel',
+      });
+    }
+    
+    const optionIds = options.map(id => parseInt(id)).sort((a, b) => a - b);
+    const priced = priceCartLine(menuItem, optionIds);
+    
+    if (!priced.success) {
+      return res.status(400).json({
+        success: false,
+        message: priced.error,
+      });
+    }
+    
+    const existing = await prisma.cartItem.findFirst({
+      where: {
+        cartId: cart.id,
+        menuItemId: menuItem.id,
+        optionIds: { equals: optionIds },
+      },
+    });
+    
+    if (existing) {
+      // Only adds up while the line stays within the cap, even if two adds race
+      const { count } = await prisma.cartItem.updateMany({
+        where: { id: existing.id, quantity: { lte: MAX_LINE_QUANTITY - parseInt(quantity) } },
+        data: {
+          quantity: { increment: parseInt(quantity) },
+          unitPrice: priced.unitPrice,
+        },
+      });
+      
+      if (count === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Your cart can hold at most ${MAX_LINE_QUANTITY} of ${menuItem.name}`,
+        });
+      }
+    } else {
+      await prisma.cartItem.create({
+        data: {
+          cartId: cart.id,
+          menuItemId: menuItem.id,
+          quantity: parseInt(quantity),
+          optionIds,
+          unitPrice: priced.unitPrice,
+        },
+      });
+    }
+    
+    // Touch the cart so it sorts as most recently used
+    const updatedCart = await prisma.cart.update({
+      where: { id: cart.id },
+      data: { updatedAt: new Date() },
+      include: cartInclude,
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      cart: await presentCart(updatedCart, req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a cart line's quantity or options (re-prices it at today's menu price)
+ * @route   PUT /api/cart/:hotelId/items/:itemId
+ * @access  Private
+ */
+exports.updateCartItem = async (req, res, next) => {
+  try {
+    const { quantity, options } = req.body;
+    
+    const cart = await findCart(req.user.id, req.params.hotelId);
+    const line = cart?.items.find(item => item.id === parseInt(req.params.itemId));
+    
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found',
+      });
+    }
+    
+    const optionIds = options
+      ? options.map(id => parseInt(id)).sort((a, b) => a - b)
+      : line.optionIds;
+    const priced = priceCartLine(line.menuItem, optionIds);
+    
+    if (!priced.success) {
+      return res.status(400).json({
+        success: false,
+        message: priced.error,
+      });
+    }
+    
+    await prisma.cartItem.update({
+      where: { id: line.id },
+      data: {
+        ...(quantity !== undefined && { quantity: parseInt(quantity) }),
+        optionIds,
+        unitPrice: priced.unitPrice,
+      },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Cart item updated',
+      cart: await presentCart(await findCart(req.user.id, cart.hotelId), req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a line from the cart
+ * @route   DELETE /api/cart/:hotelId/items/:itemId
+ * @access  Private
+ */
+exports.removeCartItem = async (req, res, next) => {
+  try {
+    const cart = await findCart(req.user.id, req.params.hotelId);
+    const line = cart?.items.find(item => item.id === parseInt(req.params.itemId));
+    
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found',
+      });
+    }
+    
+    await prisma.cartItem.delete({
+      where: { id: line.id },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      cart: await presentCart(await findCart(req.user.id, cart.hotelId), req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,645 @@
+const { prisma } = require('../config/database');
+const { canTransition, applyStatusChange } = require('../utils/orderStatus');
+const {
+  ACTIVE_DELIVERY_STATUSES,
+  courierSelect,
+  refreshCourierStatus,
+} = require('../utils/couriers');
+const { sendOrderStatusUpdate } = require('../utils/emailService');
+const { calculateDistance, estimateTravelTime } = require('../utils/geolocation');
+const { publishOrderEvent } = require('../utils/orderEvents');
+
+/**
+ * Prisma include for a courier's delivery: where to collect and where to drop off
+ */
+const deliveryInclude = {
+  hotel: {
+    select: {
+      id: true,
+      name: true,
+      address: true,
+      phone: true,
+      latitude: true,
+      longitude: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      fullName: true,
+      phone: true,
+    },
+  },
+  orderItems: {
+    select: {
+      quantity: true,
+      menuItem: { select: { name: true } },
+    },
+  },
+};
+
+/**
+ * Load one of the courier's assigned, still-open deliveries
+ * @returns {Promise<Object|null>} Order with the customer for notifications
+ */
+const findDelivery = (courierId, orderId) => prisma.order.findFirst({
+  where: {
+    id: parseInt(orderId),
+    courierId,
+    status: { in: ACTIVE_DELIVERY_STATUSES },
+  },
+  include: {
+    user: {
+      select: {
+        id: true,
+        email: true,
+        fullName: true,
+      },
+    },
+  },
+});
+
+/**
+ * Move a delivery along the order state machine on the courier's behalf
+ * @returns {Promise<Object|null>} Updated order, or null if its status changed under us
+ */
+const advanceDelivery = async (order, toStatus, actor) => {
+  const updatedOrder = await prisma.$transaction(async (prisma) => {
+    const applied = await applyStatusChange(prisma, order, toStatus, { actor });
+    
+    if (!applied) return null;
+    
+    return await prisma.order.findUnique({
+      where: { id: order.id },
+      include: {
+        ...deliveryInclude,
+        courier: { select: courierSelect },
+      },
+    });
+  });
+  
+  if (updatedOrder) {
+    publishOrderEvent(order, 'status', { status: toStatus, fromStatus: order.status });
+  }
+  
+  return updatedOrder;
+};
+
+/**
+ * @desc    List couriers (e.g. to pick one for an order)
+ * @route   GET /api/couriers
+ * @access  Private/Admin, Dispatcher or HotelAdmin
+ */
+exports.getCouriers = async (req, res, next) => {
+  try {
+    const { status, hotelId } = req.query;
+    
+    // Offline couriers are only listed when asked for
+    const where = {
+      isActive: true,
+      status: status || { not: 'OFFLINE' },
+    };
+    
+    // Hotel staff see the shared fleet and their own riders
+    if (req.user.role === 'HOTEL_ADMIN') {
+      where.OR = [{ hotelId: null }, { hotelId: req.user.hotelId }];
+    } else if (hotelId) {
+      where.OR = [{ hotelId: null }, { hotelId: parseInt(hotelId) }];
+    }
+    
+    const couriers = await prisma.courier.findMany({
+      where,
+      orderBy: [{ status: 'asc' }, { id: 'asc' }],
+      select: {
+        ...courierSelect,
+        hotelId: true,
+        _count: {
+          select: {
+            orders: { where: { status: { in: ACTIVE_DELIVERY_STATUSES } } },
+          },
+        },
+      },
+    });
+    
+    res.json({
+      success: true,
+      count: couriers.length,
+      couriers: couriers.map(({ _count, ...courier }) => ({
+        ...courier,
+        activeDeliveries: _count.orders,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a courier profile for an existing user account
+ * @route   POST /api/couriers
+ * @access  Private/Admin
+ */
+exports.createCourier = async (req, res, next) => {
+  try {
+    const { userId, hotelId, phone, vehicleType, vehiclePlate } = req.body;
+    
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      include: { courier: true },
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (user.courier) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a courier',
+      });
+    }
+    
+    if (user.role !== 'USER' && user.role !== 'COURIER') {
+      return res.status(400).json({
+        success: false,
+        message: `A ${user.role} account can't be made a courier`,
+      });
+    }
+    
+    if (hotelId) {
+      const hotel = await prisma.hotel.findUnique({
+        where: { id: parseInt(hotelId) },
+      });
+      
+      if (!hotel) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hotel not found',
+        });
+      }
+    }
+    
+    const courier = await prisma.$transaction(async (prisma) => {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { role: 'COURIER' },
+      });
+      
+      return await prisma.courier.create({
+        data: {
+          userId: user.id,
+          hotelId: hotelId ? parseInt(hotelId) : null,
+          phone: phone || user.phone,
+          vehicleType,
+          vehiclePlate,
+        },
+        select: {
+          ...courierSelect,
+          hotelId: true,
+          isActive: true,
+        },
+      });
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Courier created successfully',
+      courier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a courier's profile or deactivate them
+ * @route   PUT /api/couriers/:id
+ * @access  Private/Admin
+ */
+exports.updateCourier = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { hotelId, phone, vehicleType, vehiclePlate, isActive } = req.body;
+    
+    const existing = await prisma.courier.findUnique({
+      where: { id: parseInt(id) },
+    });
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Courier not found',
+      });
+    }
+    
+    if (hotelId) {
+      const hotel = await prisma.hotel.findUnique({
+        where: { id: parseInt(hotelId) },
+      });
+      
+      if (!hotel) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hotel not found',
+        });
+      }
+    }
+    
+    const data = {};
+    if (hotelId !== undefined) data.hotelId = hotelId === null ? null : parseInt(hotelId);
+    if (phone !== undefined) data.phone = phone;
+    if (vehicleType !== undefined) data.vehicleType = vehicleType;
+    if (vehiclePlate !== undefined) data.vehiclePlate = vehiclePlate;
+    if (isActive !== undefined) {
+      data.isActive = isActive === true || isActive === 'true';
+      // Deactivated couriers drop off the dispatch board
+      if (!data.isActive) data.status = 'OFFLINE';
+    }
+    
+    // Their orders would be stuck with a courier who can no longer move them
+    if (data.isActive === false) {
+      const activeDeliveries = await prisma.order.count({
+        where: {
+          courierId: existing.id,
+          status: { in: ACTIVE_DELIVERY_STATUSES },
+        },
+      });
+      
+      if (activeDeliveries > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Reassign this courier\'s deliveries before deactivating them',
+          activeDeliveries,
+        });
+      }
+    }
+    
+    const courier = await prisma.courier.update({
+      where: { id: existing.id },
+      data,
+      select: {
+        ...courierSelect,
+        hotelId: true,
+        isActive: true,
+      },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Courier updated successfully',
+      courier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the signed-in courier's profile
+ * @route   GET /api/couriers/me
+ * @access  Private/Courier
+ */
+exports.getMyProfile = async (req, res, next) => {
+  try {
+    const courier = await prisma.courier.findUnique({
+      where: { id: req.courier.id },
+      select: {
+        ...courierSelect,
+        hotelId: true,
+        hotel: { select: { id: true, name: true } },
+      },
+    });
+    
+    res.json({
+      success: true,
+      courier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Go online or offline
+ * @route   PUT /api/couriers/me/status
+ * @access  Private/Courier
+ */
+exports.updateMyStatus = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    const courierId = req.courier.id;
+    
+    if (status === 'OFFLINE') {
+      const activeDeliveries = await prisma.order.count({
+        where: {
+          courierId,
+          courierAcceptedAt: { not: null },
+          status: { in: ACTIVE_DELIVERY_STATUSES },
+        },
+      });
+      
+      if (activeDeliveries > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Finish your accepted deliveries before going offline',
+          activeDeliveries,
+        });
+      }
+      
+      await prisma.courier.update({
+        where: { id: courierId },
+        data: { status: 'OFFLINE' },
+      });
+    } else {
+      // Coming online: BUSY or AVAILABLE depending on what they're carrying
+      await prisma.courier.update({
+        where: { id: courierId },
+        data: { status: 'AVAILABLE' },
+      });
+      await refreshCourierStatus(prisma, courierId);
+    }
+    
+    const courier = await prisma.courier.findUnique({
+      where: { id: courierId },
+      select: courierSelect,
+    });
+    
+    res.json({
+      success: true,
+      message: `You are now ${courier.status.toLowerCase()}`,
+      courier,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Report the courier's current location
+ * @route   PUT /api/couriers/me/location
+ * @access  Private/Courier
+ */
+exports.updateMyLocation = async (req, res, next) => {
+  try {
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    const courierId = req.courier.id;
+    const now = new Date();
+    
+    await prisma.courier.update({
+      where: { id: courierId },
+      data: { latitude, longitude, locatedAt: now },
+    });
+    
+    // Customers only follow the rider once they've taken the job
+    const orders = await prisma.order.findMany({
+      where: {
+        courierId,
+        courierAcceptedAt: { not: null },
+        status: { in: ACTIVE_DELIVERY_STATUSES },
+      },
+      select: {
+        id: true,
+        hotelId: true,
+        status: true,
+        deliveryLatitude: true,
+        deliveryLongitude: true,
+        estimatedDeliveryAt: true,
+      },
+    });
+    
+    for (const order of orders) {
+      publishOrderEvent(order, 'location', { latitude, longitude });
+      
+      // On the road the ETA is just the rest of the ride
+      if (order.status !== 'OUT_FOR_DELIVERY' || order.deliveryLatitude == null) continue;
+      
+      const distance = Math.round(calculateDistance(
+        latitude, longitude, order.deliveryLatitude, order.deliveryLongitude
+      ));
+      const minutes = estimateTravelTime(distance);
+      const estimatedDeliveryAt = new Date(now.getTime() + minutes * 60 * 1000);
+      
+      // Skip the write while the estimate holds to within a minute
+      if (order.estimatedDeliveryAt &&
+        Math.abs(estimatedDeliveryAt - order.estimatedDeliveryAt) < 60 * 1000) continue;
+      
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { estimatedDeliveryAt },
+      });
+      
+      publishOrderEvent(order, 'eta', {
+        estimatedDeliveryAt,
+        minutesAway: minutes,
+        distance,
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Location updated',
+      activeDeliveries: orders.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the signed-in courier's open deliveries
+ * @route   GET /api/couriers/me/deliveries
+ * @access  Private/Courier
+ */
+exports.getMyDeliveries = async (req, res, next) => {
+  try {
+    const orders = await prisma.order.findMany({
+      where: {
+        courierId: req.courier.id,
+        status: { in: ACTIVE_DELIVERY_STATUSES },
+      },
+      orderBy: { courierAssignedAt: 'asc' },
+      include: deliveryInclude,
+    });
+    
+    res.json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an assigned delivery
+ * @route   PUT /api/couriers/me/deliveries/:id/accept
+ * @access  Private/Courier
+ */
+exports.acceptDelivery = async (req, res, next) => {
+  try {
+    const courierId = req.courier.id;
+    const order = await findDelivery(courierId, req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+    
+    if (order.courierAcceptedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already accepted this delivery',
+      });
+    }
+    
+    const accepted = await prisma.$transaction(async (prisma) => {
+      // Only if it wasn't reassigned in the meantime
+      const { count } = await prisma.order.updateMany({
+        where: { id: order.id, courierId, courierAcceptedAt: null },
+        data: { courierAcceptedAt: new Date() },
+      });
+      
+      if (count === 0) return false;
+      
+      await refreshCourierStatus(prisma, courierId);
+      return true;
+    });
+    
+    if (!accepted) {
+      return res.status(409).json({
+        success: false,
+        message: 'This delivery was reassigned. Please refresh your list.',
+      });
+    }
+    
+    const acceptedOrder = await prisma.order.findUnique({
+      where: { id: order.id },
+      include: {
+        ...deliveryInclude,
+        courier: { select: courierSelect },
+      },
+    });
+    
+    publishOrderEvent(order, 'courier', {
+      courier: acceptedOrder.courier,
+      trackingNumber: acceptedOrder.trackingNumber,
+      accepted: true,
+    });
+    
+    res.json({
+      success: true,
+      message: 'Delivery accepted',
+      order: acceptedOrder,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm the order was collected from the hotel
+ * @route   PUT /api/couriers/me/deliveries/:id/pickup
+ * @access  Private/Courier
+ */
+exports.pickUpDelivery = async (req, res, next) => {
+  try {
+    const order = await findDelivery(req.courier.id, req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+    
+    if (!order.courierAcceptedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Accept the delivery before picking it up',
+      });
+    }
+    
+    if (!canTransition(order.status, 'OUT_FOR_DELIVERY')) {
+      return res.status(409).json({
+        success: false,
+        message: order.status === 'OUT_FOR_DELIVERY'
+          ? 'This order has already been picked up'
+          : 'The kitchen is not done with this order yet',
+        currentStatus: order.status,
+      });
+    }
+    
+    const updatedOrder = await advanceDelivery(order, 'OUT_FOR_DELIVERY', req.user);
+    
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed by someone else. Please refresh and try again.',
+      });
+    }
+    
+    sendOrderStatusUpdate(updatedOrder, order.user)
+      .catch(err => console.error('Status update email error:', err));
+    
+    res.json({
+      success: true,
+      message: 'Order picked up',
+      order: updatedOrder,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm the order was handed to the customer
+ * @route   PUT /api/couriers/me/deliveries/:id/deliver
+ * @access  Private/Courier
+ */
+exports.completeDelivery = async (req, res, next) => {
+  try {
+    const order = await findDelivery(req.courier.id, req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+    
+    if (order.status !== 'OUT_FOR_DELIVERY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Pick the order up before marking it delivered',
+        currentStatus: order.status,
+      });
+    }
+    
+    const updatedOrder = await advanceDelivery(order, 'DELIVERED', req.user);
+    
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed by someone else. Please refresh and try again.',
+      });
+    }
+    
+    sendOrderStatusUpdate(updatedOrder, order.user)
+      .catch(err => console.error('Status update email error:', err));
+    
+    res.json({
+      success: true,
+      message: 'Order delivered',
+      order: updatedOrder,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
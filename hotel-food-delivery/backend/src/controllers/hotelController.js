@@ -1,10 +1,53 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/database');
 const { 
-  calculateDistance, 
   isWithinDeliveryRadius,
   getBoundingBox 
 } = require('../utils/geolocation');
 const { processFile, deleteFile } = require('../middleware/upload');
+const { optionGroupsInclude } = require('../utils/menuOptions');
+const {
+  normalizeOpeningHours,
+  getOpeningStatus,
+  zonedTimeToUtc,
+} = require('../utils/openingHours');
+const { listDeliverySlots } = require('../utils/deliverySlots');
+const { activeZonesInclude, resolveDeliveryArea } = require('../utils/deliveryZones');
+const { normalizeFeeTiers } = require('../utils/deliveryFees');
+const { getKitchenQueueDepths, estimateDeliveryEta } = require('../utils/deliveryEta');
+const { getBusyMode, getOrderIntake } = require('../utils/busyMode');
+
+/**
+ * Prisma include for closures that haven't ended yet
+ */
+function upcomingClosures() {
+  return {
+    where: { endsAt: { gt: new Date() } },
+    orderBy: { startsAt: 'asc' },
+  };
+}
+
+/**
+ * Add computed isOpenNow/nextOpenAt to a hotel (drops the closures list)
+ */
+function withOpeningStatus(hotel) {
+  const { closures, ...rest } = hotel;
+  
+  return {
+    ...rest,
+    ...getOpeningStatus(hotel),
+  };
+}
+
+/**
+ * Add opening status and whether it's taking orders (busy mode) to a hotel listing
+ */
+function withAvailability(hotel, openOrders) {
+  return {
+    ...withOpeningStatus(hotel),
+    orderIntake: getOrderIntake(hotel, openOrders),
+  };
+}
 
 /**
  * @desc    Get all hotels (with pagination and filters)
@@ -64,11 +107,14 @@ exports.getHotels = async (req, res, next) => {
             take: 5, // Preview of menu items
             orderBy: { position: 'asc' },
           },
+          closures: upcomingClosures(),
         },
       }),
       prisma.hotel.count({ where }),
     ]);
     
+    const queueDepths = await getKitchenQueueDepths(prisma, hotels.map(hotel => hotel.id));
+    
     // Calculate pagination info
     const totalPages = Math.ceil(total / limit);
     
@@ -78,7 +124,7 @@ exports.getHotels = async (req, res, next) => {
       total,
       totalPages,
       currentPage: parseInt(page),
-      hotels,
+      hotels: hotels.map(hotel => withAvailability(hotel, queueDepths.get(hotel.id) ?? 0)),
     });
   } catch (error) {
     next(error);
@@ -139,29 +185,36 @@ exports.getNearbyHotels = async (req, res, next) => {
           where: { isAvailable: true },
           take: 3,
         },
+        closures: upcomingClosures(),
+        deliveryZones: activeZonesInclude,
       },
     });
     
-    // Calculate exact distance and filter by delivery radius
+    const queueDepths = await getKitchenQueueDepths(prisma, hotels.map(hotel => hotel.id));
+    
+    // Check the user's location against each hotel's zones (or delivery radius)
     const nearbyHotels = hotels
       .map(hotel => {
         if (!hotel.latitude || !hotel.longitude) return null;
         
-        const distance = calculateDistance(
-          userLat,
-          userLon,
-          hotel.latitude,
-          hotel.longitude
-        );
-        
-        // Check if within hotel's delivery radius
-        const isDeliverable = distance <= hotel.deliveryRadius;
+        const area = resolveDeliveryArea(hotel, userLat, userLon);
+        const { deliveryZones, ...rest } = hotel;
+        const openOrders = queueDepths.get(hotel.id) ?? 0;
+        const eta = estimateDeliveryEta(hotel, {
+          distance: area.distance,
+          etaOffset: area.etaOffset,
+          queueDepth: openOrders,
+        });
         
         return {
-          ...hotel,
-          distance: Math.round(distance), // in meters
-          isDeliverable,
-          estimatedDeliveryTime: Math.round(distance / 500 * 10 + 20), // Rough estimate
+          ...withAvailability(rest, openOrders),
+          distance: area.distance, // in meters
+          isDeliverable: area.isDeliverable,
+          deliveryZone: area.zone ? { id: area.zone.id, name: area.zone.name } : null,
+          deliveryFee: area.isDeliverable ? area.deliveryFee : hotel.deliveryFee, // before basket rules
+          minOrderAmount: area.minOrderAmount,
+          estimatedDeliveryTime: eta.minutes,
+          eta,
         };
       })
       .filter(hotel => hotel && hotel.isDeliverable)
@@ -181,13 +234,14 @@ exports.getNearbyHotels = async (req, res, next) => {
 };
 
 /**
- * @desc    Get single hotel by ID
+ * @desc    Get single hotel by ID (send latitude/longitude to include travel in the ETA)
  * @route   GET /api/hotels/:id
  * @access  Public
  */
 exports.getHotel = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { latitude, longitude } = req.query;
     
     const hotel = await prisma.hotel.findUnique({
       where: { id: parseInt(id) },
@@ -199,6 +253,9 @@ exports.getHotel = async (req, res, next) => {
             { position: 'asc' },
             { name: 'asc' },
           ],
+          include: {
+            optionGroups: optionGroupsInclude,
+          },
         },
         reviews: {
           include: {
@@ -221,6 +278,8 @@ exports.getHotel = async (req, res, next) => {
             },
           },
         },
+        closures: upcomingClosures(),
+        deliveryZones: activeZonesInclude,
       },
     });
     
@@ -231,9 +290,29 @@ exports.getHotel = async (req, res, next) => {
       });
     }
     
+    // Without a location (or outside the delivery area) the ETA covers the kitchen only
+    let area = null;
+    if (latitude !== undefined && longitude !== undefined) {
+      area = resolveDeliveryArea(hotel, parseFloat(latitude), parseFloat(longitude));
+    }
+    
+    const queueDepths = await getKitchenQueueDepths(prisma, [hotel.id]);
+    const openOrders = queueDepths.get(hotel.id) ?? 0;
+    const { deliveryZones, ...rest } = hotel;
+    
     res.json({
       success: true,
-      hotel,
+      hotel: {
+        ...rest,
+        ...getOpeningStatus(hotel),
+        orderIntake: getOrderIntake(hotel, openOrders),
+        ...(area && { distance: area.distance, isDeliverable: area.isDeliverable }),
+        eta: estimateDeliveryEta(hotel, {
+          distance: area?.isDeliverable ? area.distance : null,
+          etaOffset: area?.isDeliverable ? area.etaOffset : 0,
+          queueDepth: openOrders,
+        }),
+      },
     });
   } catch (error) {
     next(error);
@@ -258,11 +337,39 @@ exports.createHotel = async (req, res, next) => {
       description,
       cuisineType,
       openingHours,
+      timezone,
       deliveryFee,
+      deliveryFeeTiers,
+      smallOrderThreshold,
+      smallOrderFee,
+      freeDeliveryThreshold,
+      taxRate,
       minOrderAmount,
       deliveryRadius,
+      slotDuration,
+      slotCapacity,
+      minLeadTime,
+      maxAdvanceDays,
     } = req.body;
     
+    const hours = normalizeOpeningHours(openingHours);
+    
+    if (hours.error) {
+      return res.status(400).json({
+        success: false,
+        message: hours.error,
+      });
+    }
+    
+    const feeTiers = normalizeFeeTiers(deliveryFeeTiers);
+    
+    if (feeTiers.error) {
+      return res.status(400).json({
+        success: false,
+        message: feeTiers.error,
+      });
+    }
+    
     let coverImage = null;
     let logo = null;
     
@@ -296,10 +403,20 @@ exports.createHotel = async (req, res, next) => {
         email,
         description,
         cuisineType,
-        openingHours: openingHours ? JSON.parse(openingHours) : null,
+        openingHours: hours.schedule ?? Prisma.DbNull,
+        timezone: timezone || 'UTC',
         deliveryFee: deliveryFee ? parseFloat(deliveryFee) : 2.99,
+        deliveryFeeTiers: feeTiers.tiers ?? Prisma.DbNull,
+        smallOrderThreshold: smallOrderThreshold ? parseFloat(smallOrderThreshold) : null,
+        smallOrderFee: smallOrderFee ? parseFloat(smallOrderFee) : 0,
+        freeDeliveryThreshold: freeDeliveryThreshold ? parseFloat(freeDeliveryThreshold) : null,
+        taxRate: taxRate ? parseFloat(taxRate) : 0,
         minOrderAmount: minOrderAmount ? parseFloat(minOrderAmount) : 10.00,
         deliveryRadius: deliveryRadius ? parseInt(deliveryRadius) : 3000,
+        ...(slotDuration && { slotDuration: parseInt(slotDuration) }),
+        ...(slotCapacity && { slotCapacity: parseInt(slotCapacity) }),
+        ...(minLeadTime !== undefined && { minLeadTime: parseInt(minLeadTime) }),
+        ...(maxAdvanceDays !== undefined && { maxAdvanceDays: parseInt(maxAdvanceDays) }),
         coverImage,
         logo,
         isActive: true,
@@ -326,14 +443,55 @@ exports.updateHotel = async (req, res, next) => {
     const { id } = req.params;
     const updateData = { ...req.body };
     
+    // Fields that are never set directly; activation is admin-only
+    delete updateData.id;
+    delete updateData.rating;
+    delete updateData.totalReviews;
+    if (req.user.role !== 'ADMIN') {
+      delete updateData.isActive;
+    }
+    
     // Parse numeric fields
     if (updateData.latitude) updateData.latitude = parseFloat(updateData.latitude);
     if (updateData.longitude) updateData.longitude = parseFloat(updateData.longitude);
     if (updateData.deliveryFee) updateData.deliveryFee = parseFloat(updateData.deliveryFee);
+    if (updateData.smallOrderFee !== undefined) updateData.smallOrderFee = parseFloat(updateData.smallOrderFee);
+    ['smallOrderThreshold', 'freeDeliveryThreshold'].forEach(field => {
+      if (updateData[field] === undefined) return;
+      // Empty clears the rule
+      updateData[field] = updateData[field] === null || updateData[field] === ''
+        ? null
+        : parseFloat(updateData[field]);
+    });
+    if (updateData.taxRate !== undefined) updateData.taxRate = parseFloat(updateData.taxRate);
     if (updateData.minOrderAmount) updateData.minOrderAmount = parseFloat(updateData.minOrderAmount);
     if (updateData.deliveryRadius) updateData.deliveryRadius = parseInt(updateData.deliveryRadius);
-    if (updateData.openingHours) {
-      updateData.openingHours = JSON.parse(updateData.openingHours);
+    ['slotDuration', 'slotCapacity', 'minLeadTime', 'maxAdvanceDays'].forEach(field => {
+      if (updateData[field] !== undefined) updateData[field] = parseInt(updateData[field]);
+    });
+    if (updateData.openingHours !== undefined) {
+      const hours = normalizeOpeningHours(updateData.openingHours);
+      
+      if (hours.error) {
+        return res.status(400).json({
+          success: false,
+          message: hours.error,
+        });
+      }
+      
+      updateData.openingHours = hours.schedule ?? Prisma.DbNull;
+    }
+    if (updateData.deliveryFeeTiers !== undefined) {
+      const feeTiers = normalizeFeeTiers(updateData.deliveryFeeTiers);
+      
+      if (feeTiers.error) {
+        return res.status(400).json({
+          success: false,
+          message: feeTiers.error,
+        });
+      }
+      
+      updateData.deliveryFeeTiers = feeTiers.tiers ?? Prisma.DbNull;
     }
     
     // Process uploaded files
@@ -459,6 +617,88 @@ exports.toggleHotelActive = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Put a hotel in busy mode and/or pause new orders. Busy settings
+ *          replace the previous ones and both switch off on their own.
+ * @route   PUT /api/hotels/:id/busy
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.setBusyMode = async (req, res, next) => {
+  try {
+    const {
+      extraPrepMinutes,
+      maxOpenOrders,
+      durationMinutes = 60,
+      pauseMinutes,
+    } = req.body;
+    
+    const setsBusy = extraPrepMinutes !== undefined || maxOpenOrders !== undefined;
+    
+    if (!setsBusy && pauseMinutes === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set extra prep minutes, a maximum of open orders or a pause',
+      });
+    }
+    
+    const now = Date.now();
+    const data = {};
+    
+    if (setsBusy) {
+      data.busyUntil = new Date(now + parseInt(durationMinutes) * 60 * 1000);
+      data.busyExtraMinutes = extraPrepMinutes !== undefined ? parseInt(extraPrepMinutes) : 0;
+      data.busyMaxOpenOrders = maxOpenOrders != null ? parseInt(maxOpenOrders) : null;
+    }
+    
+    if (pauseMinutes !== undefined) {
+      data.ordersPausedUntil = new Date(now + parseInt(pauseMinutes) * 60 * 1000);
+    }
+    
+    const hotel = await prisma.hotel.update({
+      where: { id: req.hotel.id },
+      data,
+    });
+    
+    const queueDepths = await getKitchenQueueDepths(prisma, [hotel.id]);
+    
+    res.json({
+      success: true,
+      message: 'Busy mode updated',
+      busyMode: getBusyMode(hotel),
+      orderIntake: getOrderIntake(hotel, queueDepths.get(hotel.id) ?? 0),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    End busy mode and any pause early
+ * @route   DELETE /api/hotels/:id/busy
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.clearBusyMode = async (req, res, next) => {
+  try {
+    const hotel = await prisma.hotel.update({
+      where: { id: req.hotel.id },
+      data: {
+        busyUntil: null,
+        busyExtraMinutes: 0,
+        busyMaxOpenOrders: null,
+        ordersPausedUntil: null,
+      },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Hotel is taking orders as normal',
+      busyMode: getBusyMode(hotel),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get hotel statistics
  * @route   GET /api/hotels/:id/stats
@@ -496,6 +736,11 @@ exports.getHotelStats = async (req, res, next) => {
         },
         _sum: {
           totalAmount: true,
+          subtotal: true,
+          deliveryFee: true,
+          discountAmount: true,
+          taxAmount: true,
+          tipAmount: true,
         },
       }),
       
@@ -556,6 +801,13 @@ exports.getHotelStats = async (req, res, next) => {
       stats: {
         totalOrders: orders,
         totalRevenue: revenue._sum.totalAmount || 0,
+        revenueBreakdown: {
+          subtotal: revenue._sum.subtotal || 0,
+          deliveryFees: revenue._sum.deliveryFee || 0,
+          discounts: revenue._sum.discountAmount || 0,
+          tax: revenue._sum.taxAmount || 0,
+          tips: revenue._sum.tipAmount || 0,
+        },
         averageRating: reviews._avg.rating || 0,
         totalReviews: reviews._count,
         popularItems: popularItemsWithDetails,
@@ -564,4 +816,291 @@ exports.getHotelStats = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get upcoming closures (holidays, one-off) for a hotel
+ * @route   GET /api/hotels/:id/closures
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.getHotelClosures = async (req, res, next) => {
+  try {
+    const closures = await prisma.hotelClosure.findMany({
+      where: { hotelId: req.hotel.id },
+      ...upcomingClosures(),
+    });
+    
+    res.json({
+      success: true,
+      count: closures.length,
+      closures,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a closure (holiday or one-off) for a hotel
+ * @route   POST /api/hotels/:id/closures
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.createHotelClosure = async (req, res, next) => {
+  try {
+    const { startsAt, endsAt, reason } = req.body;
+    
+    if (new Date(endsAt) <= new Date(startsAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closure must end after it starts',
+      });
+    }
+    
+    const closure = await prisma.hotelClosure.create({
+      data: {
+        hotelId: req.hotel.id,
+        startsAt: new Date(startsAt),
+        endsAt: new Date(endsAt),
+        reason,
+      },
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Closure added successfully',
+      closure,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a closure
+ * @route   DELETE /api/hotels/:id/closures/:closureId
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.deleteHotelClosure = async (req, res, next) => {
+  try {
+    const { closureId } = req.params;
+    
+    const { count } = await prisma.hotelClosure.deleteMany({
+      where: {
+        id: parseInt(closureId),
+        hotelId: req.hotel.id,
+      },
+    });
+    
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found',
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Closure removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pick the delivery zone fields a request may set
+ */
+function buildDeliveryZoneData(body) {
+  const data = {};
+  
+  if (body.name !== undefined) data.name = body.name;
+  if (body.area !== undefined) data.area = body.area;
+  if (body.deliveryFee !== undefined) data.deliveryFee = parseFloat(body.deliveryFee);
+  if (body.minOrderAmount !== undefined) {
+    data.minOrderAmount = body.minOrderAmount === null ? null : parseFloat(body.minOrderAmount);
+  }
+  if (body.etaOffset !== undefined) data.etaOffset = parseInt(body.etaOffset);
+  if (body.position !== undefined) data.position = parseInt(body.position);
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+  
+  return data;
+}
+
+/**
+ * @desc    Get a hotel's delivery zones
+ * @route   GET /api/hotels/:id/zones
+ * @access  Public
+ */
+exports.getDeliveryZones = async (req, res, next) => {
+  try {
+    const zones = await prisma.deliveryZone.findMany({
+      where: {
+        hotelId: parseInt(req.params.id),
+        isActive: true,
+      },
+      orderBy: activeZonesInclude.orderBy,
+    });
+    
+    res.json({
+      success: true,
+      count: zones.length,
+      zones,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a delivery zone to a hotel
+ * @route   POST /api/hotels/:id/zones
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.createDeliveryZone = async (req, res, next) => {
+  try {
+    const zone = await prisma.deliveryZone.create({
+      data: {
+        hotelId: req.hotel.id,
+        ...buildDeliveryZoneData(req.body),
+      },
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone added successfully',
+      zone,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a delivery zone
+ * @route   PUT /api/hotels/:id/zones/:zoneId
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.updateDeliveryZone = async (req, res, next) => {
+  try {
+    const { zoneId } = req.params;
+    
+    const { count } = await prisma.deliveryZone.updateMany({
+      where: {
+        id: parseInt(zoneId),
+        hotelId: req.hotel.id,
+      },
+      data: buildDeliveryZoneData(req.body),
+    });
+    
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found',
+      });
+    }
+    
+    const zone = await prisma.deliveryZone.findUnique({
+      where: { id: parseInt(zoneId) },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Delivery zone updated successfully',
+      zone,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a delivery zone (past orders keep their fee, the link is cleared)
+ * @route   DELETE /api/hotels/:id/zones/:zoneId
+ * @access  Private/HotelAdmin or Admin
+ */
+exports.deleteDeliveryZone = async (req, res, next) => {
+  try {
+    const { zoneId } = req.params;
+    
+    const { count } = await prisma.deliveryZone.deleteMany({
+      where: {
+        id: parseInt(zoneId),
+        hotelId: req.hotel.id,
+      },
+    });
+    
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found',
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Delivery zone removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get delivery slots available for scheduled orders
+ * @route   GET /api/hotels/:id/delivery-slots
+ * @access  Public
+ */
+exports.getDeliverySlots = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { date } = req.query; // YYYY-MM-DD in the hotel's timezone
+    
+    const hotel = await prisma.hotel.findUnique({
+      where: {
+        id: parseInt(id),
+        isActive: true,
+      },
+      include: {
+        closures: upcomingClosures(),
+      },
+    });
+    
+    if (!hotel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hotel not found or not active',
+      });
+    }
+    
+    // Requested local day, or the next 24 hours
+    let from = new Date();
+    let to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    
+    if (date) {
+      const [year, month, day] = date.split('-').map(Number);
+      from = zonedTimeToUtc(year, month, day, 0, hotel.timezone);
+      to = zonedTimeToUtc(year, month, day, 24 * 60, hotel.timezone);
+    }
+    
+    const reservations = await prisma.deliverySlot.findMany({
+      where: {
+        hotelId: hotel.id,
+        startsAt: { gte: from, lt: to },
+      },
+      select: { startsAt: true, reservedCount: true },
+    });
+    
+    const slots = listDeliverySlots(hotel, from, to, reservations);
+    
+    res.json({
+      success: true,
+      hotelId: hotel.id,
+      timezone: hotel.timezone,
+      slotDuration: hotel.slotDuration,
+      count: slots.length,
+      slots,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
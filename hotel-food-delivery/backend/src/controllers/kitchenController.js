@@ -0,0 +1,189 @@
+const { prisma } = require('../config/database');
+const { applyStatusChange } = require('../utils/orderStatus');
+const { sendOrderStatusUpdate } = require('../utils/emailService');
+const { publishOrderEvent, subscribeToHotel } = require('../utils/orderEvents');
+const { openEventStream } = require('../utils/eventStream');
+const {
+  kitchenOrderInclude,
+  getKitchenStage,
+  getBumpAction,
+  toKitchenTicket,
+  loadKitchenQueue,
+} = require('../utils/kitchenQueue');
+
+// Event types that change what the kitchen screen shows
+const QUEUE_EVENT_TYPES = ['created', 'status', 'ready', 'courier'];
+
+/**
+ * @desc    Get the kitchen display queue
+ * @route   GET /api/kitchen/:hotelId/queue
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.getKitchenQueue = async (req, res, next) => {
+  try {
+    const queue = await loadKitchenQueue(prisma, req.hotel.id);
+    
+    res.json({
+      success: true,
+      queue,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stream the kitchen display queue (Server-Sent Events)
+ * @route   GET /api/kitchen/:hotelId/stream
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.streamKitchenQueue = async (req, res, next) => {
+  const hotelId = req.hotel.id;
+  const stream = openEventStream(req, res);
+  
+  const sendQueue = async () => {
+    try {
+      stream.send('queue', await loadKitchenQueue(prisma, hotelId));
+    } catch (error) {
+      console.error('Kitchen stream error:', error);
+      stream.close();
+    }
+  };
+  
+  // Bursts of events (e.g. a batch of bumps) become one refresh
+  let refreshTimer = null;
+  const scheduleRefresh = () => {
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(() => {
+      refreshTimer = null;
+      sendQueue();
+    }, 300);
+  };
+  
+  // Lateness moves with the clock, not just with events
+  const clockTimer = setInterval(sendQueue, 60 * 1000);
+  
+  stream.onClose(() => {
+    clearTimeout(refreshTimer);
+    clearInterval(clockTimer);
+  });
+  
+  try {
+    const unsubscribe = await subscribeToHotel(hotelId, (event) => {
+      if (QUEUE_EVENT_TYPES.includes(event.type)) scheduleRefresh();
+      
+      // Items running low or selling out, to flash on the screen
+      if (event.type === 'stock') stream.send('stock', event.data);
+    });
+    stream.onClose(unsubscribe);
+    
+    await sendQueue();
+  } catch (error) {
+    console.error('Kitchen stream error:', error);
+    stream.close();
+  }
+};
+
+/**
+ * @desc    Bump an order to its next kitchen stage
+ * @route   POST /api/kitchen/:hotelId/orders/:orderId/bump
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.bumpOrder = async (req, res, next) => {
+  try {
+    const { stage } = req.body;
+    
+    const order = await prisma.order.findFirst({
+      where: {
+        id: parseInt(req.params.orderId),
+        hotelId: req.hotel.id,
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            fullName: true,
+          },
+        },
+      },
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    
+    // Screens send the stage they saw so a double tap doesn't skip a step
+    const currentStage = getKitchenStage(order);
+    if (stage && stage !== currentStage) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order was already moved on. Please refresh.',
+        currentStage,
+      });
+    }
+    
+    const action = getBumpAction(order);
+    
+    if (action.error) {
+      return res.status(409).json({
+        success: false,
+        message: action.error,
+        currentStage,
+      });
+    }
+    
+    let applied;
+    if (action.ready) {
+      const readyAt = new Date();
+      const { count } = await prisma.order.updateMany({
+        where: { id: order.id, status: 'PREPARING', readyAt: null },
+        data: { readyAt },
+      });
+      applied = count > 0;
+      
+      if (applied) publishOrderEvent(order, 'ready', { readyAt });
+    } else {
+      applied = await prisma.$transaction(prisma => applyStatusChange(prisma, order, action.toStatus, {
+        actor: req.user,
+        note: 'Bumped on the kitchen display',
+      }));
+      
+      if (applied) publishOrderEvent(order, 'status', { status: action.toStatus, fromStatus: order.status });
+    }
+    
+    if (!applied) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed by someone else. Please refresh and try again.',
+      });
+    }
+    
+    const updatedOrder = await prisma.order.findUnique({
+      where: { id: order.id },
+      include: {
+        ...kitchenOrderInclude,
+        hotel: { select: { id: true, name: true } },
+      },
+    });
+    
+    if (!action.ready) {
+      sendOrderStatusUpdate(updatedOrder, order.user)
+        .catch(err => console.error('Status update email error:', err));
+    }
+    
+    const nextStage = getKitchenStage(updatedOrder);
+    
+    res.json({
+      success: true,
+      message: nextStage ? `Order moved to ${nextStage}` : 'Order left the kitchen',
+      // null once the order has left the kitchen
+      ticket: nextStage ? toKitchenTicket(updatedOrder) : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,36 @@
 const { prisma } = require('../config/database');
 const { processFile, deleteFile } = require('../middleware/upload');
+const { canManageHotel } = require('../middleware/auth');
+const { optionGroupsInclude } = require('../utils/menuOptions');
+
+/**
+ * Load a menu item and check the caller may manage its hotel.
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function findManagedMenuItem(req, res, select) {
+  const menuItem = await prisma.menuItem.findUnique({
+    where: { id: parseInt(req.params.id) },
+    select: { hotelId: true, ...select },
+  });
+  
+  if (!menuItem) {
+    res.status(404).json({
+      success: false,
+      message: 'Menu item not found',
+    });
+    return null;
+  }
+  
+  if (!canManageHotel(req.user, menuItem.hotelId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this menu item',
+    });
+    return null;
+  }
+  
+  return menuItem;
+}
 
 /**
  * @desc    Get menu items for a hotel
@@ -50,6 +81,9 @@ exports.getHotelMenu = async (req, res, next) => {
         { position: 'asc' },
         { name: 'asc' },
       ],
+      include: {
+        optionGroups: optionGroupsInclude,
+      },
     });
     
     // Group by category
@@ -98,6 +132,7 @@ exports.getMenuItem = async (req, res, next) => {
             deliveryFee: true,
           },
         },
+        optionGroups: optionGroupsInclude,
       },
     });
     
@@ -119,13 +154,12 @@ exports.getMenuItem = async (req, res, next) => {
 
 /**
  * @desc    Create menu item
- * @route   POST /api/menu
+ * @route   POST /api/menu/hotel/:hotelId
  * @access  Private/Admin or HotelAdmin
  */
 exports.createMenuItem = async (req, res, next) => {
   try {
     const {
-      hotelId,
       name,
       description,
       price,
@@ -133,20 +167,10 @@ exports.createMenuItem = async (req, res, next) => {
       dietaryTags,
       isAvailable = true,
       position = 0,
+      dailyStock,
+      stockAlertLevel,
     } = req.body;
     
-    // Validate hotel exists
-    const hotel = await prisma.hotel.findUnique({
-      where: { id: parseInt(hotelId) },
-    });
-    
-    if (!hotel) {
-      return res.status(404).json({
-        success: false,
-        message: 'Hotel not found',
-      });
-    }
-    
     let imageUrl = null;
     
     // Process uploaded image
@@ -165,7 +189,7 @@ exports.createMenuItem = async (req, res, next) => {
     
     const menuItem = await prisma.menuItem.create({
       data: {
-        hotelId: parseInt(hotelId),
+        hotelId: req.hotel.id, // checked by hotelAdmin
         name,
         description,
         price: parseFloat(price),
@@ -174,6 +198,13 @@ exports.createMenuItem = async (req, res, next) => {
         isAvailable: isAvailable === 'true' || isAvailable === true,
         position: parseInt(position),
         imageUrl,
+        // Counting starts straight away with a full day's stock
+        ...(dailyStock != null && {
+          dailyStock: parseInt(dailyStock),
+          stockRemaining: parseInt(dailyStock),
+          stockResetAt: new Date(),
+        }),
+        stockAlertLevel: stockAlertLevel != null ? parseInt(stockAlertLevel) : null,
       },
     });
     
@@ -195,8 +226,29 @@ exports.createMenuItem = async (req, res, next) => {
 exports.updateMenuItem = async (req, res, next) => {
   try {
     const { id } = req.params;
+    
+    // Loaded and access-checked by menuItemAdmin, ahead of the upload
+    const existing = req.menuItem;
+    
     const updateData = { ...req.body };
     
+    // Items can't be moved to another hotel
+    delete updateData.id;
+    delete updateData.hotelId;
+    
+    // Stock goes through PUT /api/menu/:id/stock; prep times are measured
+    for (const field of [
+      'dailyStock',
+      'stockRemaining',
+      'stockAlertLevel',
+      'stockResetAt',
+      'soldOutAt',
+      'prepTimeAvg',
+      'prepTimeSamples',
+    ]) {
+      delete updateData[field];
+    }
+    
     // Parse numeric fields
     if (updateData.price) updateData.price = parseFloat(updateData.price);
     if (updateData.position) updateData.position = parseInt(updateData.position);
@@ -217,13 +269,8 @@ exports.updateMenuItem = async (req, res, next) => {
       updateData.imageUrl = imageFile?.url;
       
       // Delete old image if exists
-      const oldMenuItem = await prisma.menuItem.findUnique({
-        where: { id: parseInt(id) },
-        select: { imageUrl: true },
-      });
-      
-      if (oldMenuItem?.imageUrl) {
-        deleteFile(oldMenuItem.imageUrl);
+      if (existing.imageUrl) {
+        deleteFile(existing.imageUrl);
       }
     }
     
@@ -252,13 +299,11 @@ exports.deleteMenuItem = async (req, res, next) => {
     const { id } = req.params;
     
     // Get menu item to delete image
-    const menuItem = await prisma.menuItem.findUnique({
-      where: { id: parseInt(id) },
-      select: { imageUrl: true },
-    });
+    const menuItem = await findManagedMenuItem(req, res, { imageUrl: true });
+    if (!menuItem) return;
     
     // Delete associated image
-    if (menuItem?.imageUrl) {
+    if (menuItem.imageUrl) {
       deleteFile(menuItem.imageUrl);
     }
     
@@ -285,21 +330,23 @@ exports.toggleMenuItemAvailability = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const menuItem = await prisma.menuItem.findUnique({
-      where: { id: parseInt(id) },
-      select: { isAvailable: true },
+    const menuItem = await findManagedMenuItem(req, res, {
+      name: true,
+      isAvailable: true,
+      stockRemaining: true,
     });
+    if (!menuItem) return;
     
-    if (!menuItem) {
-      return res.status(404).json({
+    if (!menuItem.isAvailable && menuItem.stockRemaining === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Menu item not found',
+        message: `${menuItem.name} is sold out for today. Add stock to put it back on the menu.`,
       });
     }
     
     const updatedMenuItem = await prisma.menuItem.update({
       where: { id: parseInt(id) },
-      data: { isAvailable: !menuItem.isAvailable },
+      data: { isAvailable: !menuItem.isAvailable, soldOutAt: null },
     });
     
     res.json({
@@ -312,6 +359,77 @@ exports.toggleMenuItemAvailability = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Set a menu item's daily stock, today's count or its alert level
+ *          (dailyStock null stops counting)
+ * @route   PUT /api/menu/:id/stock
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.setMenuItemStock = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { dailyStock, stockRemaining, stockAlertLevel } = req.body;
+    
+    const existing = await findManagedMenuItem(req, res, {
+      dailyStock: true,
+      stockRemaining: true,
+      isAvailable: true,
+      soldOutAt: true,
+    });
+    if (!existing) return;
+    
+    const data = {};
+    
+    if (dailyStock !== undefined) {
+      data.dailyStock = dailyStock === null ? null : parseInt(dailyStock);
+      
+      // A new daily stock starts today's count afresh unless one is given
+      data.stockRemaining = data.dailyStock;
+      data.stockResetAt = data.dailyStock === null ? null : new Date();
+    }
+    
+    if (stockRemaining !== undefined) {
+      const counted = dailyStock !== undefined ? data.dailyStock !== null : existing.dailyStock !== null;
+      
+      if (!counted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set a daily stock before adjusting today\'s count',
+        });
+      }
+      
+      data.stockRemaining = parseInt(stockRemaining);
+    }
+    
+    if (stockAlertLevel !== undefined) {
+      data.stockAlertLevel = stockAlertLevel === null ? null : parseInt(stockAlertLevel);
+    }
+    
+    // Availability follows the count: off at zero, back on when stock comes in
+    const remaining = 'stockRemaining' in data ? data.stockRemaining : existing.stockRemaining;
+    if (remaining === 0 && existing.isAvailable) {
+      data.isAvailable = false;
+      data.soldOutAt = new Date();
+    } else if (remaining !== 0 && existing.soldOutAt) {
+      data.isAvailable = true;
+      data.soldOutAt = null;
+    }
+    
+    const menuItem = await prisma.menuItem.update({
+      where: { id: parseInt(id) },
+      data,
+    });
+    
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      menuItem,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Reorder menu items
  * @route   PUT /api/menu/reorder
@@ -328,6 +446,22 @@ exports.reorderMenuItems = async (req, res, next) => {
       });
     }
     
+    // Every item must belong to the hotel being reordered
+    const itemIds = [...new Set(items.map(item => parseInt(item.id)))];
+    const ownedCount = await prisma.menuItem.count({
+      where: {
+        id: { in: itemIds },
+        hotelId: parseInt(hotelId),
+      },
+    });
+    
+    if (ownedCount !== itemIds.length) {
+      return res.status(403).json({
+        success: false,
+        message: 'All menu items must belong to this hotel',
+      });
+    }
+    
     // Update positions in transaction
     await prisma.$transaction(
       items.map(item =>
@@ -413,4 +547,249 @@ exports.searchMenuItems = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Check selection limits make sense for the options a group offers
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSelectionLimits(minSelections, maxSelections, optionCount) {
+  if (minSelections > maxSelections) {
+    return 'minSelections cannot be greater than maxSelections';
+  }
+  
+  if (optionCount !== undefined && minSelections > optionCount) {
+    return 'minSelections cannot be greater than the number of options';
+  }
+  
+  return null;
+}
+
+/**
+ * Map request options to MenuOption create data
+ */
+function buildOptionsData(options = []) {
+  return options.map((option, index) => ({
+    name: option.name,
+    priceDelta: option.priceDelta ? parseFloat(option.priceDelta) : 0,
+    isAvailable: option.isAvailable !== false,
+    position: option.position !== undefined ? parseInt(option.position) : index,
+  }));
+}
+
+/**
+ * Load an option group and check the caller may manage its hotel.
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function findManagedOptionGroup(req, res) {
+  const group = await prisma.menuOptionGroup.findUnique({
+    where: { id: parseInt(req.params.groupId) },
+    include: {
+      menuItem: { select: { hotelId: true } },
+      _count: { select: { options: true } },
+    },
+  });
+  
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Option group not found',
+    });
+    return null;
+  }
+  
+  if (!canManageHotel(req.user, group.menuItem.hotelId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this menu item',
+    });
+    return null;
+  }
+  
+  return group;
+}
+
+/**
+ * @desc    Add an option group (sizes, add-ons, removals) to a menu item
+ * @route   POST /api/menu/:id/option-groups
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.createOptionGroup = async (req, res, next) => {
+  try {
+    const menuItem = await findManagedMenuItem(req, res, { id: true });
+    if (!menuItem) return;
+    
+    const {
+      name,
+      minSelections = 0,
+      maxSelections = 1,
+      position = 0,
+      options = [],
+    } = req.body;
+    
+    const limitError = validateSelectionLimits(
+      parseInt(minSelections),
+      parseInt(maxSelections),
+      options.length
+    );
+    
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError,
+      });
+    }
+    
+    const optionGroup = await prisma.menuOptionGroup.create({
+      data: {
+        menuItemId: menuItem.id,
+        name,
+        minSelections: parseInt(minSelections),
+        maxSelections: parseInt(maxSelections),
+        position: parseInt(position),
+        options: {
+          create: buildOptionsData(options),
+        },
+      },
+      include: {
+        options: { orderBy: { position: 'asc' } },
+      },
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Option group created successfully',
+      optionGroup,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an option group (sending `options` replaces all its options)
+ * @route   PUT /api/menu/option-groups/:groupId
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.updateOptionGroup = async (req, res, next) => {
+  try {
+    const group = await findManagedOptionGroup(req, res);
+    if (!group) return;
+    
+    const { name, minSelections, maxSelections, position, options } = req.body;
+    
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (minSelections !== undefined) updateData.minSelections = parseInt(minSelections);
+    if (maxSelections !== undefined) updateData.maxSelections = parseInt(maxSelections);
+    if (position !== undefined) updateData.position = parseInt(position);
+    
+    const limitError = validateSelectionLimits(
+      updateData.minSelections ?? group.minSelections,
+      updateData.maxSelections ?? group.maxSelections,
+      Array.isArray(options) ? options.length : group._count.options
+    );
+    
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError,
+      });
+    }
+    
+    const optionGroup = await prisma.$transaction(async (prisma) => {
+      if (Array.isArray(options)) {
+        await prisma.menuOption.deleteMany({ where: { groupId: group.id } });
+        updateData.options = { create: buildOptionsData(options) };
+      }
+      
+      return await prisma.menuOptionGroup.update({
+        where: { id: group.id },
+        data: updateData,
+        include: {
+          options: { orderBy: { position: 'asc' } },
+        },
+      });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Option group updated successfully',
+      optionGroup,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an option group and its options
+ * @route   DELETE /api/menu/option-groups/:groupId
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.deleteOptionGroup = async (req, res, next) => {
+  try {
+    const group = await findManagedOptionGroup(req, res);
+    if (!group) return;
+    
+    await prisma.menuOptionGroup.delete({
+      where: { id: group.id },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Option group deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Toggle a single option's availability (e.g. out of oat milk)
+ * @route   PATCH /api/menu/options/:optionId/toggle-availability
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.toggleOptionAvailability = async (req, res, next) => {
+  try {
+    const { optionId } = req.params;
+    
+    const option = await prisma.menuOption.findUnique({
+      where: { id: parseInt(optionId) },
+      include: {
+        group: {
+          select: {
+            menuItem: { select: { hotelId: true } },
+          },
+        },
+      },
+    });
+    
+    if (!option) {
+      return res.status(404).json({
+        success: false,
+        message: 'Option not found',
+      });
+    }
+    
+    if (!canManageHotel(req.user, option.group.menuItem.hotelId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this menu item',
+      });
+    }
+    
+    const updatedOption = await prisma.menuOption.update({
+      where: { id: option.id },
+      data: { isAvailable: !option.isAvailable },
+    });
+    
+    res.json({
+      success: true,
+      message: `Option ${updatedOption.isAvailable ? 'enabled' : 'disabled'} successfully`,
+      option: updatedOption,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
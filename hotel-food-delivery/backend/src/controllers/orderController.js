@@ -1,10 +1,12 @@
 const { prisma } = require('../config/database');
+const env = require('../config/env');
 const { 
   generateOrderNumber,
   generateTrackingNumber 
 } = require('../utils/generateOrderNumber');
 const {
   createPaymentIntent,
+  cancelPaymentIntent,
   processCashPayment,
   processMobileMoneyPayment,
 } = require('../utils/payment');
@@ -12,118 +14,382 @@ const {
   sendOrderConfirmation,
   sendOrderStatusUpdate,
   sendHotelNotification,
+  sendRefundNotification,
+  sendLowStockAlert,
 } = require('../utils/emailService');
-const { isWithinDeliveryRadius } = require('../utils/geolocation');
+const { canManageHotel } = require('../middleware/auth');
+const { reserveDeliverySlot } = require('../utils/deliverySlots');
+const { claimPromotionUse } = require('../utils/promotions');
+const { reserveStock } = require('../utils/menuStock');
+const { priceOrder, claimOrderIntake } = require('../utils/pricing');
+const { getOrderEta } = require('../utils/deliveryEta');
+const {
+  cartInclude,
+  revalidateCart,
+  cartToOrderInput,
+} = require('../utils/cart');
+const {
+  canTransition,
+  getAllowedTransitions,
+  applyStatusChange,
+} = require('../utils/orderStatus');
+const {
+  PROVIDERS,
+  recordTransaction,
+  updateTransaction,
+} = require('../utils/paymentLedger');
+const { isRefundable, issueRefund } = require('../utils/refunds');
+const { refreshMobileMoneyPayment } = require('../utils/mobileMoney/settlement');
+const {
+  ASSIGNABLE_ORDER_STATUSES,
+  courierSelect,
+  getAssignmentError,
+  refreshCourierStatus,
+} = require('../utils/couriers');
+const {
+  FINAL_ORDER_STATUSES,
+  publishOrderEvent,
+  publishHotelEvent,
+  subscribeToOrder,
+} = require('../utils/orderEvents');
+const { openEventStream } = require('../utils/eventStream');
+
+// What issueRefund needs loaded on an order
+const refundInclude = {
+  orderItems: true,
+  hotel: {
+    select: { name: true },
+  },
+  promotion: {
+    select: { code: true, discountType: true },
+  },
+  user: {
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      phone: true,
+    },
+  },
+};
 
 /**
- * @desc    Create new order
- * @route   POST /api/orders
- * @access  Private
+ * Charge an order with its payment method and write the attempt to the ledger
+ * @param {Object} order - Order ({ id, orderNumber, hotelId, totalAmount, paymentMethod })
+ * @param {Object} user - Customer ({ id, phone })
+ * @param {string} phoneNumber - Mobile money number (defaults to the customer's phone)
+ * @returns {Promise<Object>} Provider result
  */
-exports.createOrder = async (req, res, next) => {
+const chargeOrder = async (order, user, phoneNumber) => {
+  const { paymentMethod, totalAmount } = order;
+  let paymentResult = null;
+  
   try {
-    const userId = req.user.id;
-    const {
-      hotelId,
-      deliveryAddress,
-      items,
-      deliveryTime,
-      specialInstructions,
-      paymentMethod = 'CASH',
-    } = req.body;
-    
-    // Validate hotel exists and is active
-    const hotel = await prisma.hotel.findUnique({
-      where: { 
-        id: parseInt(hotelId),
-        isActive: true,
-      },
-      include: {
-        menuItems: {
-          where: { isAvailable: true },
-          select: {
-            id: true,
-            price: true,
-            name: true,
-          },
-        },
-      },
+    if (paymentMethod === 'CARD') {
+      paymentResult = await createPaymentIntent(totalAmount, 'usd', {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        hotelId: order.hotelId,
+        userId: user.id,
+      });
+      
+      // Link the intent so Stripe webhooks can find the order
+      if (paymentResult.success) {
+        await prisma.order.update({
+          where: { id: order.id },
+          data: { paymentIntentId: paymentResult.paymentIntentId },
+        });
+      }
+    } else if (paymentMethod === 'MOBILE_MONEY') {
+      paymentResult = await processMobileMoneyPayment(
+        order.orderNumber,
+        totalAmount,
+        phoneNumber || user.phone
+      );
+    } else if (paymentMethod === 'CASH') {
+      paymentResult = await processCashPayment(order.id, totalAmount);
+    }
+  } catch (error) {
+    paymentResult = { success: false, error: error.message };
+  }
+  
+  // Nothing is final yet: card charges settle through the Stripe webhook, mobile
+  // money through the provider callback, and cash is collected on delivery
+  const status = paymentResult.success ? 'PENDING' : 'FAILED';
+  
+  // clientSecret is for the browser only, never store it
+  const { clientSecret, ...payload } = paymentResult;
+  
+  await recordTransaction(prisma, {
+    orderId: order.id,
+    provider: paymentResult.provider || PROVIDERS[paymentMethod],
+    externalId: paymentResult.paymentIntentId
+      || paymentResult.checkoutRequestId
+      || paymentResult.transactionId
+      || null,
+    // Mobile money is charged in the provider's currency
+    amount: paymentResult.currency ? paymentResult.amount : totalAmount,
+    currency: paymentResult.currency,
+    status,
+    errorMessage: paymentResult.success ? null : paymentResult.error,
+    expiresAt: paymentResult.checkoutRequestId
+      ? new Date(Date.now() + env.MPESA_STK_TIMEOUT_SECONDS * 1000)
+      : null,
+    payload,
+  });
+  
+  return paymentResult;
+};
+
+/**
+ * Withdraw an order's outstanding payment attempt before charging it again, so
+ * the customer can't end up paying twice: the card intent is cancelled, and
+ * mobile money prompts still on their phone are marked CANCELLED so approving
+ * one late gets it reversed instead of booked.
+ * @param {Object} order - Order ({ id, paymentMethod, paymentIntentId })
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+const withdrawPayment = async (order) => {
+  if (order.paymentMethod === 'CARD' && order.paymentIntentId) {
+    const cancelled = await cancelPaymentIntent(order.paymentIntentId)
+      .catch(error => ({ success: false, error: error.message }));
+    
+    // Already succeeded or still processing; its webhook settles the order
+    if (!cancelled.success) {
+      return { success: false, error: 'Your previous payment is still being processed' };
+    }
+    
+    await updateTransaction(prisma, {
+      provider: 'stripe',
+      externalId: order.paymentIntentId,
+      from: ['PENDING'],
+    }, { status: 'CANCELLED', errorMessage: 'Replaced by a new payment attempt' });
+    
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { paymentIntentId: null },
+    });
+  }
+  
+  if (order.paymentMethod === 'MOBILE_MONEY') {
+    await prisma.paymentTransaction.updateMany({
+      where: { orderId: order.id, type: 'CHARGE', status: 'PENDING' },
+      data: { status: 'CANCELLED', errorMessage: 'Replaced by a new payment attempt' },
     });
+  }
+  
+  return { success: true };
+};
+
+/**
+ * Settle the payment of a cancelled order.
+ * Paid orders are refunded in full; unpaid card intents are cancelled so the
+ * customer can't be charged for food that won't arrive, and mobile money
+ * prompts still on their phone are withdrawn, so approving one anyway gets
+ * the payment reversed.
+ * @param {number} orderId - Cancelled order
+ * @param {Object} actor - Who cancelled ({ id, role })
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object|null>} issueRefund result, or null if nothing was paid
+ */
+const settleCancelledOrder = async (orderId, actor, reason) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: refundInclude,
+  });
+  
+  if (isRefundable(order)) {
+    const refundResult = await issueRefund(prisma, order, { reason, actor });
     
-    if (!hotel) {
-      return res.status(404).json({
+    if (refundResult.success) {
+      sendRefundNotification(order, order.user, refundResult.refund)
+        .catch(err => console.error('Refund email error:', err));
+    }
+    
+    return refundResult;
+  }
+  
+  if (order.paymentMethod === 'CARD' && order.paymentIntentId && order.paymentStatus === 'PENDING') {
+    const cancelled = await cancelPaymentIntent(order.paymentIntentId)
+      .catch(error => ({ success: false, error: error.message }));
+    
+    if (cancelled.success) {
+      await updateTransaction(prisma, {
+        provider: 'stripe',
+        externalId: order.paymentIntentId,
+        from: ['PENDING'],
+      }, { status: 'CANCELLED', errorMessage: 'Order cancelled before payment' });
+    }
+  }
+  
+  if (order.paymentMethod === 'MOBILE_MONEY') {
+    await prisma.paymentTransaction.updateMany({
+      where: { orderId: order.id, type: 'CHARGE', status: 'PENDING' },
+      data: { status: 'CANCELLED', errorMessage: 'Order cancelled before payment' },
+    });
+  }
+  
+  return null;
+};
+
+/**
+ * @desc    Price a basket without placing the order
+ * @route   POST /api/orders/quote
+ * @access  Private
+ */
+exports.quoteOrder = async (req, res, next) => {
+  try {
+    const quote = await priceOrder(prisma, req.body, req.user.id);
+    
+    if (quote.error) {
+      const { status, ...error } = quote.error;
+      return res.status(status).json({
         success: false,
-        message: 'Hotel not found or not active',
+        ...error,
       });
     }
     
-    // Get user with location for delivery validation
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        phone: true,
+    const { hotel, delivery, orderItems, promotion, deliveryFeeDetails, eta, breakdown } = quote;
+    
+    res.json({
+      success: true,
+      quote: {
+        hotelId: hotel.id,
+        deliveryZone: delivery?.zone ?? null,
+        deliveryDistance: delivery?.distance ?? null,
+        estimatedDeliveryMinutes: eta?.minutes ?? null,
+        eta,
+        deliveryFeeDetails: {
+          ...deliveryFeeDetails,
+          smallOrderThreshold: hotel.smallOrderThreshold,
+          freeDeliveryThreshold: hotel.freeDeliveryThreshold,
+        },
+        items: orderItems.map(({ category, ...item }) => item),
+        promoCode: promotion?.code ?? null,
+        taxRate: hotel.taxRate,
+        ...breakdown,
       },
     });
-    
-    // Validate menu items and calculate total
-    let totalAmount = 0;
-    const orderItems = [];
-    
-    for (const item of items) {
-      const menuItem = hotel.menuItems.find(m => m.id === item.menuItemId);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Error that rolls back an order's transaction when something it reserves runs out
+ * @param {string} message - What ran out, for the customer
+ * @param {Object} details - Extra fields for the 409 response
+ */
+const orderConflict = (message, details = {}) => Object.assign(new Error(message), { statusCode: 409, details });
+
+/**
+ * Place an order: price it, reserve its slot and promo, save it and start the payment.
+ * Shared by direct checkout and cart checkout so both follow the same rules.
+ * @param {Object} input - Order fields (see orderRules.create)
+ * @param {Object} actor - Customer placing the order (req.user)
+ * @returns {Promise<Object>} { order, payment } or { error: { status, message, ...details } }
+ */
+const placeOrder = async (input, actor) => {
+  const userId = actor.id;
+  const {
+    hotelId,
+    deliveryTime,
+    specialInstructions,
+    paymentMethod = 'CASH',
+  } = input;
+  
+  const quote = await priceOrder(prisma, input, userId, { checkIntake: false });
+  
+  if (quote.error) {
+    return quote;
+  }
+  
+  const { hotel, delivery, slotStart, orderItems, promotion, eta, breakdown } = quote;
+  const totalAmount = breakdown.total;
+  
+  if (!delivery) {
+    return {
+      error: { status: 400, message: 'Choose a saved address or send the delivery coordinates' },
+    };
+  }
+  
+  // Scheduled orders arrive at the chosen time; ASAP orders after the estimate
+  let estimatedDeliveryAt = deliveryTime ? new Date(deliveryTime) : null;
+  if (!estimatedDeliveryAt && eta) {
+    estimatedDeliveryAt = new Date(Date.now() + eta.minutes * 60 * 1000);
+  }
+  
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      phone: true,
+    },
+  });
+  
+  // Generate order number
+  const orderNumber = generateOrderNumber();
+  
+  // Create order in transaction. A reservation that fails throws, so the
+  // rollback gives back everything taken before it.
+  let result;
+  try {
+    result = await prisma.$transaction(async (prisma) => {
+      // A busy kitchen's cap is counted with the hotel locked, so racing checkouts can't all pass it
+      const intakeError = await claimOrderIntake(prisma, hotel.id, deliveryTime ? new Date(deliveryTime) : null);
+      if (intakeError) {
+        throw orderConflict(intakeError.message, { resumesAt: intakeError.resumesAt });
+      }
       
-      if (!menuItem) {
-        return res.status(400).json({
-          success: false,
-          message: `Menu item with ID ${item.menuItemId} not found or not available`,
-        });
+      // Then take the portions off today's stock
+      const stock = await reserveStock(prisma, orderItems);
+      if (stock.error) {
+        throw orderConflict(stock.error);
       }
       
-      if (item.quantity < 1) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid quantity for item ${menuItem.name}`,
-        });
+      // Then a place in the delivery slot
+      let deliverySlotId = null;
+      if (slotStart) {
+        deliverySlotId = await reserveDeliverySlot(prisma, hotel, slotStart);
+        if (!deliverySlotId) {
+          throw orderConflict('This delivery slot is fully booked. Please choose another time.');
+        }
       }
       
-      const subtotal = menuItem.price * item.quantity;
-      totalAmount += subtotal;
+      // Count the promo use against its limits.
+      // The promotion stays locked until this order (and its redemption) is saved.
+      const promoClaim = promotion ? await claimPromotionUse(prisma, promotion.id, userId) : null;
+      if (promoClaim?.error) {
+        throw orderConflict(promoClaim.error);
+      }
       
-      orderItems.push({
-        menuItemId: menuItem.id,
-        quantity: item.quantity,
-        unitPrice: menuItem.price,
-        subtotal,
-      });
-    }
-    
-    // Check minimum order amount
-    if (totalAmount < hotel.minOrderAmount) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order amount is $${hotel.minOrderAmount}`,
-      });
-    }
-    
-    // Add delivery fee
-    totalAmount += hotel.deliveryFee;
-    
-    // Generate order number
-    const orderNumber = generateOrderNumber();
-    
-    // Create order in transaction
-    const order = await prisma.$transaction(async (prisma) => {
       const newOrder = await prisma.order.create({
         data: {
           orderNumber,
           userId,
           hotelId: parseInt(hotelId),
+          subtotal: breakdown.subtotal,
+          deliveryFee: breakdown.deliveryFee,
+          discountAmount: breakdown.discount,
+          taxAmount: breakdown.tax,
+          tipAmount: breakdown.tip,
           totalAmount,
-          deliveryAddress,
+          promotionId: promotion?.id ?? null,
+          deliveryAddress: delivery.address,
+          addressId: delivery.addressId,
+          deliveryLatitude: delivery.latitude,
+          deliveryLongitude: delivery.longitude,
+          deliveryDistance: delivery.distance,
+          deliveryZoneId: delivery.zone?.id ?? null,
+          estimatedDeliveryMinutes: eta?.minutes ?? null,
+          estimatedDeliveryMinMinutes: eta?.minMinutes ?? null,
+          estimatedDeliveryMaxMinutes: eta?.maxMinutes ?? null,
+          etaConfidence: eta?.confidence ?? null,
+          estimatedDeliveryAt,
           deliveryTime: deliveryTime ? new Date(deliveryTime) : null,
+          deliverySlotId,
           status: 'PENDING',
           paymentMethod,
           paymentStatus: paymentMethod === 'CASH' ? 'PENDING' : 'PENDING',
@@ -131,19 +397,49 @@ exports.createOrder = async (req, res, next) => {
         },
       });
       
-      // Create order items
-      await prisma.orderItem.createMany({
-        data: orderItems.map(item => ({
+      if (promotion) {
+        await prisma.promotionRedemption.create({
+          data: {
+            promotionId: promotion.id,
+            userId,
+            orderId: newOrder.id,
+            discountAmount: breakdown.discount,
+          },
+        });
+      }
+      
+      // Create order items with their chosen options
+      for (const { options, category, ...item } of orderItems) {
+        await prisma.orderItem.create({
+          data: {
+            orderId: newOrder.id,
+            ...item,
+            options: { create: options },
+          },
+        });
+      }
+      
+      // Start the status timeline
+      await prisma.orderStatusHistory.create({
+        data: {
           orderId: newOrder.id,
-          ...item,
-        })),
+          fromStatus: null,
+          toStatus: 'PENDING',
+          actorId: userId,
+          actorType: actor.type,
+          actorRole: actor.role,
+          note: 'Order placed',
+        },
       });
       
       // Get full order details
-      return await prisma.order.findUnique({
+      const order = await prisma.order.findUnique({
         where: { id: newOrder.id },
         include: {
           hotel: true,
+          promotion: {
+            select: { code: true, description: true, discountType: true },
+          },
           user: {
             select: {
               id: true,
@@ -155,44 +451,136 @@ exports.createOrder = async (req, res, next) => {
           orderItems: {
             include: {
               menuItem: true,
+              options: true,
             },
           },
         },
       });
+      
+      return { order, lowStock: stock.lowStock };
     });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return { error: { status: 409, message: error.message, ...error.details } };
+    }
+    throw error;
+  }
+  
+  const { order, lowStock } = result;
+  
+  publishOrderEvent(order, 'created', { status: order.status, orderNumber: order.orderNumber });
+  
+  // Let the kitchen know it's running out
+  if (lowStock.length > 0) {
+    publishHotelEvent(hotel.id, 'stock', { items: lowStock });
+    sendLowStockAlert(hotel, lowStock)
+      .catch(err => console.error('Low stock alert error:', err));
+  }
+  
+  // Send notifications (async - don't wait)
+  Promise.all([
+    sendOrderConfirmation(order, user),
+    sendHotelNotification(order, hotel.email),
+  ]).catch(err => console.error('Notification error:', err));
+  
+  // Process payment based on method
+  const paymentResult = await chargeOrder(order, user, input.phoneNumber);
+  
+  return { order, payment: paymentResult };
+};
+
+/**
+ * @desc    Create new order
+ * @route   POST /api/orders
+ * @access  Private
+ */
+exports.createOrder = async (req, res, next) => {
+  try {
+    const result = await placeOrder(req.body, req.user);
     
-    // Send notifications (async - don't wait)
-    Promise.all([
-      sendOrderConfirmation(order, user),
-      sendHotelNotification(order, hotel.email),
-    ]).catch(err => console.error('Notification error:', err));
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json({
+        success: false,
+        ...error,
+      });
+    }
     
-    // Process payment based on method
-    let paymentResult = null;
-    if (paymentMethod === 'CARD') {
-      paymentResult = await createPaymentIntent(totalAmount, 'usd', {
-        orderId: order.id,
-        orderNumber: order.orderNumber,
-        hotelId: hotel.id,
-        userId: user.id,
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      order: { ...result.order, eta: getOrderEta(result.order) },
+      payment: result.payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Place an order from the cart for a hotel
+ * @route   POST /api/cart/:hotelId/checkout
+ * @access  Private
+ */
+exports.checkoutCart = async (req, res, next) => {
+  try {
+    const { paymentMethod, phoneNumber } = req.body;
+    
+    const cart = await prisma.cart.findUnique({
+      where: {
+        userId_hotelId: { userId: req.user.id, hotelId: parseInt(req.params.hotelId) },
+      },
+      include: cartInclude,
+    });
+    
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty',
+      });
+    }
+    
+    // Changed lines must be reviewed (updated or removed) before paying
+    const { items, hasStaleItems } = revalidateCart(cart);
+    
+    if (hasStaleItems) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart have changed. Please review them before checking out.',
+        staleItems: items.filter(item => item.stale),
+      });
+    }
+    
+    if (!cart.address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a delivery address before checking out',
+      });
+    }
+    
+    const result = await placeOrder({
+      ...cartToOrderInput(cart),
+      paymentMethod,
+      phoneNumber,
+    }, req.user);
+    
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json({
+        success: false,
+        ...error,
       });
-    } else if (paymentMethod === 'MOBILE_MONEY') {
-      // In real app, get phone number from request
-      paymentResult = await processMobileMoneyPayment(
-        order.id,
-        totalAmount,
-        user.phone,
-        'MPESA'
-      );
-    } else if (paymentMethod === 'CASH') {
-      paymentResult = await processCashPayment(order.id, totalAmount);
     }
     
+    await prisma.cart.delete({
+      where: { id: cart.id },
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      order,
-      payment: paymentResult,
+      order: { ...result.order, eta: getOrderEta(result.order) },
+      payment: result.payment,
     });
   } catch (error) {
     next(error);
@@ -251,6 +639,7 @@ exports.getMyOrders = async (req, res, next) => {
                   imageUrl: true,
                 },
               },
+              options: true,
             },
           },
         },
@@ -267,7 +656,7 @@ exports.getMyOrders = async (req, res, next) => {
       total,
       totalPages,
       currentPage: parseInt(page),
-      orders,
+      orders: orders.map(order => ({ ...order, eta: getOrderEta(order) })),
     });
   } catch (error) {
     next(error);
@@ -288,13 +677,18 @@ exports.getOrder = async (req, res, next) => {
     // Build where clause based on user role
     let where = { id: parseInt(id) };
     
-    if (userRole !== 'ADMIN') {
+    if (userRole === 'HOTEL_ADMIN') {
+      where.hotelId = req.user.hotelId;
+    } else if (userRole !== 'ADMIN' && userRole !== 'DISPATCHER') {
       where.userId = userId;
     }
     
     const order = await prisma.order.findUnique({
       where,
       include: {
+        courier: {
+          select: courierSelect,
+        },
         hotel: {
           select: {
             id: true,
@@ -327,8 +721,16 @@ exports.getOrder = async (req, res, next) => {
                 dietaryTags: true,
               },
             },
+            options: true,
           },
         },
+        statusHistory: {
+          orderBy: { createdAt: 'asc' },
+        },
+        refunds: {
+          orderBy: { createdAt: 'asc' },
+          include: { items: true },
+        },
       },
     });
     
@@ -341,13 +743,89 @@ exports.getOrder = async (req, res, next) => {
     
     res.json({
       success: true,
-      order,
+      order: {
+        ...order,
+        eta: getOrderEta(order),
+      },
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Stream live updates for an order (Server-Sent Events)
+ * @route   GET /api/orders/:id/events
+ * @access  Private (order owner or the hotel's staff)
+ */
+exports.streamOrderEvents = async (req, res, next) => {
+  let stream = null;
+  
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, userId: true, hotelId: true },
+    });
+    
+    const isOwner = order && req.user.type === 'user' && order.userId === req.user.id;
+    
+    if (!order || (!isOwner && !canManageHotel(req.user, order.hotelId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    
+    stream = openEventStream(req, res);
+    
+    // Subscribe before reading the snapshot so nothing falls in between
+    const unsubscribe = await subscribeToOrder(order.id, (event) => {
+      stream.send(event.type, { ...event.data, at: event.at });
+      
+      if (event.type === 'status' && FINAL_ORDER_STATUSES.includes(event.data.status)) {
+        stream.close();
+      }
+    });
+    stream.onClose(unsubscribe);
+    
+    const snapshot = await prisma.order.findUnique({
+      where: { id: order.id },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        trackingNumber: true,
+        estimatedDeliveryMinutes: true,
+        estimatedDeliveryAt: true,
+        courierAcceptedAt: true,
+        pickedUpAt: true,
+        deliveredAt: true,
+        courier: {
+          select: {
+            ...courierSelect,
+            latitude: true,
+            longitude: true,
+            locatedAt: true,
+          },
+        },
+      },
+    });
+    
+    stream.send('snapshot', snapshot);
+    
+    if (FINAL_ORDER_STATUSES.includes(snapshot.status)) {
+      stream.close();
+    }
+  } catch (error) {
+    // Once the stream has started the error handler can't answer any more
+    if (stream) {
+      console.error('Order stream error:', error);
+      return stream.close();
+    }
+    next(error);
+  }
+};
+
 /**
  * @desc    Update order status (Admin/HotelAdmin only)
  * @route   PUT /api/orders/:id/status
@@ -356,7 +834,7 @@ exports.getOrder = async (req, res, next) => {
 exports.updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, deliveryNotes } = req.body;
+    const { status, deliveryNotes, note } = req.body;
     const user = req.user;
     
     // Check if order exists
@@ -388,22 +866,60 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
     
     // Check permissions
-    if (user.role === 'HOTEL_ADMIN' && order.hotelId !== user.hotelId) {
+    if (!canManageHotel(user, order.hotelId)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this order',
       });
     }
     
-    // Update order
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(id) },
-      data: {
-        status,
-        ...(deliveryNotes && { deliveryNotes }),
-      },
+    // Enforce the status state machine
+    if (!canTransition(order.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedStatuses: getAllowedTransitions(order.status),
+      });
+    }
+    
+    // Update order and record the transition
+    const updatedOrder = await prisma.$transaction(async (prisma) => {
+      const applied = await applyStatusChange(prisma, order, status, {
+        actor: user,
+        note,
+        data: deliveryNotes ? { deliveryNotes } : {},
+      });
+      
+      if (!applied) return null;
+      
+      return await prisma.order.findUnique({
+        where: { id: order.id },
+        include: {
+          hotel: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
     });
     
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed by someone else. Please refresh and try again.',
+      });
+    }
+    
+    publishOrderEvent(order, 'status', { status, fromStatus: order.status });
+    
+    const refundResult = status === 'CANCELLED'
+      ? await settleCancelledOrder(order.id, user, note || 'Cancelled by the hotel')
+      : null;
+    
     // Send status update notification
     sendOrderStatusUpdate(updatedOrder, order.user)
       .catch(err => console.error('Status update email error:', err));
@@ -412,6 +928,10 @@ exports.updateOrderStatus = async (req, res, next) => {
       success: true,
       message: 'Order status updated successfully',
       order: updatedOrder,
+      ...(refundResult && {
+        refund: refundResult.refund ?? null,
+        ...(!refundResult.success && { refundError: refundResult.error }),
+      }),
     });
   } catch (error) {
     next(error);
@@ -445,17 +965,159 @@ exports.cancelOrder = async (req, res, next) => {
     }
     
     // Update order status to CANCELLED
-    const updatedOrder = await prisma.order.update({
+    const updatedOrder = await prisma.$transaction(async (prisma) => {
+      const applied = await applyStatusChange(prisma, order, 'CANCELLED', {
+        actor: req.user,
+        note: req.body.reason || 'Cancelled by customer',
+      });
+      
+      if (!applied) return null;
+      
+      return await prisma.order.findUnique({ where: { id: order.id } });
+    });
+    
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed while cancelling. Please refresh and try again.',
+      });
+    }
+    
+    publishOrderEvent(order, 'status', { status: 'CANCELLED', fromStatus: order.status });
+    
+    const refundResult = await settleCancelledOrder(
+      order.id,
+      req.user,
+      req.body.reason || 'Cancelled by customer'
+    );
+    
+    res.json({
+      success: true,
+      message: refundResult && !refundResult.success
+        ? 'Order cancelled, but the refund could not be processed. Our team will follow up.'
+        : 'Order cancelled successfully',
+      order: refundResult?.success
+        ? await prisma.order.findUnique({ where: { id: order.id } })
+        : updatedOrder,
+      refund: refundResult?.refund ?? null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign or reassign the courier delivering an order
+ * @route   PUT /api/orders/:id/courier
+ * @access  Private/Admin, Dispatcher or HotelAdmin
+ */
+exports.assignCourier = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const courierId = parseInt(req.body.courierId);
+    const user = req.user;
+    
+    const order = await prisma.order.findUnique({
       where: { id: parseInt(id) },
-      data: { 
-        status: 'CANCELLED',
-        paymentStatus: 'REFUNDED', // Mark payment as refunded if paid
-      },
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    
+    // Dispatchers work across hotels; hotel staff only for their own
+    if (user.role !== 'DISPATCHER' && !canManageHotel(user, order.hotelId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to dispatch this order',
+      });
+    }
+    
+    if (!ASSIGNABLE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: order.status === 'OUT_FOR_DELIVERY'
+          ? 'This order has already been picked up'
+          : `Cannot assign a courier to a ${order.status} order`,
+        currentStatus: order.status,
+      });
+    }
+    
+    if (order.courierId === courierId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This courier is already assigned to the order',
+      });
+    }
+    
+    const courier = await prisma.courier.findUnique({
+      where: { id: courierId },
+    });
+    
+    if (!courier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Courier not found',
+      });
+    }
+    
+    const assignmentError = getAssignmentError(courier, order.hotelId);
+    
+    if (assignmentError) {
+      return res.status(400).json({
+        success: false,
+        message: assignmentError,
+      });
+    }
+    
+    const updatedOrder = await prisma.$transaction(async (prisma) => {
+      // Only if nobody dispatched or moved the order in the meantime
+      const { count } = await prisma.order.updateMany({
+        where: { id: order.id, status: order.status, courierId: order.courierId },
+        data: {
+          courierId: courier.id,
+          trackingNumber: order.trackingNumber || generateTrackingNumber(),
+          courierAssignedAt: new Date(),
+          courierAcceptedAt: null,
+        },
+      });
+      
+      if (count === 0) return null;
+      
+      // The previous courier may have nothing left to carry
+      if (order.courierId) {
+        await refreshCourierStatus(prisma, order.courierId);
+      }
+      
+      return await prisma.order.findUnique({
+        where: { id: order.id },
+        include: {
+          courier: {
+            select: courierSelect,
+          },
+        },
+      });
+    });
+    
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was changed by someone else. Please refresh and try again.',
+      });
+    }
+    
+    publishOrderEvent(order, 'courier', {
+      courier: updatedOrder.courier,
+      trackingNumber: updatedOrder.trackingNumber,
+      accepted: false,
     });
     
     res.json({
       success: true,
-      message: 'Order cancelled successfully',
+      message: order.courierId ? 'Courier reassigned successfully' : 'Courier assigned successfully',
       order: updatedOrder,
     });
   } catch (error) {
@@ -463,6 +1125,70 @@ exports.cancelOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get orders waiting for or out with a courier
+ * @route   GET /api/orders/dispatch
+ * @access  Private/Admin, Dispatcher or HotelAdmin
+ */
+exports.getDispatchOrders = async (req, res, next) => {
+  try {
+    const { hotelId, unassigned } = req.query;
+    
+    const where = {
+      status: { in: [...ASSIGNABLE_ORDER_STATUSES, 'OUT_FOR_DELIVERY'] },
+    };
+    
+    if (req.user.role === 'HOTEL_ADMIN') {
+      where.hotelId = req.user.hotelId;
+    } else if (hotelId) {
+      where.hotelId = parseInt(hotelId);
+    }
+    
+    if (unassigned === 'true') {
+      where.courierId = null;
+    }
+    
+    const orders = await prisma.order.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        orderNumber: true,
+        trackingNumber: true,
+        status: true,
+        deliveryAddress: true,
+        deliveryLatitude: true,
+        deliveryLongitude: true,
+        deliveryDistance: true,
+        deliveryTime: true,
+        estimatedDeliveryAt: true,
+        courierAssignedAt: true,
+        courierAcceptedAt: true,
+        pickedUpAt: true,
+        createdAt: true,
+        hotel: {
+          select: {
+            id: true,
+            name: true,
+            address: true,
+          },
+        },
+        courier: {
+          select: courierSelect,
+        },
+      },
+    });
+    
+    res.json({
+      success: true,
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get hotel orders (for hotel admin)
  * @route   GET /api/orders/hotel/:hotelId
@@ -471,36 +1197,19 @@ exports.cancelOrder = async (req, res, next) => {
 exports.getHotelOrders = async (req, res, next) => {
   try {
     const { hotelId } = req.params;
-    const user = req.user;
     const {
       page = 1,
       limit = 20,
       status,
       startDate,
       endDate,
+      scheduled,
       sortBy = 'createdAt',
       sortOrder = 'desc',
     } = req.query;
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Check permissions
-    if (user.role === 'HOTEL_ADMIN') {
-      const hotelAdmin = await prisma.hotelAdmin.findFirst({
-        where: {
-          hotelId: parseInt(hotelId),
-          email: user.email,
-        },
-      });
-      
-      if (!hotelAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to view orders for this hotel',
-        });
-      }
-    }
-    
     // Build where clause
     const where = { hotelId: parseInt(hotelId) };
     
@@ -508,6 +1217,16 @@ exports.getHotelOrders = async (req, res, next) => {
       where.status = status;
     }
     
+    // "Scheduled for later" view: open pre-orders, soonest first
+    const scheduledView = scheduled === 'true';
+    if (scheduledView) {
+      where.deliverySlotId = { not: null };
+      where.deliveryTime = { gt: new Date() };
+      if (!status) {
+        where.status = { notIn: ['DELIVERED', 'CANCELLED'] };
+      }
+    }
+    
     // Date range filter
     if (startDate || endDate) {
       where.createdAt = {};
@@ -520,9 +1239,9 @@ exports.getHotelOrders = async (req, res, next) => {
         where,
         skip,
         take: parseInt(limit),
-        orderBy: {
-          [sortBy]: sortOrder,
-        },
+        orderBy: scheduledView
+          ? { deliveryTime: 'asc' }
+          : { [sortBy]: sortOrder },
         include: {
           user: {
             select: {
@@ -532,6 +1251,10 @@ exports.getHotelOrders = async (req, res, next) => {
               email: true,
             },
           },
+          deliverySlot: true,
+          courier: {
+            select: courierSelect,
+          },
           orderItems: {
             include: {
               menuItem: {
@@ -541,6 +1264,7 @@ exports.getHotelOrders = async (req, res, next) => {
                   price: true,
                 },
               },
+              options: true,
             },
           },
         },
@@ -683,4 +1407,205 @@ exports.getOrderStats = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Retry a failed or unfinished payment
+ * @route   POST /api/orders/:id/payment/retry
+ * @access  Private
+ */
+exports.retryPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const order = await prisma.order.findFirst({
+      where: {
+        id: parseInt(id),
+        userId: req.user.id,
+      },
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    
+    if (order.status === 'CANCELLED' || !['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot retry payment for an order with payment status ${order.paymentStatus}`,
+      });
+    }
+    
+    if (order.paymentMethod === 'CASH') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash orders are paid on delivery',
+      });
+    }
+    
+    const withdrawn = await withdrawPayment(order);
+    
+    if (!withdrawn.success) {
+      return res.status(409).json({
+        success: false,
+        message: withdrawn.error,
+      });
+    }
+    
+    const paymentResult = await chargeOrder(order, req.user, req.body.phoneNumber);
+    
+    // A new attempt puts a failed order back in the queue for the webhook, and
+    // a failed one leaves nothing pending now the old attempt is withdrawn
+    const fromStatus = paymentResult.success ? 'FAILED' : 'PENDING';
+    await prisma.order.updateMany({
+      where: { id: order.id, paymentStatus: fromStatus },
+      data: { paymentStatus: paymentResult.success ? 'PENDING' : 'FAILED' },
+    });
+    
+    res.status(paymentResult.success ? 200 : 402).json({
+      success: paymentResult.success,
+      message: paymentResult.success ? 'Payment initiated' : paymentResult.error,
+      payment: paymentResult,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an order's payment status, checking pending mobile money with the provider
+ * @route   GET /api/orders/:id/payment
+ * @access  Private
+ */
+exports.getPaymentStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    let where = { id: parseInt(id) };
+    
+    if (req.user.role === 'HOTEL_ADMIN') {
+      where.hotelId = req.user.hotelId;
+    } else if (req.user.role !== 'ADMIN') {
+      where.userId = req.user.id;
+    }
+    
+    const order = await prisma.order.findFirst({
+      where,
+      select: { id: true, paymentMethod: true },
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    
+    // Callbacks can be slow or lost, so a customer waiting on the prompt can poll here
+    if (order.paymentMethod === 'MOBILE_MONEY') {
+      const pending = await prisma.paymentTransaction.findMany({
+        where: { orderId: order.id, type: 'CHARGE', status: 'PENDING' },
+      });
+      
+      for (const transaction of pending) {
+        await refreshMobileMoneyPayment(prisma, transaction)
+          .catch(error => console.error('Payment status query error:', error.message));
+      }
+    }
+    
+    const payment = await prisma.order.findUnique({
+      where: { id: order.id },
+      select: {
+        id: true,
+        orderNumber: true,
+        paymentMethod: true,
+        paymentStatus: true,
+        totalAmount: true,
+        refundedAmount: true,
+        transactions: {
+          orderBy: { createdAt: 'desc' },
+          select: {
+            id: true,
+            type: true,
+            provider: true,
+            status: true,
+            amount: true,
+            attempt: true,
+            receiptNumber: true,
+            errorMessage: true,
+            expiresAt: true,
+            createdAt: true,
+          },
+        },
+      },
+    });
+    
+    res.json({
+      success: true,
+      payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refund an order in full or by line
+ * @route   POST /api/orders/:id/refunds
+ * @access  Private/Admin or HotelAdmin
+ */
+exports.refundOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { items, reason } = req.body;
+    
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(id) },
+      include: refundInclude,
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+    
+    if (!canManageHotel(req.user, order.hotelId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to refund this order',
+      });
+    }
+    
+    const refundResult = await issueRefund(prisma, order, {
+      lines: items,
+      reason,
+      actor: req.user,
+    });
+    
+    if (!refundResult.success) {
+      return res.status(refundResult.status).json({
+        success: false,
+        message: refundResult.error,
+        ...(refundResult.refund && { refund: refundResult.refund }),
+      });
+    }
+    
+    sendRefundNotification(order, order.user, refundResult.refund)
+      .catch(err => console.error('Refund email error:', err));
+    
+    res.status(201).json({
+      success: true,
+      message: refundResult.refund.status === 'SUCCEEDED'
+        ? 'Refund issued successfully'
+        : 'Refund requested; it completes once the payment provider confirms it',
+      refund: refundResult.refund,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
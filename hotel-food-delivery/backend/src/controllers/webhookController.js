@@ -0,0 +1,550 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const env = require('../config/env');
+const { verifyWebhookSignature, listChargeRefunds } = require('../utils/payment');
+const { recordTransaction, updateTransaction } = require('../utils/paymentLedger');
+const { settleRefund } = require('../utils/refunds');
+const { getProvider } = require('../utils/mobileMoney');
+const { settleMobileMoneyPayment } = require('../utils/mobileMoney/settlement');
+
+/**
+ * Payment status each Stripe event moves an order to, and the statuses it may
+ * move from. Anything else (e.g. a late payment_failed after a success) is ignored,
+ * so redelivered or out-of-order events can't undo a newer state.
+ */
+const STRIPE_EVENT_TRANSITIONS = {
+  'payment_intent.succeeded': { to: 'PAID', from: ['PENDING', 'FAILED'] },
+  'payment_intent.payment_failed': { to: 'FAILED', from: ['PENDING'] },
+  'charge.refunded': { to: 'REFUNDED', from: ['PAID', 'PARTIALLY_REFUNDED'] },
+  // A refund's own outcome; settleRefund moves the order once it succeeds
+  'charge.refund.updated': { to: null },
+};
+
+// A charge.refunded event for only part of the charge
+const PARTIAL_REFUND_TRANSITION = { to: 'PARTIALLY_REFUNDED', from: ['PAID'] };
+
+// Ledger status for each Stripe refund status; the rest are still PENDING
+const STRIPE_REFUND_STATUSES = {
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'FAILED',
+};
+
+/**
+ * Find the order a Stripe event is about
+ * @param {Object} object - event.data.object (PaymentIntent or Charge)
+ * @returns {Promise<Object|null>} Order ({ id, paymentStatus }) or null
+ */
+const findOrderForStripeObject = async (object) => {
+  const paymentIntentId = object.object === 'payment_intent' ? object.id : object.payment_intent;
+  
+  if (paymentIntentId) {
+    const order = await prisma.order.findUnique({
+      where: { paymentIntentId },
+      select: { id: true, paymentStatus: true },
+    });
+    
+    if (order) return order;
+  }
+  
+  // Fall back to the metadata set in createPaymentIntent
+  const orderId = parseInt(object.metadata?.orderId);
+  if (!orderId) return null;
+  
+  return prisma.order.findUnique({
+    where: { id: orderId },
+    select: { id: true, paymentStatus: true },
+  });
+};
+
+/**
+ * Write a Stripe refund to the ledger, matched by its Stripe id.
+ * Refunds sent by issueRefund already have a PENDING entry: while issueRefund
+ * still waits on Stripe the entry has no Stripe id yet, so it's found by the
+ * refund id issueRefund put in the metadata. Anything else was refunded from
+ * the Stripe dashboard and is booked the first time it's seen.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {Object} stripeRefund - Stripe refund
+ * @param {Object} order - Order the refund is for
+ */
+const recordStripeRefund = async (prisma, stripeRefund, order) => {
+  const status = STRIPE_REFUND_STATUSES[stripeRefund.status] || 'PENDING';
+  const errorMessage = status === 'FAILED' ? stripeRefund.failure_reason || 'Refund failed' : null;
+  const refundId = parseInt(stripeRefund.metadata?.refundId) || null;
+  
+  const entry = await prisma.paymentTransaction.findFirst({
+    where: {
+      orderId: order.id,
+      provider: 'stripe',
+      type: 'REFUND',
+      OR: [
+        { externalId: stripeRefund.id },
+        ...(refundId ? [{ refundId }] : []),
+      ],
+    },
+  });
+  
+  if (entry?.refundId) {
+    await settleRefund(prisma, entry.refundId, {
+      status,
+      externalId: stripeRefund.id,
+      errorMessage,
+      payload: stripeRefund,
+    });
+    return;
+  }
+  
+  if (entry) {
+    // A dashboard refund seen before; follow it to its outcome
+    const moved = await updateTransaction(prisma, {
+      provider: 'stripe',
+      externalId: stripeRefund.id,
+      type: 'REFUND',
+      from: status === 'FAILED' ? ['PENDING', 'SUCCEEDED'] : ['PENDING'],
+    }, { status, errorMessage, payload: stripeRefund });
+    
+    // One that didn't go through no longer counts
+    if (moved > 0 && status === 'FAILED') {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { refundedAmount: { decrement: entry.amount } },
+      });
+    }
+    return;
+  }
+  
+  if (status === 'FAILED') return;
+  
+  // Refunded from the Stripe dashboard rather than through issueRefund
+  const amount = stripeRefund.amount / 100;
+  
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { refundedAmount: { increment: amount } },
+  });
+  
+  await recordTransaction(prisma, {
+    orderId: order.id,
+    type: 'REFUND',
+    provider: 'stripe',
+    externalId: stripeRefund.id,
+    amount,
+    currency: stripeRefund.currency,
+    status,
+    payload: stripeRefund,
+  });
+};
+
+/**
+ * Get the Stripe refunds a refund event reports on. charge.refunded only
+ * carries the charge's running total, which would double-count a refund still
+ * being issued, so the charge's refunds are fetched and reconciled one by one.
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Array|null>} Stripe refunds, or null for other events
+ */
+const getEventRefunds = async (event) => {
+  const object = event.data.object;
+  
+  if (event.type === 'charge.refund.updated') return [object];
+  
+  if (event.type === 'charge.refunded') {
+    // Older API versions (and the replay fixtures) embed the list
+    return object.refunds && !object.refunds.has_more
+      ? object.refunds.data
+      : listChargeRefunds(object.id);
+  }
+  
+  return null;
+};
+
+/**
+ * Write what a Stripe event reports to the payment ledger
+ * @param {Object} prisma - Prisma transaction client
+ * @param {Object} event - Verified Stripe event
+ * @param {Object} order - Order the event is about
+ * @param {Array|null} refunds - Stripe refunds the event reports on (see getEventRefunds)
+ */
+const recordStripeEvent = async (prisma, event, order, refunds) => {
+  const object = event.data.object;
+  
+  if (refunds) {
+    for (const stripeRefund of refunds) {
+      await recordStripeRefund(prisma, stripeRefund, order);
+    }
+    return;
+  }
+  
+  const succeeded = event.type === 'payment_intent.succeeded';
+  const changes = {
+    status: succeeded ? 'SUCCEEDED' : 'FAILED',
+    errorMessage: succeeded ? null : object.last_payment_error?.message || 'Payment failed',
+    payload: object,
+  };
+  
+  const existing = await prisma.paymentTransaction.count({
+    where: { provider: 'stripe', externalId: object.id, type: 'CHARGE' },
+  });
+  
+  // Intents created outside createOrder (e.g. the dashboard) have no entry yet
+  if (existing === 0) {
+    await recordTransaction(prisma, {
+      orderId: order.id,
+      provider: 'stripe',
+      externalId: object.id,
+      amount: object.amount / 100,
+      currency: object.currency,
+      ...changes,
+    });
+    return;
+  }
+  
+  // A late failure must not overwrite a charge that already succeeded
+  await updateTransaction(prisma, {
+    provider: 'stripe',
+    externalId: object.id,
+    from: succeeded ? ['PENDING', 'FAILED'] : ['PENDING'],
+  }, changes);
+};
+
+// A delivery still RECEIVED after this long died mid-processing; a redelivery may take it over
+const WEBHOOK_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Record a provider event, or pick it up again if an earlier delivery failed or stalled
+ * @param {Object} eventKey - { provider, eventId }
+ * @param {Object} data - { type, payload }
+ * @returns {Promise<Object|null>} WebhookEvent to process, or null if it was handled or is being handled
+ */
+const claimWebhookEvent = async (eventKey, data) => {
+  const record = await prisma.webhookEvent.findUnique({
+    where: { provider_eventId: eventKey },
+  });
+  
+  if (record) {
+    // Conditional on status, so of two redeliveries only one takes the event over
+    const { count } = await prisma.webhookEvent.updateMany({
+      where: {
+        id: record.id,
+        OR: [
+          { status: 'FAILED' },
+          { status: 'RECEIVED', updatedAt: { lt: new Date(Date.now() - WEBHOOK_STALE_MS) } },
+        ],
+      },
+      data: { status: 'RECEIVED', error: null },
+    });
+    
+    return count > 0 ? record : null;
+  }
+  
+  try {
+    return await prisma.webhookEvent.create({
+      data: { ...eventKey, ...data },
+    });
+  } catch (error) {
+    // Another delivery of the same event got here first
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+};
+
+/**
+ * @desc    Receive Stripe events and reconcile order payment status
+ * @route   POST /api/webhooks/stripe
+ * @access  Public (verified by Stripe signature)
+ */
+exports.stripeWebhook = async (req, res, next) => {
+  try {
+    const event = verifyWebhookSignature(req.body, req.headers['stripe-signature']);
+    
+    if (event === false) {
+      return res.status(503).json({
+        success: false,
+        message: 'Stripe webhooks are not configured',
+      });
+    }
+    
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid Stripe signature',
+      });
+    }
+    
+    const eventKey = { provider: 'stripe', eventId: event.id };
+    
+    // Stripe redelivers events; only the first successful delivery is applied
+    const record = await claimWebhookEvent(eventKey, {
+      type: event.type,
+      payload: event,
+    });
+    
+    if (!record) {
+      return res.json({ received: true, duplicate: true });
+    }
+    
+    const object = event.data.object;
+    const transition = event.type === 'charge.refunded' && !object.refunded
+      ? PARTIAL_REFUND_TRANSITION
+      : STRIPE_EVENT_TRANSITIONS[event.type];
+    
+    const order = transition ? await findOrderForStripeObject(object) : null;
+    
+    if (!order) {
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: {
+          status: 'IGNORED',
+          error: transition ? 'No matching order' : null,
+          processedAt: new Date(),
+        },
+      });
+      
+      return res.json({ received: true });
+    }
+    
+    try {
+      // Fetched first so the transaction isn't held open on a Stripe call
+      const refunds = await getEventRefunds(event);
+      
+      await prisma.$transaction(async (prisma) => {
+        await recordStripeEvent(prisma, event, order, refunds);
+        
+        // Only moves forward from the expected statuses, so replays are no-ops
+        let count = 0;
+        if (transition.to) {
+          ({ count } = await prisma.order.updateMany({
+            where: {
+              id: order.id,
+              paymentStatus: { in: transition.from },
+            },
+            data: { paymentStatus: transition.to },
+          }));
+        }
+        
+        await prisma.webhookEvent.update({
+          where: { id: record.id },
+          data: {
+            orderId: order.id,
+            status: 'PROCESSED',
+            error: count > 0 || !transition.to ? null : `Order payment status is ${order.paymentStatus}, left unchanged`,
+            processedAt: new Date(),
+          },
+        });
+      });
+    } catch (error) {
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: { status: 'FAILED', error: error.message },
+      });
+      
+      // Non-2xx makes Stripe retry the event later
+      throw error;
+    }
+    
+    res.json({ received: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Hosts scripts/mpesa-simulator.js runs on
+const SIMULATOR_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Check the shared token M-Pesa callbacks carry in their URL.
+ * Without MPESA_CALLBACK_TOKEN only the local simulator's callbacks are taken,
+ * and never in production.
+ */
+const hasCallbackToken = (req) => {
+  if (!env.MPESA_CALLBACK_TOKEN) {
+    return env.NODE_ENV !== 'production' && SIMULATOR_HOSTS.includes(new URL(env.MPESA_BASE_URL).hostname);
+  }
+  
+  const expected = Buffer.from(env.MPESA_CALLBACK_TOKEN);
+  const given = Buffer.from(String(req.query.token ?? ''));
+  
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * @desc    Receive M-Pesa STK push results and settle the order payment
+ * @route   POST /api/webhooks/mpesa
+ * @access  Public (verified by callback token)
+ */
+exports.mpesaCallback = async (req, res, next) => {
+  try {
+    if (!hasCallbackToken(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid callback token',
+      });
+    }
+    
+    const result = getProvider('mpesa').parseCallback(req.body);
+    
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid M-Pesa callback',
+      });
+    }
+    
+    // Safaricom only needs to hear that the callback arrived
+    const accepted = { ResultCode: 0, ResultDesc: 'Accepted' };
+    const eventKey = { provider: 'mpesa', eventId: result.requestId };
+    
+    const record = await claimWebhookEvent(eventKey, {
+      type: result.status === 'SUCCEEDED' ? 'stk_push.succeeded' : 'stk_push.failed',
+      payload: req.body,
+    });
+    
+    if (!record) {
+      return res.json(accepted);
+    }
+    
+    const transaction = await prisma.paymentTransaction.findFirst({
+      where: { provider: 'mpesa', externalId: result.requestId, type: 'CHARGE' },
+    });
+    
+    if (!transaction) {
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: {
+          status: 'IGNORED',
+          error: 'No matching payment',
+          processedAt: new Date(),
+        },
+      });
+      
+      return res.json(accepted);
+    }
+    
+    try {
+      const settlement = await settleMobileMoneyPayment(prisma, transaction, result);
+      
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: {
+          orderId: transaction.orderId,
+          status: 'PROCESSED',
+          error: settlement.settled ? null : `Payment status is ${settlement.status}, left unchanged`,
+          processedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: { status: 'FAILED', error: error.message },
+      });
+      
+      throw error;
+    }
+    
+    res.json(accepted);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive M-Pesa reversal results and settle the refund
+ * @route   POST /api/webhooks/mpesa/reversal
+ * @access  Public (verified by callback token)
+ */
+exports.mpesaReversalResult = async (req, res, next) => {
+  try {
+    if (!hasCallbackToken(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid callback token',
+      });
+    }
+    
+    const result = getProvider('mpesa').parseReversalResult(req.body);
+    
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid M-Pesa reversal result',
+      });
+    }
+    
+    const accepted = { ResultCode: 0, ResultDesc: 'Accepted' };
+    
+    const record = await claimWebhookEvent({ provider: 'mpesa', eventId: result.requestId }, {
+      type: result.status === 'SUCCEEDED' ? 'reversal.succeeded' : 'reversal.failed',
+      payload: req.body,
+    });
+    
+    if (!record) {
+      return res.json(accepted);
+    }
+    
+    // reverseMobileMoneyPayment put the refund's ledger entry in the result URL
+    const entry = await prisma.paymentTransaction.findFirst({
+      where: { id: parseInt(req.query.reference) || 0, provider: 'mpesa', type: 'REFUND' },
+    });
+    
+    if (!entry) {
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: {
+          status: 'IGNORED',
+          error: 'No matching refund',
+          processedAt: new Date(),
+        },
+      });
+      
+      return res.json(accepted);
+    }
+    
+    try {
+      await prisma.$transaction(async (prisma) => {
+        const outcome = {
+          status: result.status,
+          externalId: result.requestId,
+          errorMessage: result.status === 'FAILED' ? result.message : null,
+          payload: result.raw,
+        };
+        
+        let error = null;
+        if (entry.refundId) {
+          const refund = await settleRefund(prisma, entry.refundId, outcome);
+          if (refund.status !== result.status) error = `Refund status is ${refund.status}, left unchanged`;
+        } else {
+          // A payment the order didn't take (see reverseCharge); a failed one is left to reverse by hand
+          const count = await updateTransaction(prisma, {
+            id: entry.id,
+            type: 'REFUND',
+            from: ['PENDING'],
+          }, {
+            ...outcome,
+            ...(result.status === 'FAILED' && { errorMessage: `Reverse by hand: ${result.message}` }),
+          });
+          if (count === 0) error = 'Reversal already settled, left unchanged';
+        }
+        
+        await prisma.webhookEvent.update({
+          where: { id: record.id },
+          data: {
+            orderId: entry.orderId,
+            status: 'PROCESSED',
+            error,
+            processedAt: new Date(),
+          },
+        });
+      });
+    } catch (error) {
+      await prisma.webhookEvent.update({
+        where: { id: record.id },
+        data: { status: 'FAILED', error: error.message },
+      });
+      
+      throw error;
+    }
+    
+    res.json(accepted);
+  } catch (error) {
+    next(error);
+  }
+};
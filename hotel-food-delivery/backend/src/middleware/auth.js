@@ -2,6 +2,106 @@ const jwt = require('jsonwebtoken');
 const env = require('../config/env');
 const { prisma } = require('../config/database');
 
+// Permissions granted to each role (ADMIN can do everything)
+const ROLE_PERMISSIONS = {
+  USER: ['orders:create', 'orders:read:own', 'orders:cancel:own'],
+  HOTEL_ADMIN: [
+    'orders:read:hotel',
+    'orders:update-status',
+    'menu:manage',
+    'hotel:update',
+    'hotel:stats',
+    'orders:assign-courier',
+  ],
+  COURIER: [
+    'orders:create',
+    'orders:read:own',
+    'orders:cancel:own',
+    'deliveries:read:own',
+    'deliveries:update:own',
+  ],
+  DISPATCHER: ['orders:read:all', 'orders:assign-courier', 'couriers:read'],
+  ADMIN: ['*'],
+};
+
+/**
+ * Resolve a decoded JWT into the request principal.
+ * Customer/admin tokens carry `userId`; hotel staff tokens from
+ * /api/auth/hotel/login carry `hotelAdminId` and live in the HotelAdmin table.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Object|null>} { id, type, email, fullName, role, hotelId, courierId, permissions, ... }
+ */
+async function resolvePrincipal(decoded) {
+  if (decoded.hotelAdminId) {
+    const hotelAdmin = await prisma.hotelAdmin.findUnique({
+      where: { id: decoded.hotelAdminId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        phone: true,
+        hotelId: true,
+      },
+    });
+    
+    if (!hotelAdmin) return null;
+    
+    return {
+      id: hotelAdmin.id,
+      type: 'hotelAdmin',
+      email: hotelAdmin.email,
+      fullName: hotelAdmin.name,
+      phone: hotelAdmin.phone,
+      role: 'HOTEL_ADMIN',
+      hotelId: hotelAdmin.hotelId,
+      permissions: ROLE_PERMISSIONS.HOTEL_ADMIN,
+    };
+  }
+  
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: {
+      id: true,
+      email: true,
+      fullName: true,
+      role: true,
+      avatar: true,
+      phone: true,
+      company: true,
+    },
+  });
+  
+  if (!user) return null;
+  
+  // Users promoted to HOTEL_ADMIN are linked to a hotel by email
+  let hotelId = null;
+  if (user.role === 'HOTEL_ADMIN') {
+    const hotelAdmin = await prisma.hotelAdmin.findUnique({
+      where: { email: user.email },
+      select: { hotelId: true },
+    });
+    hotelId = hotelAdmin?.hotelId || null;
+  }
+  
+  // Couriers act through their courier profile
+  let courierId = null;
+  if (user.role === 'COURIER') {
+    const courier = await prisma.courier.findUnique({
+      where: { userId: user.id },
+      select: { id: true },
+    });
+    courierId = courier?.id || null;
+  }
+  
+  return {
+    ...user,
+    type: 'user',
+    hotelId,
+    courierId,
+    permissions: ROLE_PERMISSIONS[user.role] || [],
+  };
+}
+
 /**
  * Protect routes - require authentication
  */
@@ -29,19 +129,8 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, env.JWT_SECRET);
     
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        fullName: true,
-        role: true,
-        avatar: true,
-        phone: true,
-        company: true,
-      },
-    });
+    // Get user or hotel admin from database
+    const user = await resolvePrincipal(decoded);
     
     if (!user) {
       return res.status(401).json({
@@ -102,48 +191,171 @@ exports.authorize = (...roles) => {
 };
 
 /**
- * Hotel admin middleware - user must be admin of the hotel
+ * Authorize by permissions (see ROLE_PERMISSIONS)
+ * @param {...string} permissions - Permissions the principal must all hold
  */
-exports.hotelAdmin = async (req, res, next) => {
-  try {
-    const user = req.user;
-    const hotelId = parseInt(req.params.hotelId || req.body.hotelId);
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated',
+      });
+    }
+    
+    const granted = req.user.permissions || [];
+    
+    if (!granted.includes('*') && !permissions.every(permission => granted.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} is not authorized to access this route`,
+      });
+    }
     
-    if (!hotelId) {
-      return res.status(400).json({
+    next();
+  };
+};
+
+/**
+ * Restrict route to customer/admin accounts (User table).
+ * Hotel staff principals have ids from the HotelAdmin table, so routes that
+ * treat req.user.id as a user id must not accept them.
+ */
+exports.requireUserAccount = (req, res, next) => {
+  if (req.user?.type !== 'user') {
+    return res.status(403).json({
+      success: false,
+      message: 'This route is only available to customer accounts',
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Check if a principal may manage a hotel
+ * @param {Object} user - req.user
+ * @param {number|string} hotelId - Hotel to manage
+ * @returns {boolean} True for ADMIN or staff of that hotel
+ */
+function canManageHotel(user, hotelId) {
+  if (!user) return false;
+  if (user.role === 'ADMIN') return true;
+  
+  return user.role === 'HOTEL_ADMIN' && user.hotelId === parseInt(hotelId);
+}
+
+exports.canManageHotel = canManageHotel;
+
+/**
+ * Courier middleware - user must have an active courier profile
+ */
+exports.requireCourier = async (req, res, next) => {
+  try {
+    if (req.user?.role !== 'COURIER' || !req.user.courierId) {
+      return res.status(403).json({
         success: false,
-        message: 'Hotel ID is required',
+        message: 'This route is only available to couriers',
       });
     }
     
-    // Check if user is super admin
-    if (user.role === 'ADMIN') {
-      return next();
+    const courier = await prisma.courier.findUnique({
+      where: { id: req.user.courierId },
+    });
+    
+    if (!courier || !courier.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your courier account is deactivated',
+      });
     }
     
-    // Check if user is hotel admin for this hotel
-    const hotelAdmin = await prisma.hotelAdmin.findFirst({
-      where: {
-        hotelId: hotelId,
-        email: user.email,
-      },
-      include: {
-        hotel: true,
-      },
+    req.courier = courier;
+    next();
+  } catch (error) {
+    console.error('Courier middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+    });
+  }
+};
+
+/**
+ * Hotel admin middleware - user must be admin of the hotel
+ * @param {string} param - Route param holding the hotel ID (falls back to body.hotelId)
+ */
+exports.hotelAdmin = (param = 'hotelId') => {
+  return async (req, res, next) => {
+    try {
+      const hotelId = parseInt(req.params[param] || req.body.hotelId);
+      
+      if (!hotelId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hotel ID is required',
+        });
+      }
+      
+      if (!canManageHotel(req.user, hotelId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to manage this hotel',
+        });
+      }
+      
+      const hotel = await prisma.hotel.findUnique({
+        where: { id: hotelId },
+      });
+      
+      if (!hotel) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hotel not found',
+        });
+      }
+      
+      // Add hotel info to request
+      req.hotel = hotel;
+      next();
+    } catch (error) {
+      console.error('Hotel admin middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+      });
+    }
+  };
+};
+
+/**
+ * Menu item admin middleware - user must be admin of the item's hotel
+ * Runs ahead of uploads, so nothing is written for someone else's menu.
+ */
+exports.menuItemAdmin = async (req, res, next) => {
+  try {
+    const menuItem = await prisma.menuItem.findUnique({
+      where: { id: parseInt(req.params.id) || 0 },
     });
     
-    if (!hotelAdmin) {
+    if (!menuItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu item not found',
+      });
+    }
+    
+    if (!canManageHotel(req.user, menuItem.hotelId)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to manage this hotel',
+        message: 'Not authorized to manage this menu item',
       });
     }
     
-    // Add hotel info to request
-    req.hotel = hotelAdmin.hotel;
+    req.menuItem = menuItem;
     next();
   } catch (error) {
-    console.error('Hotel admin middleware error:', error);
+    console.error('Menu item admin middleware error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -172,4 +384,20 @@ exports.setTokenCookie = (res, token) => {
   };
   
   res.cookie('token', token, options);
-};
\ No newline at end of file
+};
+/**
+ * Set refresh token as cookie (only sent to /api/auth)
+ */
+exports.setRefreshTokenCookie = (res, token, expiresAt) => {
+  const options = {
+    expires: expiresAt,
+    httpOnly: true,
+    secure: env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+  };
+  
+  res.cookie('refreshToken', token, options);
+};
+
+exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
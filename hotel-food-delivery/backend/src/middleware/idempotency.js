@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const { prisma } = require('../config/database');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// How long a request holds its key; if it dies without answering, a retry
+// takes the key over once this runs out. A running request renews it.
+const LEASE_MS = 60 * 1000;
+const LEASE_RENEW_MS = LEASE_MS / 3;
+
+/**
+ * Hash what makes two requests "the same" for a key
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+    .digest('hex');
+}
+
+/**
+ * Claim a key for this request.
+ * An expired key is taken over as if it were new, and so is a key whose
+ * request lost its lease without answering (e.g. the server died mid-request)
+ * when this is a retry of the same request.
+ * @returns {Promise<Object>} { record } if claimed, otherwise { existing }
+ */
+async function claimKey(principal, key, req, requestHash) {
+  const now = new Date();
+  const data = {
+    method: req.method,
+    path: req.originalUrl,
+    requestHash,
+    status: 'IN_PROGRESS',
+    responseStatus: null,
+    responseBody: null,
+    expiresAt: new Date(now.getTime() + env.IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+    lockedUntil: new Date(now.getTime() + LEASE_MS),
+  };
+  
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: { ...principal, key, ...data },
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+  
+  const where = { principalType_principalId_key: { ...principal, key } };
+  const existing = await prisma.idempotencyKey.findUnique({ where });
+  
+  const expired = existing && existing.expiresAt <= now;
+  const abandoned = existing
+    && existing.status === 'IN_PROGRESS'
+    && existing.requestHash === requestHash
+    && (!existing.lockedUntil || existing.lockedUntil <= now);
+  
+  if (expired || abandoned) {
+    // Only one retry wins the takeover
+    const { count } = await prisma.idempotencyKey.updateMany({
+      where: {
+        id: existing.id,
+        status: existing.status,
+        expiresAt: existing.expiresAt,
+        lockedUntil: existing.lockedUntil,
+      },
+      data,
+    });
+    
+    if (count > 0) {
+      return { record: { ...existing, ...data } };
+    }
+    
+    return { existing: await prisma.idempotencyKey.findUnique({ where }) };
+  }
+  
+  return { existing };
+}
+
+/**
+ * Keep renewing a claimed key's lease while its request runs, so a slow
+ * request isn't taken over by its own retry. Stops once a retry has taken
+ * the key over anyway.
+ * @param {Object} record - The claimed key ({ id, lockedUntil }), kept up to date
+ * @returns {Function} Stops renewing; resolves once a renewal under way is done
+ */
+function holdLease(record) {
+  let renewal = Promise.resolve();
+  
+  const timer = setInterval(() => {
+    renewal = renewal.then(async () => {
+      const lockedUntil = new Date(Date.now() + LEASE_MS);
+      const { count } = await prisma.idempotencyKey.updateMany({
+        where: { id: record.id, status: 'IN_PROGRESS', lockedUntil: record.lockedUntil },
+        data: { lockedUntil },
+      });
+      
+      if (count > 0) {
+        record.lockedUntil = lockedUntil;
+      } else {
+        clearInterval(timer);
+      }
+    }).catch(err => console.error('Idempotency lease error:', err));
+  }, LEASE_RENEW_MS);
+  timer.unref();
+  
+  return () => {
+    clearInterval(timer);
+    return renewal;
+  };
+}
+
+/**
+ * Keep a response for replay, or free the key after a server error so the
+ * client can retry with it. A request whose key was taken over by a retry
+ * leaves it to the retry.
+ * @param {Object} record - The claimed key ({ id, lockedUntil })
+ */
+async function saveResponse(record, status, body) {
+  const where = { id: record.id, status: 'IN_PROGRESS', lockedUntil: record.lockedUntil };
+  
+  if (status >= 500) {
+    await prisma.idempotencyKey.deleteMany({ where });
+    return;
+  }
+  
+  await prisma.idempotencyKey.updateMany({
+    where,
+    data: {
+      status: 'COMPLETED',
+      responseStatus: status,
+      responseBody: JSON.parse(JSON.stringify(body)),
+      lockedUntil: null,
+    },
+  });
+}
+
+/**
+ * Make a POST safe to retry with an Idempotency-Key header.
+ * The first request with a key runs and its response is stored per caller and
+ * key; a retry with the same key and body gets that response back instead of
+ * running again. Requests without the header are handled as usual.
+ * Use after protect (keys belong to the caller) and validate.
+ */
+exports.idempotent = () => async (req, res, next) => {
+  const key = req.get(HEADER);
+  
+  if (key === undefined) {
+    return next();
+  }
+  
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+  
+  try {
+    const principal = { principalType: req.user.type, principalId: req.user.id };
+    const requestHash = hashRequest(req);
+    const { record, existing } = await claimKey(principal, key, req, requestHash);
+    
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: `${HEADER} was already used for a different request`,
+        });
+      }
+      
+      if (existing.status === 'IN_PROGRESS') {
+        if (existing.lockedUntil) {
+          res.set('Retry-After', String(Math.max(1, Math.ceil((existing.lockedUntil - Date.now()) / 1000))));
+        }
+        
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+      
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+    
+    // Store the response before it goes out, so a retry that races it is
+    // answered from the store. It's kept even if the client has already gone:
+    // the order exists either way.
+    const releaseLease = holdLease(record);
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      releaseLease()
+        .then(() => saveResponse(record, res.statusCode, body))
+        .catch(err => console.error('Idempotency key error:', err))
+        .finally(() => json(body));
+      return res;
+    };
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete keys whose responses are no longer replayed
+ * @returns {Promise<number>} Number of keys deleted
+ */
+exports.purgeExpiredIdempotencyKeys = async (now = new Date()) => {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: now } },
+  });
+  
+  return count;
+};
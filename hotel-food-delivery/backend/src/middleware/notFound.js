@@ -0,0 +1,11 @@
+/**
+ * Catch-all for routes that don't exist
+ */
+const notFound = (req, res, next) => {
+  res.status(404).json({
+    success: false,
+    message: `Route not found: ${req.method} ${req.originalUrl}`,
+  });
+};
+
+module.exports = notFound;
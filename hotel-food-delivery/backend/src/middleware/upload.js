@@ -16,7 +16,7 @@ const storage = multer.diskStorage({
     let folder = 'general';
     
     // Determine folder based on file type or route
-    if (req.baseUrl.includes('hotels') && req.method === 'POST') {
+    if (req.baseUrl.includes('hotels')) {
       folder = 'hotels';
     } else if (req.baseUrl.includes('menu')) {
       folder = 'menu';
@@ -114,6 +114,24 @@ exports.uploadMultiple = (fieldName, maxCount = 5) => {
   };
 };
 
+/**
+ * Middleware for named file fields (e.g. coverImage + logo)
+ * @param {Array<{name: string, maxCount: number}>} fields - Multer field definitions
+ */
+exports.uploadFields = (fields) => {
+  return (req, res, next) => {
+    upload.fields(fields)(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message || 'File upload error',
+        });
+      }
+      next();
+    });
+  };
+};
+
 /**
  * Process uploaded file and return URL
  */
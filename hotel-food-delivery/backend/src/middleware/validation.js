@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { isValidTimeZone } = require('../utils/openingHours');
+const { isValidZoneGeometry } = require('../utils/deliveryZones');
+const { normalizeFeeTiers } = require('../utils/deliveryFees');
+const { KITCHEN_STAGES } = require('../utils/kitchenQueue');
 
 /**
  * Validate request and return errors if any
@@ -82,6 +86,46 @@ exports.authRules = {
   ],
 };
 
+// Optional delivery zone fields shared by create and update
+const deliveryZoneFields = [
+  body('minOrderAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order must be a positive number'),
+  body('etaOffset')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('ETA offset must be between 0 and 240 minutes'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a positive integer'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+];
+
+// Delivery fee rules shared by hotel create and update (empty clears a threshold)
+const deliveryFeeFields = [
+  body('deliveryFeeTiers')
+    .optional({ nullable: true })
+    .custom(value => !normalizeFeeTiers(value).error)
+    .withMessage('Fee tiers must be a list of { maxDistance (meters), fee }'),
+  body('smallOrderThreshold')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Small order threshold must be a positive number'),
+  body('smallOrderFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Small order fee must be a positive number'),
+  body('freeDeliveryThreshold')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free delivery threshold must be a positive number'),
+];
+
 exports.hotelRules = {
   create: [
     body('name')
@@ -118,45 +162,230 @@ exports.hotelRules = {
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Delivery fee must be a positive number'),
+    ...deliveryFeeFields,
     body('minOrderAmount')
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Minimum order amount must be a positive number'),
+    body('taxRate')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Tax rate must be a fraction between 0 and 1 (e.g. 0.16)'),
     body('deliveryRadius')
       .optional()
       .isInt({ min: 500, max: 10000 })
       .withMessage('Delivery radius must be between 500 and 10000 meters'),
+    body('slotDuration')
+      .optional()
+      .isInt({ min: 5, max: 120 })
+      .withMessage('Slot duration must be between 5 and 120 minutes'),
+    body('slotCapacity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Slot capacity must be at least 1'),
+    body('minLeadTime')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Lead time must be 0 or more minutes'),
+    body('maxAdvanceDays')
+      .optional()
+      .isInt({ min: 0, max: 14 })
+      .withMessage('Scheduling window must be between 0 and 14 days'),
+    body('timezone')
+      .optional()
+      .custom(isValidTimeZone)
+      .withMessage('Invalid timezone'),
   ],
   
   update: [
     param('id')
       .isInt()
       .withMessage('Invalid hotel ID'),
+    body('taxRate')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Tax rate must be a fraction between 0 and 1 (e.g. 0.16)'),
+    ...deliveryFeeFields,
+    body('slotDuration')
+      .optional()
+      .isInt({ min: 5, max: 120 })
+      .withMessage('Slot duration must be between 5 and 120 minutes'),
+    body('slotCapacity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Slot capacity must be at least 1'),
+    body('minLeadTime')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Lead time must be 0 or more minutes'),
+    body('maxAdvanceDays')
+      .optional()
+      .isInt({ min: 0, max: 14 })
+      .withMessage('Scheduling window must be between 0 and 14 days'),
+    body('timezone')
+      .optional()
+      .custom(isValidTimeZone)
+      .withMessage('Invalid timezone'),
+  ],
+  
+  closure: [
+    body('startsAt')
+      .isISO8601()
+      .withMessage('Valid start date/time is required'),
+    body('endsAt')
+      .isISO8601()
+      .withMessage('Valid end date/time is required'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason too long'),
+  ],
+  
+  busyMode: [
+    body('extraPrepMinutes')
+      .optional()
+      .isInt({ min: 0, max: 120 })
+      .withMessage('Extra prep minutes must be between 0 and 120'),
+    body('maxOpenOrders')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Maximum open orders must be between 1 and 500'),
+    body('durationMinutes')
+      .optional()
+      .isInt({ min: 5, max: 720 })
+      .withMessage('Busy mode can last between 5 and 720 minutes'),
+    body('pauseMinutes')
+      .optional()
+      .isInt({ min: 5, max: 720 })
+      .withMessage('Orders can be paused for between 5 and 720 minutes'),
+  ],
+  
+  createZone: [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Zone name is required')
+      .isLength({ max: 100 })
+      .withMessage('Zone name too long'),
+    body('area')
+      .custom(isValidZoneGeometry)
+      .withMessage('Area must be a GeoJSON Polygon or MultiPolygon with closed rings'),
+    body('deliveryFee')
+      .isFloat({ min: 0 })
+      .withMessage('Delivery fee must be a positive number'),
+    ...deliveryZoneFields,
+  ],
+  
+  updateZone: [
+    param('zoneId')
+      .isInt()
+      .withMessage('Invalid zone ID'),
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Zone name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Zone name too long'),
+    body('area')
+      .optional()
+      .custom(isValidZoneGeometry)
+      .withMessage('Area must be a GeoJSON Polygon or MultiPolygon with closed rings'),
+    body('deliveryFee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Delivery fee must be a positive number'),
+    ...deliveryZoneFields,
   ],
 };
 
+// Basket fields shared by checkout and the price quote
+const basketRules = [
+  body('hotelId')
+    .isInt()
+    .withMessage('Hotel ID is required'),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Order must contain at least one item'),
+  body('items.*.menuItemId')
+    .isInt()
+    .withMessage('Invalid menu item ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('items.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Item options must be an array of option IDs'),
+  body('items.*.options.*')
+    .isInt()
+    .withMessage('Invalid option ID'),
+  body('deliveryTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid delivery time format'),
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Invalid promo code'),
+  body('tip')
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Tip must be a positive amount'),
+  body('addressId')
+    .optional()
+    .isInt()
+    .withMessage('Invalid address ID'),
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+];
+
+// Optional courier profile fields shared by create and update
+const courierProfileFields = [
+  body('hotelId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Invalid hotel ID'),
+  body('phone')
+    .optional()
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Invalid phone number'),
+  body('vehicleType')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Vehicle type too long'),
+  body('vehiclePlate')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Vehicle plate too long'),
+];
+
 exports.orderRules = {
   create: [
-    body('hotelId')
-      .isInt()
-      .withMessage('Hotel ID is required'),
+    ...basketRules,
+    body('addressId')
+      .if(body('latitude').not().exists())
+      .exists()
+      .withMessage('Choose a saved address or send the delivery coordinates'),
+    body('longitude')
+      .if(body('latitude').exists())
+      .exists()
+      .withMessage('Longitude is required with latitude'),
     body('deliveryAddress')
+      .if(body('addressId').not().exists())
       .trim()
       .notEmpty()
       .withMessage('Delivery address is required'),
-    body('items')
-      .isArray({ min: 1 })
-      .withMessage('Order must contain at least one item'),
-    body('items.*.menuItemId')
-      .isInt()
-      .withMessage('Invalid menu item ID'),
-    body('items.*.quantity')
-      .isInt({ min: 1 })
-      .withMessage('Quantity must be at least 1'),
-    body('deliveryTime')
-      .optional()
-      .isISO8601()
-      .withMessage('Invalid delivery time format'),
     body('specialInstructions')
       .optional()
       .trim()
@@ -166,6 +395,22 @@ exports.orderRules = {
       .optional()
       .isIn(['CASH', 'CARD', 'MOBILE_MONEY'])
       .withMessage('Invalid payment method'),
+    body('phoneNumber')
+      .optional()
+      .matches(/^[\+]?[0-9][\d]{8,14}$/)
+      .withMessage('Please provide a valid mobile money number'),
+  ],
+  
+  quote: basketRules,
+  
+  retryPayment: [
+    param('id')
+      .isInt()
+      .withMessage('Invalid order ID'),
+    body('phoneNumber')
+      .optional()
+      .matches(/^[\+]?[0-9][\d]{8,14}$/)
+      .withMessage('Please provide a valid mobile money number'),
   ],
   
   updateStatus: [
@@ -175,12 +420,209 @@ exports.orderRules = {
     body('status')
       .isIn(['PENDING', 'CONFIRMED', 'PREPARING', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'])
       .withMessage('Invalid status'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note too long'),
+  ],
+  
+  assignCourier: [
+    param('id')
+      .isInt()
+      .withMessage('Invalid order ID'),
+    body('courierId')
+      .isInt()
+      .withMessage('Valid courier ID is required'),
+  ],
+  
+  refund: [
+    param('id')
+      .isInt()
+      .withMessage('Invalid order ID'),
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array; omit it for a full refund'),
+    body('items.*.orderItemId')
+      .isInt()
+      .withMessage('Invalid order item ID'),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be at least 1'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason too long'),
+  ],
+};
+
+exports.courierRules = {
+  list: [
+    query('status')
+      .optional()
+      .isIn(['OFFLINE', 'AVAILABLE', 'BUSY'])
+      .withMessage('Invalid courier status'),
+    query('hotelId')
+      .optional()
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+  ],
+  
+  create: [
+    body('userId')
+      .isInt()
+      .withMessage('Valid user ID is required'),
+    ...courierProfileFields,
+  ],
+  
+  update: [
+    param('id')
+      .isInt()
+      .withMessage('Invalid courier ID'),
+    ...courierProfileFields,
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  
+  updateStatus: [
+    body('status')
+      .isIn(['AVAILABLE', 'OFFLINE'])
+      .withMessage('Status must be AVAILABLE or OFFLINE'),
+  ],
+  
+  location: [
+    body('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Valid latitude is required'),
+    body('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Valid longitude is required'),
+  ],
+  
+  delivery: [
+    param('id')
+      .isInt()
+      .withMessage('Invalid order ID'),
+  ],
+};
+
+exports.kitchenRules = {
+  bump: [
+    param('orderId')
+      .isInt()
+      .withMessage('Invalid order ID'),
+    body('stage')
+      .optional()
+      .isIn(KITCHEN_STAGES)
+      .withMessage(`Stage must be one of: ${KITCHEN_STAGES.join(', ')}`),
+  ],
+};
+
+exports.cartRules = {
+  cart: [
+    param('hotelId')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+  ],
+  
+  update: [
+    param('hotelId')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    body('addressId')
+      .optional({ nullable: true })
+      .isInt()
+      .withMessage('Invalid address ID'),
+    body('promoCode')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Invalid promo code'),
+    body('deliveryTime')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid delivery time format'),
+    body('specialInstructions')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Special instructions too long'),
+    body('tip')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Tip must be a positive amount'),
+  ],
+  
+  addItem: [
+    param('hotelId')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    body('menuItemId')
+      .isInt()
+      .withMessage('Invalid menu item ID'),
+    body('quantity')
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be between 1 and 100'),
+    body('options')
+      .optional()
+      .isArray()
+      .withMessage('Item options must be an array of option IDs'),
+    body('options.*')
+      .isInt()
+      .withMessage('Invalid option ID'),
+  ],
+  
+  updateItem: [
+    param('hotelId')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    param('itemId')
+      .isInt()
+      .withMessage('Invalid cart item ID'),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be between 1 and 100'),
+    body('options')
+      .optional()
+      .isArray()
+      .withMessage('Item options must be an array of option IDs'),
+    body('options.*')
+      .isInt()
+      .withMessage('Invalid option ID'),
+  ],
+  
+  removeItem: [
+    param('hotelId')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    param('itemId')
+      .isInt()
+      .withMessage('Invalid cart item ID'),
+  ],
+  
+  checkout: [
+    param('hotelId')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    body('paymentMethod')
+      .optional()
+      .isIn(['CASH', 'CARD', 'MOBILE_MONEY'])
+      .withMessage('Invalid payment method'),
+    body('phoneNumber')
+      .optional()
+      .matches(/^[\+]?[0-9][\d]{8,14}$/)
+      .withMessage('Please provide a valid mobile money number'),
   ],
 };
 
 exports.menuRules = {
   create: [
-    body('hotelId')
+    param('hotelId')
       .isInt()
       .withMessage('Hotel ID is required'),
     body('name')
@@ -209,6 +651,227 @@ exports.menuRules = {
       .optional()
       .isBoolean()
       .withMessage('isAvailable must be a boolean'),
+    body('dailyStock')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Daily stock must be 0 or more'),
+    body('stockAlertLevel')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Stock alert level must be 0 or more'),
+  ],
+  
+  stock: [
+    body('dailyStock')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Daily stock must be 0 or more'),
+    body('stockRemaining')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Stock remaining must be 0 or more'),
+    body('stockAlertLevel')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Stock alert level must be 0 or more'),
+  ],
+};
+
+exports.menuOptionRules = {
+  createGroup: [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Option group name is required')
+      .isLength({ max: 50 })
+      .withMessage('Option group name too long'),
+    body('minSelections')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('minSelections must be 0 or more'),
+    body('maxSelections')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('maxSelections must be at least 1'),
+    body('position')
+      .optional()
+      .isInt()
+      .withMessage('Position must be an integer'),
+    body('options')
+      .optional()
+      .isArray()
+      .withMessage('Options must be an array'),
+    body('options.*.name')
+      .trim()
+      .notEmpty()
+      .withMessage('Option name is required'),
+    body('options.*.priceDelta')
+      .optional()
+      .isFloat()
+      .withMessage('Option price must be a number'),
+  ],
+  
+  updateGroup: [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Option group name cannot be empty')
+      .isLength({ max: 50 })
+      .withMessage('Option group name too long'),
+    body('minSelections')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('minSelections must be 0 or more'),
+    body('maxSelections')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('maxSelections must be at least 1'),
+    body('position')
+      .optional()
+      .isInt()
+      .withMessage('Position must be an integer'),
+    body('options')
+      .optional()
+      .isArray()
+      .withMessage('Options must be an array'),
+    body('options.*.name')
+      .trim()
+      .notEmpty()
+      .withMessage('Option name is required'),
+    body('options.*.priceDelta')
+      .optional()
+      .isFloat()
+      .withMessage('Option price must be a number'),
+  ],
+};
+
+exports.promotionRules = {
+  create: [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+    body('discountType')
+      .isIn(['PERCENTAGE', 'FIXED', 'FREE_DELIVERY'])
+      .withMessage('Invalid discount type'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description too long'),
+    body('discountValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Discount value must be a positive number'),
+    body('maxDiscount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Max discount must be a positive number'),
+    body('minOrderAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum order amount must be a positive number'),
+    body('usageLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be at least 1'),
+    body('perUserLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be at least 1'),
+    body('startsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid start date'),
+    body('endsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid end date'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('hotelIds')
+      .optional()
+      .isArray()
+      .withMessage('hotelIds must be an array of hotel IDs'),
+    body('hotelIds.*')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('categories.*')
+      .isString()
+      .withMessage('Invalid category'),
+  ],
+  
+  update: [
+    param('id')
+      .isInt()
+      .withMessage('Invalid promotion ID'),
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+    body('discountType')
+      .optional()
+      .isIn(['PERCENTAGE', 'FIXED', 'FREE_DELIVERY'])
+      .withMessage('Invalid discount type'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description too long'),
+    body('discountValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Discount value must be a positive number'),
+    body('maxDiscount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Max discount must be a positive number'),
+    body('minOrderAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum order amount must be a positive number'),
+    body('usageLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be at least 1'),
+    body('perUserLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be at least 1'),
+    body('startsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid start date'),
+    body('endsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Invalid end date'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('hotelIds')
+      .optional()
+      .isArray()
+      .withMessage('hotelIds must be an array of hotel IDs'),
+    body('hotelIds.*')
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('categories.*')
+      .isString()
+      .withMessage('Invalid category'),
   ],
 };
 
@@ -244,6 +907,69 @@ exports.queryRules = {
       .optional()
       .trim(),
   ],
+  
+  hotelDetail: [
+    query('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Invalid latitude'),
+    query('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Invalid longitude'),
+  ],
+  
+  dispatch: [
+    query('hotelId')
+      .optional()
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    query('unassigned')
+      .optional()
+      .isBoolean()
+      .withMessage('unassigned must be true or false'),
+  ],
+  
+  deliverySlots: [
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+  ],  
+  payments: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('orderId')
+      .optional()
+      .isInt()
+      .withMessage('Invalid order ID'),
+    query('hotelId')
+      .optional()
+      .isInt()
+      .withMessage('Invalid hotel ID'),
+    query('type')
+      .optional()
+      .isIn(['CHARGE', 'REFUND'])
+      .withMessage('Type must be CHARGE or REFUND'),
+    query('status')
+      .optional()
+      .isIn(['PENDING', 'SUCCEEDED', 'FAILED', 'CANCELLED'])
+      .withMessage('Invalid transaction status'),
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid start date'),
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid end date'),
+  ],
 };
 
 // Sanitize input
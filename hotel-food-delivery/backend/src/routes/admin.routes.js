@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { protect, authorize } = require('../middleware/auth');
-const { validate, queryRules, sanitize } = require('../middleware/validation');
+const { validate, queryRules, promotionRules, sanitize } = require('../middleware/validation');
 
 // All routes are protected and require ADMIN role
 router.use(protect, authorize('ADMIN'));
@@ -35,6 +35,36 @@ router.put('/hotel-admins/:id',
 
 router.delete('/hotel-admins/:id', adminController.deleteHotelAdmin);
 
+// Promotions
+router.get('/promotions',
+  validate(queryRules.pagination),
+  adminController.getPromotions
+);
+
+router.post('/promotions',
+  sanitize,
+  validate(promotionRules.create),
+  adminController.createPromotion
+);
+
+router.get('/promotions/:id', adminController.getPromotion);
+
+router.put('/promotions/:id',
+  sanitize,
+  validate(promotionRules.update),
+  adminController.updatePromotion
+);
+
+router.delete('/promotions/:id', adminController.deletePromotion);
+
+// Payment ledger
+router.get('/payments',
+  validate(queryRules.payments),
+  adminController.getPayments
+);
+
+router.get('/payments/:id', adminController.getPayment);
+
 // System stats
 router.get('/stats', adminController.getSystemStats);
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, requireUserAccount } = require('../middleware/auth');
 const { validate, authRules, sanitize } = require('../middleware/validation');
 
 // Public routes
@@ -33,15 +33,19 @@ router.put('/resetpassword/:resetToken',
   authController.resetPassword
 );
 
+router.post('/refresh', authController.refreshToken);
+router.post('/logout', authController.logout);
+
 // Protected routes
-router.get('/logout', protect, authController.logout);
+router.post('/logout-all', protect, requireUserAccount, authController.logoutAll);
 router.get('/me', protect, authController.getMe);
 router.put('/updatedetails', 
   protect,
+  requireUserAccount,
   sanitize,
   validate(authRules.updateProfile),
   authController.updateDetails
 );
-router.put('/updatepassword', protect, authController.updatePassword);
+router.put('/updatepassword', protect, requireUserAccount, authController.updatePassword);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const orderController = require('../controllers/orderController');
+const { protect, requireUserAccount } = require('../middleware/auth');
+const { validate, cartRules, sanitize } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+
+// All routes require a customer account
+router.use(protect, requireUserAccount);
+
+router.get('/', cartController.getCarts);
+
+router.get('/:hotelId',
+  validate(cartRules.cart),
+  cartController.getCart
+);
+
+router.put('/:hotelId',
+  sanitize,
+  validate(cartRules.update),
+  cartController.updateCart
+);
+
+router.delete('/:hotelId',
+  validate(cartRules.cart),
+  cartController.clearCart
+);
+
+// Cart lines
+router.post('/:hotelId/items',
+  sanitize,
+  validate(cartRules.addItem),
+  cartController.addCartItem
+);
+
+router.put('/:hotelId/items/:itemId',
+  sanitize,
+  validate(cartRules.updateItem),
+  cartController.updateCartItem
+);
+
+router.delete('/:hotelId/items/:itemId',
+  validate(cartRules.removeItem),
+  cartController.removeCartItem
+);
+
+// Turns the cart into an order with the same rules as POST /api/orders
+router.post('/:hotelId/checkout',
+  sanitize,
+  validate(cartRules.checkout),
+  idempotent(),
+  orderController.checkoutCart
+);
+
+module.exports = router;
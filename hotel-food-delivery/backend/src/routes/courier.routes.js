@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const courierController = require('../controllers/courierController');
+const { protect, authorize, requireCourier } = require('../middleware/auth');
+const { validate, courierRules, sanitize } = require('../middleware/validation');
+
+// All routes are protected
+router.use(protect);
+
+// The signed-in courier's own deliveries
+router.get('/me',
+  requireCourier,
+  courierController.getMyProfile
+);
+
+router.put('/me/status',
+  requireCourier,
+  sanitize,
+  validate(courierRules.updateStatus),
+  courierController.updateMyStatus
+);
+
+router.put('/me/location',
+  requireCourier,
+  sanitize,
+  validate(courierRules.location),
+  courierController.updateMyLocation
+);
+
+router.get('/me/deliveries',
+  requireCourier,
+  courierController.getMyDeliveries
+);
+
+router.put('/me/deliveries/:id/accept',
+  requireCourier,
+  validate(courierRules.delivery),
+  courierController.acceptDelivery
+);
+
+router.put('/me/deliveries/:id/pickup',
+  requireCourier,
+  validate(courierRules.delivery),
+  courierController.pickUpDelivery
+);
+
+router.put('/me/deliveries/:id/deliver',
+  requireCourier,
+  validate(courierRules.delivery),
+  courierController.completeDelivery
+);
+
+// Fleet management
+router.get('/',
+  authorize('ADMIN', 'DISPATCHER', 'HOTEL_ADMIN'),
+  validate(courierRules.list),
+  courierController.getCouriers
+);
+
+router.post('/',
+  authorize('ADMIN'),
+  sanitize,
+  validate(courierRules.create),
+  courierController.createCourier
+);
+
+router.put('/:id',
+  authorize('ADMIN'),
+  sanitize,
+  validate(courierRules.update),
+  courierController.updateCourier
+);
+
+module.exports = router;
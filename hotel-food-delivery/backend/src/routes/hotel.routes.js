@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const hotelController = require('../controllers/hotelController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission, hotelAdmin } = require('../middleware/auth');
 const { validate, hotelRules, queryRules, sanitize } = require('../middleware/validation');
-const { uploadMultiple } = require('../middleware/upload');
+const { uploadFields } = require('../middleware/upload');
+
+const hotelImages = uploadFields([
+  { name: 'coverImage', maxCount: 1 },
+  { name: 'logo', maxCount: 1 },
+]);
 
 // Public routes
 router.get('/', 
@@ -16,22 +21,32 @@ router.get('/nearby',
   hotelController.getNearbyHotels
 );
 
-router.get('/:id', hotelController.getHotel);
+router.get('/:id',
+  validate(queryRules.hotelDetail),
+  hotelController.getHotel
+);
+
+router.get('/:id/delivery-slots',
+  validate(queryRules.deliverySlots),
+  hotelController.getDeliverySlots
+);
 
 // Protected routes
 router.post('/',
   protect,
   authorize('ADMIN'),
-  uploadMultiple,
+  hotelImages,
   sanitize,
   validate(hotelRules.create),
   hotelController.createHotel
 );
 
+// Access is checked before the upload, so nothing is written for someone else's hotel
 router.put('/:id',
   protect,
-  authorize('ADMIN', 'HOTEL_ADMIN'),
-  uploadMultiple,
+  requirePermission('hotel:update'),
+  hotelAdmin('id'),
+  hotelImages,
   sanitize,
   validate(hotelRules.update),
   hotelController.updateHotel
@@ -49,10 +64,80 @@ router.patch('/:id/toggle-active',
   hotelController.toggleHotelActive
 );
 
+// Busy mode (extra prep time, open-order cap, pauses)
+router.put('/:id/busy',
+  protect,
+  requirePermission('hotel:update'),
+  sanitize,
+  validate(hotelRules.busyMode),
+  hotelAdmin('id'),
+  hotelController.setBusyMode
+);
+
+router.delete('/:id/busy',
+  protect,
+  requirePermission('hotel:update'),
+  hotelAdmin('id'),
+  hotelController.clearBusyMode
+);
+
 router.get('/:id/stats',
   protect,
-  authorize('ADMIN', 'HOTEL_ADMIN'),
+  requirePermission('hotel:stats'),
+  hotelAdmin('id'),
   hotelController.getHotelStats
 );
 
+// Closures (holidays, one-off)
+router.get('/:id/closures',
+  protect,
+  requirePermission('hotel:update'),
+  hotelAdmin('id'),
+  hotelController.getHotelClosures
+);
+
+router.post('/:id/closures',
+  protect,
+  requirePermission('hotel:update'),
+  sanitize,
+  validate(hotelRules.closure),
+  hotelAdmin('id'),
+  hotelController.createHotelClosure
+);
+
+router.delete('/:id/closures/:closureId',
+  protect,
+  requirePermission('hotel:update'),
+  hotelAdmin('id'),
+  hotelController.deleteHotelClosure
+);
+
+// Delivery zones (GeoJSON polygons, replace the delivery radius when set)
+router.get('/:id/zones', hotelController.getDeliveryZones);
+
+router.post('/:id/zones',
+  protect,
+  requirePermission('hotel:update'),
+  sanitize,
+  validate(hotelRules.createZone),
+  hotelAdmin('id'),
+  hotelController.createDeliveryZone
+);
+
+router.put('/:id/zones/:zoneId',
+  protect,
+  requirePermission('hotel:update'),
+  sanitize,
+  validate(hotelRules.updateZone),
+  hotelAdmin('id'),
+  hotelController.updateDeliveryZone
+);
+
+router.delete('/:id/zones/:zoneId',
+  protect,
+  requirePermission('hotel:update'),
+  hotelAdmin('id'),
+  hotelController.deleteDeliveryZone
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const kitchenController = require('../controllers/kitchenController');
+const { protect, requirePermission, hotelAdmin } = require('../middleware/auth');
+const { validate, kitchenRules, sanitize } = require('../middleware/validation');
+
+// Kitchen display for hotel staff
+router.use(protect);
+
+router.get('/:hotelId/queue',
+  requirePermission('orders:read:hotel'),
+  hotelAdmin(),
+  kitchenController.getKitchenQueue
+);
+
+router.get('/:hotelId/stream',
+  requirePermission('orders:read:hotel'),
+  hotelAdmin(),
+  kitchenController.streamKitchenQueue
+);
+
+router.post('/:hotelId/orders/:orderId/bump',
+  requirePermission('orders:update-status'),
+  hotelAdmin(),
+  sanitize,
+  validate(kitchenRules.bump),
+  kitchenController.bumpOrder
+);
+
+module.exports = router;
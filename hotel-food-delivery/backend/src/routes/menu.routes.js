@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const menuController = require('../controllers/menuController');
-const { protect, authorize } = require('../middleware/auth');
-const { validate, menuRules, queryRules, sanitize } = require('../middleware/validation');
+const { protect, authorize, hotelAdmin, menuItemAdmin } = require('../middleware/auth');
+const {
+  validate,
+  menuRules,
+  menuOptionRules,
+  queryRules,
+  sanitize,
+} = require('../middleware/validation');
 const { uploadSingle } = require('../middleware/upload');
 
 // Public routes
@@ -11,27 +17,31 @@ router.get('/search', menuController.searchMenuItems);
 router.get('/:id', menuController.getMenuItem);
 
 // Protected routes
-router.post('/',
+// Access is checked before the upload, so nothing is written for someone else's hotel
+router.post('/hotel/:hotelId',
   protect,
   authorize('ADMIN', 'HOTEL_ADMIN'),
+  hotelAdmin(),
   uploadSingle('image'),
   sanitize,
   validate(menuRules.create),
   menuController.createMenuItem
 );
 
-router.put('/:id',
+router.put('/reorder',
   protect,
   authorize('ADMIN', 'HOTEL_ADMIN'),
-  uploadSingle('image'),
-  sanitize,
-  menuController.updateMenuItem
+  hotelAdmin(),
+  menuController.reorderMenuItems
 );
 
-router.put('/reorder',
+router.put('/:id',
   protect,
   authorize('ADMIN', 'HOTEL_ADMIN'),
-  menuController.reorderMenuItems
+  menuItemAdmin,
+  uploadSingle('image'),
+  sanitize,
+  menuController.updateMenuItem
 );
 
 router.delete('/:id',
@@ -46,4 +56,41 @@ router.patch('/:id/toggle-availability',
   menuController.toggleMenuItemAvailability
 );
 
+router.put('/:id/stock',
+  protect,
+  authorize('ADMIN', 'HOTEL_ADMIN'),
+  sanitize,
+  validate(menuRules.stock),
+  menuController.setMenuItemStock
+);
+
+// Option groups & options
+router.post('/:id/option-groups',
+  protect,
+  authorize('ADMIN', 'HOTEL_ADMIN'),
+  sanitize,
+  validate(menuOptionRules.createGroup),
+  menuController.createOptionGroup
+);
+
+router.put('/option-groups/:groupId',
+  protect,
+  authorize('ADMIN', 'HOTEL_ADMIN'),
+  sanitize,
+  validate(menuOptionRules.updateGroup),
+  menuController.updateOptionGroup
+);
+
+router.delete('/option-groups/:groupId',
+  protect,
+  authorize('ADMIN', 'HOTEL_ADMIN'),
+  menuController.deleteOptionGroup
+);
+
+router.patch('/options/:optionId/toggle-availability',
+  protect,
+  authorize('ADMIN', 'HOTEL_ADMIN'),
+  menuController.toggleOptionAvailability
+);
+
 module.exports = router;
\ No newline at end of file
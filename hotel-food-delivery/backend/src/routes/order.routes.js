@@ -1,19 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  protect,
+  authorize,
+  hotelAdmin,
+  requireUserAccount,
+} = require('../middleware/auth');
 const { validate, orderRules, queryRules, sanitize } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
 // Protected routes
 router.post('/',
   protect,
+  requireUserAccount,
   sanitize,
   validate(orderRules.create),
+  idempotent(),
   orderController.createOrder
 );
 
+router.post('/quote',
+  protect,
+  requireUserAccount,
+  sanitize,
+  validate(orderRules.quote),
+  orderController.quoteOrder
+);
+
 router.get('/',
   protect,
+  requireUserAccount,
   validate(queryRules.pagination),
   orderController.getMyOrders
 );
@@ -24,9 +41,17 @@ router.get('/stats',
   orderController.getOrderStats
 );
 
+router.get('/dispatch',
+  protect,
+  authorize('ADMIN', 'DISPATCHER', 'HOTEL_ADMIN'),
+  validate(queryRules.dispatch),
+  orderController.getDispatchOrders
+);
+
 router.get('/hotel/:hotelId',
   protect,
   authorize('ADMIN', 'HOTEL_ADMIN'),
+  hotelAdmin(),
   validate(queryRules.pagination),
   orderController.getHotelOrders
 );
@@ -36,6 +61,11 @@ router.get('/:id',
   orderController.getOrder
 );
 
+router.get('/:id/events',
+  protect,
+  orderController.streamOrderEvents
+);
+
 router.put('/:id/status',
   protect,
   authorize('ADMIN', 'HOTEL_ADMIN'),
@@ -44,9 +74,41 @@ router.put('/:id/status',
   orderController.updateOrderStatus
 );
 
+router.put('/:id/courier',
+  protect,
+  authorize('ADMIN', 'DISPATCHER', 'HOTEL_ADMIN'),
+  sanitize,
+  validate(orderRules.assignCourier),
+  orderController.assignCourier
+);
+
 router.put('/:id/cancel',
   protect,
+  requireUserAccount,
   orderController.cancelOrder
 );
 
+router.post('/:id/refunds',
+  protect,
+  authorize('ADMIN', 'HOTEL_ADMIN'),
+  sanitize,
+  validate(orderRules.refund),
+  idempotent(),
+  orderController.refundOrder
+);
+
+router.get('/:id/payment',
+  protect,
+  orderController.getPaymentStatus
+);
+
+router.post('/:id/payment/retry',
+  protect,
+  requireUserAccount,
+  sanitize,
+  validate(orderRules.retryPayment),
+  idempotent(),
+  orderController.retryPayment
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const { protect, requireUserAccount } = require('../middleware/auth');
 const { validate, authRules, sanitize } = require('../middleware/validation');
 const { uploadSingle } = require('../middleware/upload');
 
-// Protected routes
-router.get('/profile', protect, userController.getUserProfile);
+// All routes require a customer account
+router.use(protect, requireUserAccount);
+
+router.get('/profile', userController.getUserProfile);
 
 router.put('/profile',
-  protect,
   uploadSingle('avatar'),
   sanitize,
   validate(authRules.updateProfile),
@@ -17,31 +18,27 @@ router.put('/profile',
 );
 
 // Address routes
-router.get('/addresses', protect, userController.getUserAddresses);
+router.get('/addresses', userController.getUserAddresses);
 router.post('/addresses', 
-  protect,
   sanitize,
   userController.addUserAddress
 );
 router.put('/addresses/:id',
-  protect,
   sanitize,
   userController.updateUserAddress
 );
-router.delete('/addresses/:id', protect, userController.deleteUserAddress);
+router.delete('/addresses/:id', userController.deleteUserAddress);
 
 // Order routes
 router.get('/orders',
-  protect,
   userController.getUserOrders
 );
 
 // Favorite routes
-router.get('/favorites', protect, userController.getUserFavorites);
+router.get('/favorites', userController.getUserFavorites);
 
 // Review routes
 router.post('/orders/:orderId/review',
-  protect,
   sanitize,
   userController.submitReview
 );
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+// Providers sign the exact bytes they send, so these routes read the raw body.
+// Mounted before the app-wide JSON parser.
+router.post('/stripe',
+  express.raw({ type: 'application/json' }),
+  webhookController.stripeWebhook
+);
+
+// M-Pesa doesn't sign callbacks; the shared token in the URL is checked instead
+// (MPESA_CALLBACK_TOKEN, required unless you're running the local simulator)
+router.post('/mpesa',
+  express.json(),
+  webhookController.mpesaCallback
+);
+
+router.post('/mpesa/reversal',
+  express.json(),
+  webhookController.mpesaReversalResult
+);
+
+module.exports = router;
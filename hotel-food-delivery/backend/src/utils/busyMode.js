@@ -0,0 +1,89 @@
+/**
+ * Busy mode lets a swamped kitchen slow down intake without going offline.
+ * Everything expires on its own: busyUntil ends the extra prep time and the
+ * open-order cap, ordersPausedUntil ends a pause.
+ */
+
+/**
+ * Get the busy settings in force at a moment
+ * @param {Object} hotel - Hotel ({ busyUntil, busyExtraMinutes, busyMaxOpenOrders, ordersPausedUntil })
+ * @param {Date} now - Moment to check
+ * @returns {Object} { isBusy, busyUntil, extraPrepMinutes, maxOpenOrders, isPaused, pausedUntil }
+ */
+function getBusyMode(hotel, now = new Date()) {
+  const isBusy = Boolean(hotel.busyUntil) && new Date(hotel.busyUntil) > now;
+  const isPaused = Boolean(hotel.ordersPausedUntil) && new Date(hotel.ordersPausedUntil) > now;
+
+  return {
+    isBusy,
+    busyUntil: isBusy ? hotel.busyUntil : null,
+    extraPrepMinutes: isBusy ? hotel.busyExtraMinutes : 0,
+    maxOpenOrders: isBusy ? hotel.busyMaxOpenOrders : null,
+    isPaused,
+    pausedUntil: isPaused ? hotel.ordersPausedUntil : null,
+  };
+}
+
+/**
+ * Work out whether a hotel is taking new ASAP orders, for listings
+ * @param {Object} hotel - Hotel (with its busy settings)
+ * @param {number} openOrders - ASAP orders still in its kitchen
+ * @param {Date} now - Moment to check
+ * @returns {Object} { acceptingOrders, unavailableReason ('paused', 'at_capacity' or null), resumesAt,
+ *   isBusy, busyUntil, extraPrepMinutes }
+ */
+function getOrderIntake(hotel, openOrders = 0, now = new Date()) {
+  const busy = getBusyMode(hotel, now);
+
+  let unavailableReason = null;
+  if (busy.isPaused) {
+    unavailableReason = 'paused';
+  } else if (busy.maxOpenOrders !== null && openOrders >= busy.maxOpenOrders) {
+    unavailableReason = 'at_capacity';
+  }
+
+  return {
+    acceptingOrders: unavailableReason === null,
+    unavailableReason,
+    // A full kitchen frees up as orders go out, so there's no fixed time to give
+    resumesAt: busy.pausedUntil,
+    isBusy: busy.isBusy,
+    busyUntil: busy.busyUntil,
+    extraPrepMinutes: busy.extraPrepMinutes,
+  };
+}
+
+/**
+ * Check a new order against the hotel's pause and open-order cap.
+ * Pre-orders only clash with a pause that covers their delivery time, and
+ * don't count against the cap until the kitchen starts on them.
+ * @param {Object} hotel - Hotel (with its busy settings)
+ * @param {Object} options - { openOrders, deliveryTime (null for ASAP) }
+ * @param {Date} now - Moment to check
+ * @returns {Object|null} { message, resumesAt } or null if the order can go ahead
+ */
+function getIntakeError(hotel, { openOrders = 0, deliveryTime = null } = {}, now = new Date()) {
+  const busy = getBusyMode(hotel, now);
+
+  if (busy.isPaused && (!deliveryTime || new Date(deliveryTime) < new Date(busy.pausedUntil))) {
+    return {
+      message: `${hotel.name} has paused new orders for a while`,
+      resumesAt: busy.pausedUntil,
+    };
+  }
+
+  if (!deliveryTime && busy.maxOpenOrders !== null && openOrders >= busy.maxOpenOrders) {
+    return {
+      message: `${hotel.name} is too busy to take more orders right now. Please try again shortly.`,
+      resumesAt: null,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  getBusyMode,
+  getOrderIntake,
+  getIntakeError,
+};
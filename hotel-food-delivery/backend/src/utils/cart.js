@@ -0,0 +1,115 @@
+const { optionGroupsInclude, resolveItemOptions } = require('./menuOptions');
+const { roundMoney } = require('./promotions');
+
+/**
+ * Prisma include for a cart with what revalidation needs
+ */
+const cartInclude = {
+  hotel: {
+    select: { id: true, name: true, isActive: true, minOrderAmount: true },
+  },
+  address: true,
+  items: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      menuItem: {
+        select: {
+          id: true,
+          hotelId: true,
+          name: true,
+          price: true,
+          imageUrl: true,
+          isAvailable: true,
+          optionGroups: optionGroupsInclude,
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Price a cart line against the current menu
+ * @param {Object} menuItem - Menu item with optionGroups.options loaded
+ * @param {number[]} optionIds - Chosen MenuOption ids
+ * @returns {Object} { success, unitPrice, options } or { success: false, error }
+ */
+function priceCartLine(menuItem, optionIds = []) {
+  if (!menuItem.isAvailable) {
+    return { success: false, error: `${menuItem.name} is currently unavailable` };
+  }
+
+  const optionResult = resolveItemOptions(menuItem, optionIds);
+  if (!optionResult.success) return optionResult;
+
+  return {
+    success: true,
+    unitPrice: roundMoney(menuItem.price + optionResult.optionsTotal),
+    options: optionResult.options,
+  };
+}
+
+/**
+ * Check every cart line against the current menu.
+ * A line is stale when its item or options can no longer be ordered
+ * (UNAVAILABLE) or its price moved since it was added (PRICE_CHANGED).
+ * @param {Object} cart - Cart loaded with cartInclude
+ * @returns {Object} { items, subtotal, hasStaleItems }
+ */
+function revalidateCart(cart) {
+  const items = cart.items.map(line => {
+    const { optionGroups, ...menuItem } = line.menuItem;
+    const priced = priceCartLine(line.menuItem, line.optionIds);
+
+    let staleReason = null;
+    if (!priced.success) staleReason = 'UNAVAILABLE';
+    else if (Math.abs(priced.unitPrice - line.unitPrice) >= 0.005) staleReason = 'PRICE_CHANGED';
+
+    return {
+      id: line.id,
+      menuItem,
+      quantity: line.quantity,
+      optionIds: line.optionIds,
+      options: priced.success ? priced.options : [],
+      unitPrice: line.unitPrice,
+      currentUnitPrice: priced.success ? priced.unitPrice : null,
+      subtotal: roundMoney(line.unitPrice * line.quantity),
+      stale: staleReason !== null,
+      staleReason,
+      staleMessage: priced.success ? null : priced.error,
+    };
+  });
+
+  return {
+    items,
+    subtotal: roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0)),
+    hasStaleItems: !cart.hotel.isActive || items.some(item => item.stale),
+  };
+}
+
+/**
+ * Turn a cart into the fields createOrder takes
+ * @param {Object} cart - Cart loaded with cartInclude
+ * @returns {Object} Order input ({ hotelId, items, addressId, ... })
+ */
+function cartToOrderInput(cart) {
+  return {
+    hotelId: cart.hotelId,
+    items: cart.items.map(line => ({
+      menuItemId: line.menuItemId,
+      quantity: line.quantity,
+      options: line.optionIds,
+    })),
+    addressId: cart.addressId ?? undefined,
+    deliveryTime: cart.deliveryTime ? cart.deliveryTime.toISOString() : undefined,
+    specialInstructions: cart.specialInstructions || undefined,
+    promoCode: cart.promoCode || undefined,
+    tip: cart.tip,
+  };
+}
+
+module.exports = {
+  cartInclude,
+  priceCartLine,
+  revalidateCart,
+  cartToOrderInput,
+};
@@ -0,0 +1,74 @@
+/**
+ * Order statuses a courier can still be working on
+ */
+const ACTIVE_DELIVERY_STATUSES = ['PENDING', 'CONFIRMED', 'PREPARING', 'OUT_FOR_DELIVERY'];
+
+/**
+ * Order statuses a courier can be assigned (or reassigned) in
+ */
+const ASSIGNABLE_ORDER_STATUSES = ['CONFIRMED', 'PREPARING'];
+
+/**
+ * Prisma select for the courier details shown on an order
+ */
+const courierSelect = {
+  id: true,
+  phone: true,
+  vehicleType: true,
+  vehiclePlate: true,
+  status: true,
+  user: {
+    select: { id: true, fullName: true },
+  },
+};
+
+/**
+ * Check if a courier may deliver an order from a hotel
+ * @param {Object} courier - Courier ({ hotelId, status, isActive })
+ * @param {number} hotelId - Hotel the order is from
+ * @returns {string|null} Why they can't, or null if they can
+ */
+function getAssignmentError(courier, hotelId) {
+  if (!courier.isActive) {
+    return 'This courier is deactivated';
+  }
+
+  if (courier.hotelId !== null && courier.hotelId !== hotelId) {
+    return 'This courier only delivers for another hotel';
+  }
+
+  if (courier.status === 'OFFLINE') {
+    return 'This courier is offline';
+  }
+
+  return null;
+}
+
+/**
+ * Set a courier BUSY while they have an accepted delivery in progress, AVAILABLE otherwise.
+ * Couriers who went offline stay offline.
+ * @param {Object} prisma - Prisma client (or transaction client)
+ * @param {number} courierId - Courier to refresh
+ */
+async function refreshCourierStatus(prisma, courierId) {
+  const activeDeliveries = await prisma.order.count({
+    where: {
+      courierId,
+      courierAcceptedAt: { not: null },
+      status: { in: ACTIVE_DELIVERY_STATUSES },
+    },
+  });
+
+  await prisma.courier.updateMany({
+    where: { id: courierId, status: { not: 'OFFLINE' } },
+    data: { status: activeDeliveries > 0 ? 'BUSY' : 'AVAILABLE' },
+  });
+}
+
+module.exports = {
+  ACTIVE_DELIVERY_STATUSES,
+  ASSIGNABLE_ORDER_STATUSES,
+  courierSelect,
+  getAssignmentError,
+  refreshCourierStatus,
+};
@@ -0,0 +1,302 @@
+const { estimateTravelTime } = require('./geolocation');
+const { getBusyMode } = require('./busyMode');
+
+/**
+ * Kitchen time assumed until a hotel has history of its own
+ */
+const DEFAULT_PREP_MINUTES = 20;
+
+/**
+ * Rolling averages weigh roughly the last this-many orders
+ */
+const ROLLING_WINDOW = 20;
+
+/**
+ * Samples needed before a hotel's (or item's) own average is trusted
+ */
+const MIN_SAMPLES = 5;
+
+/**
+ * Orders a kitchen works on side by side before new ones start to queue
+ */
+const KITCHEN_PARALLEL_ORDERS = 3;
+
+/**
+ * Longer measurements are treated as mistakes (e.g. a forgotten bump) and ignored
+ */
+const MAX_SAMPLE_MINUTES = 180;
+
+/**
+ * Shortest distance transit pace is measured over, so hand-offs at the door don't skew it
+ */
+const MIN_PACE_DISTANCE = 500;
+
+/**
+ * Half-width of an ~80% range, in standard deviations
+ */
+const RANGE_Z = 1.28;
+
+/**
+ * Range used while there's too little history to measure one
+ */
+const DEFAULT_SPREAD = 0.25;
+const MIN_MARGIN_MINUTES = 5;
+
+/**
+ * Kitchen statuses an ASAP order waits in before it's ready
+ */
+const QUEUED_STATUSES = ['PENDING', 'CONFIRMED', 'PREPARING'];
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+const paceKm = distance => Math.max(distance, MIN_PACE_DISTANCE) / 1000;
+
+/**
+ * Add a sample to an exponentially weighted mean and variance.
+ * Plain averages until the window fills, so early samples aren't drowned out.
+ * @param {Object} stats - { avg, variance, samples } (avg null when empty)
+ * @param {number} value - New sample
+ * @returns {Object} { avg, variance, samples }
+ */
+function addSample({ avg, variance, samples }, value) {
+  if (avg === null || samples === 0) {
+    return { avg: value, variance: 0, samples: 1 };
+  }
+
+  const weight = 1 / Math.min(samples + 1, ROLLING_WINDOW);
+  const diff = value - avg;
+
+  return {
+    avg: avg + weight * diff,
+    variance: (1 - weight) * (variance + weight * diff * diff),
+    samples: samples + 1,
+  };
+}
+
+/**
+ * Measure how long a delivered order spent in the kitchen and on the road
+ * @param {Object} order - Order ({ confirmedAt, readyAt, pickedUpAt, deliveredAt, deliverySlotId })
+ * @returns {Object} { prepMinutes, transitMinutes } (null when it can't be measured)
+ */
+function measureOrderTimes(order) {
+  const valid = minutes => (minutes > 0 && minutes <= MAX_SAMPLE_MINUTES ? minutes : null);
+
+  // Pre-orders are confirmed long before cooking starts
+  const readyAt = order.readyAt ?? order.pickedUpAt;
+  const prepMinutes = order.confirmedAt && readyAt && !order.deliverySlotId
+    ? valid(minutesBetween(order.confirmedAt, readyAt))
+    : null;
+
+  const transitMinutes = order.pickedUpAt && order.deliveredAt
+    ? valid(minutesBetween(order.pickedUpAt, order.deliveredAt))
+    : null;
+
+  return { prepMinutes, transitMinutes };
+}
+
+/**
+ * Record a delivered order's prep and transit times and fold them into the
+ * hotel's and its menu items' rolling averages. Call it in the transaction
+ * that marks the order DELIVERED.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {number} orderId - Delivered order
+ */
+async function recordDeliveryTimes(prisma, orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      hotel: true,
+      orderItems: {
+        select: {
+          menuItem: {
+            select: { id: true, prepTimeAvg: true, prepTimeSamples: true },
+          },
+        },
+      },
+    },
+  });
+
+  if (!order) return;
+
+  const { prepMinutes, transitMinutes } = measureOrderTimes(order);
+
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { prepMinutes, transitMinutes },
+  });
+
+  const { hotel } = order;
+  const hotelData = {};
+
+  if (prepMinutes !== null) {
+    const prep = addSample({
+      avg: hotel.prepTimeAvg,
+      variance: hotel.prepTimeVariance,
+      samples: hotel.prepTimeSamples,
+    }, prepMinutes);
+
+    Object.assign(hotelData, {
+      prepTimeAvg: prep.avg,
+      prepTimeVariance: prep.variance,
+      prepTimeSamples: prep.samples,
+    });
+  }
+
+  if (transitMinutes !== null && order.deliveryDistance !== null) {
+    const pace = addSample({
+      avg: hotel.transitPaceAvg,
+      variance: hotel.transitPaceVariance,
+      samples: hotel.transitSamples,
+    }, transitMinutes / paceKm(order.deliveryDistance));
+
+    Object.assign(hotelData, {
+      transitPaceAvg: pace.avg,
+      transitPaceVariance: pace.variance,
+      transitSamples: pace.samples,
+    });
+  }
+
+  if (Object.keys(hotelData).length > 0) {
+    await prisma.hotel.update({
+      where: { id: hotel.id },
+      data: hotelData,
+    });
+  }
+
+  if (prepMinutes === null) return;
+
+  // An order is ready when its slowest item is, so each item gets the whole order's time
+  const menuItems = new Map(order.orderItems.map(({ menuItem }) => [menuItem.id, menuItem]));
+
+  for (const menuItem of menuItems.values()) {
+    const prep = addSample({
+      avg: menuItem.prepTimeAvg,
+      variance: 0,
+      samples: menuItem.prepTimeSamples,
+    }, prepMinutes);
+
+    await prisma.menuItem.update({
+      where: { id: menuItem.id },
+      data: { prepTimeAvg: prep.avg, prepTimeSamples: prep.samples },
+    });
+  }
+}
+
+/**
+ * Count the ASAP orders each hotel's kitchen still has to get out
+ * @param {Object} prisma - Prisma client
+ * @param {number[]} hotelIds - Hotels to count for
+ * @returns {Promise<Map>} hotelId → queued orders
+ */
+async function getKitchenQueueDepths(prisma, hotelIds) {
+  const groups = await prisma.order.groupBy({
+    by: ['hotelId'],
+    where: {
+      hotelId: { in: hotelIds },
+      status: { in: QUEUED_STATUSES },
+      readyAt: null,
+      deliveryTime: null,
+    },
+    _count: { _all: true },
+  });
+
+  return new Map(groups.map(group => [group.hotelId, group._count._all]));
+}
+
+/**
+ * Estimate how long a delivery from a hotel will take, with a confidence range
+ * @param {Object} hotel - Hotel (with its prep and transit averages)
+ * @param {Object} options - { distance (meters, null when unknown), etaOffset, queueDepth, menuItems }
+ * @returns {Object} { minutes, minMinutes, maxMinutes, confidence, prepMinutes, busyMinutes, queueMinutes,
+ *   travelMinutes (null without a distance), samples }
+ */
+function estimateDeliveryEta(hotel, { distance = null, etaOffset = 0, queueDepth = 0, menuItems = [] } = {}) {
+  const trustsPrep = hotel.prepTimeSamples >= MIN_SAMPLES;
+  const trustsTransit = hotel.transitSamples >= MIN_SAMPLES;
+
+  // The basket is ready when its slowest item is; without item history use the hotel's
+  const itemPrepTimes = menuItems
+    .filter(item => item.prepTimeSamples >= MIN_SAMPLES)
+    .map(item => item.prepTimeAvg);
+  const prepMinutes = itemPrepTimes.length > 0
+    ? Math.max(...itemPrepTimes)
+    : trustsPrep ? hotel.prepTimeAvg : DEFAULT_PREP_MINUTES;
+
+  // Orders beyond what the kitchen handles at once wait their turn
+  const queueMinutes = Math.max(0, queueDepth - KITCHEN_PARALLEL_ORDERS + 1) * prepMinutes / KITCHEN_PARALLEL_ORDERS;
+
+  // Extra kitchen time the hotel asked for while it's in busy mode
+  const busyMinutes = getBusyMode(hotel).extraPrepMinutes;
+
+  let travelMinutes = null;
+  if (distance !== null) {
+    travelMinutes = trustsTransit
+      ? hotel.transitPaceAvg * paceKm(distance)
+      : estimateTravelTime(distance);
+  }
+
+  const minutes = Math.ceil(prepMinutes + busyMinutes + queueMinutes + (travelMinutes ?? 0) + etaOffset);
+
+  // Measured spread when there's history, a flat share of the estimate otherwise
+  let spread = minutes * DEFAULT_SPREAD;
+  if (trustsPrep) {
+    let transitSpread = 0;
+    if (travelMinutes !== null) {
+      transitSpread = trustsTransit
+        ? RANGE_Z * Math.sqrt(hotel.transitPaceVariance) * paceKm(distance)
+        : travelMinutes * DEFAULT_SPREAD;
+    }
+    spread = Math.hypot(RANGE_Z * Math.sqrt(hotel.prepTimeVariance), transitSpread);
+  }
+  const margin = Math.max(MIN_MARGIN_MINUTES, Math.round(spread));
+
+  let confidence = 'low';
+  if (trustsPrep && (distance === null || trustsTransit)) {
+    confidence = hotel.prepTimeSamples >= ROLLING_WINDOW ? 'high' : 'medium';
+  }
+
+  return {
+    minutes,
+    minMinutes: Math.max(1, minutes - margin),
+    maxMinutes: minutes + margin,
+    confidence,
+    prepMinutes: Math.round(prepMinutes),
+    busyMinutes,
+    queueMinutes: Math.round(queueMinutes),
+    travelMinutes: travelMinutes === null ? null : Math.round(travelMinutes),
+    samples: hotel.prepTimeSamples,
+  };
+}
+
+/**
+ * Get the delivery window promised for an order. The window moves with
+ * estimatedDeliveryAt, so live courier updates shift it too.
+ * @param {Object} order - Order ({ status, estimatedDeliveryAt, estimatedDeliveryMinutes,
+ *   estimatedDeliveryMinMinutes, estimatedDeliveryMaxMinutes, etaConfidence })
+ * @returns {Object|null} { estimatedAt, earliestAt, latestAt, confidence }, or null once it's over
+ */
+function getOrderEta(order) {
+  if (!order.estimatedDeliveryAt || ['DELIVERED', 'CANCELLED'].includes(order.status)) {
+    return null;
+  }
+
+  const estimatedAt = new Date(order.estimatedDeliveryAt);
+  const shift = minutes => (minutes === null || order.estimatedDeliveryMinutes === null
+    ? null
+    : new Date(estimatedAt.getTime() + (minutes - order.estimatedDeliveryMinutes) * 60 * 1000));
+
+  return {
+    estimatedAt,
+    earliestAt: shift(order.estimatedDeliveryMinMinutes),
+    latestAt: shift(order.estimatedDeliveryMaxMinutes),
+    confidence: order.etaConfidence,
+  };
+}
+
+module.exports = {
+  addSample,
+  measureOrderTimes,
+  recordDeliveryTimes,
+  getKitchenQueueDepths,
+  estimateDeliveryEta,
+  getOrderEta,
+};
@@ -0,0 +1,100 @@
+const { roundMoney } = require('./promotions');
+
+/**
+ * Parse and check a hotel's distance fee tiers
+ * @param {Array|string} input - [{ maxDistance (meters), fee }] or its JSON
+ * @returns {Object} { tiers } sorted by maxDistance ({ tiers: null } to clear) or { error }
+ */
+function normalizeFeeTiers(input) {
+  if (input === undefined || input === null || input === '') {
+    return { tiers: null };
+  }
+
+  let value = input;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Delivery fee tiers must be valid JSON' };
+    }
+  }
+
+  if (!Array.isArray(value)) {
+    return { error: 'Delivery fee tiers must be a list of { maxDistance, fee }' };
+  }
+
+  if (value.length === 0) return { tiers: null };
+
+  const tiers = [];
+  for (const tier of value) {
+    const maxDistance = Number(tier?.maxDistance);
+    const fee = Number(tier?.fee);
+
+    if (!Number.isInteger(maxDistance) || maxDistance <= 0) {
+      return { error: 'Each fee tier needs a maxDistance in whole meters' };
+    }
+
+    if (!Number.isFinite(fee) || fee < 0) {
+      return { error: 'Each fee tier needs a fee of 0 or more' };
+    }
+
+    tiers.push({ maxDistance, fee: roundMoney(fee) });
+  }
+
+  tiers.sort((a, b) => a.maxDistance - b.maxDistance);
+
+  if (tiers.some((tier, i) => i > 0 && tier.maxDistance === tiers[i - 1].maxDistance)) {
+    return { error: 'Fee tiers must have different maxDistance values' };
+  }
+
+  return { tiers };
+}
+
+/**
+ * Delivery fee for a distance from the hotel's tiers.
+ * Distances past the last tier pay the last tier's fee (the delivery
+ * radius or zones decide whether we go that far at all).
+ * @param {Object} hotel - Hotel with deliveryFee and deliveryFeeTiers
+ * @param {number|null} distance - Meters from the hotel (null when unknown)
+ * @returns {number} Fee before basket rules
+ */
+function getDistanceFee(hotel, distance) {
+  const { tiers } = normalizeFeeTiers(hotel.deliveryFeeTiers);
+
+  if (!tiers || distance === null || distance === undefined) {
+    return hotel.deliveryFee;
+  }
+
+  const tier = tiers.find(t => distance <= t.maxDistance) || tiers[tiers.length - 1];
+  return tier.fee;
+}
+
+/**
+ * Apply the hotel's basket rules to a delivery fee
+ * @param {Object} hotel - Hotel with smallOrderThreshold, smallOrderFee and freeDeliveryThreshold
+ * @param {number} baseFee - Zone or distance fee
+ * @param {number} subtotal - Basket subtotal
+ * @returns {Object} { deliveryFee, baseFee, smallOrderFee, freeDelivery }
+ */
+function calculateDeliveryFee(hotel, baseFee, subtotal) {
+  if (hotel.freeDeliveryThreshold != null && subtotal >= hotel.freeDeliveryThreshold) {
+    return { deliveryFee: 0, baseFee, smallOrderFee: 0, freeDelivery: true };
+  }
+
+  const smallOrderFee = hotel.smallOrderThreshold != null && subtotal < hotel.smallOrderThreshold
+    ? hotel.smallOrderFee || 0
+    : 0;
+
+  return {
+    deliveryFee: roundMoney(baseFee + smallOrderFee),
+    baseFee,
+    smallOrderFee,
+    freeDelivery: false,
+  };
+}
+
+module.exports = {
+  normalizeFeeTiers,
+  getDistanceFee,
+  calculateDeliveryFee,
+};
@@ -0,0 +1,121 @@
+const { isOpenAt } = require('./openingHours');
+
+/**
+ * Get the start of the delivery slot a time falls in
+ * @param {Date} date - Requested delivery time
+ * @param {number} slotDuration - Slot length in minutes
+ * @returns {Date} Slot start
+ */
+function getSlotStart(date, slotDuration) {
+  const duration = slotDuration * 60 * 1000;
+  return new Date(Math.floor(date.getTime() / duration) * duration);
+}
+
+/**
+ * Check a requested delivery time against the hotel's lead time and booking window
+ * @param {Object} hotel - Hotel with minLeadTime, maxAdvanceDays, slotDuration
+ * @param {Date} deliveryTime - Requested delivery time
+ * @param {Date} now - Current time
+ * @returns {Object} { slotStart } or { error }
+ */
+function validateDeliveryTime(hotel, deliveryTime, now = new Date()) {
+  const earliest = new Date(now.getTime() + hotel.minLeadTime * 60 * 1000);
+  const latest = new Date(now.getTime() + hotel.maxAdvanceDays * 24 * 60 * 60 * 1000);
+
+  if (deliveryTime < earliest) {
+    return {
+      error: `Scheduled orders need at least ${hotel.minLeadTime} minutes notice`,
+      earliest,
+    };
+  }
+
+  if (deliveryTime > latest) {
+    return {
+      error: `Orders can only be scheduled up to ${hotel.maxAdvanceDays} day(s) ahead`,
+    };
+  }
+
+  return { slotStart: getSlotStart(deliveryTime, hotel.slotDuration) };
+}
+
+/**
+ * List bookable delivery slots in a time range
+ * @param {Object} hotel - Hotel with slot settings, opening hours and closures
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Array} reservations - DeliverySlot rows ({ startsAt, reservedCount }) in the range
+ * @param {Date} now - Current time
+ * @returns {Array} [{ startsAt, endsAt, remaining, isAvailable }]
+ */
+function listDeliverySlots(hotel, from, to, reservations = [], now = new Date()) {
+  const duration = hotel.slotDuration * 60 * 1000;
+  const earliest = now.getTime() + hotel.minLeadTime * 60 * 1000;
+  const latest = now.getTime() + hotel.maxAdvanceDays * 24 * 60 * 60 * 1000;
+  const end = Math.min(to.getTime(), latest);
+
+  const reservedByStart = new Map(
+    reservations.map(slot => [new Date(slot.startsAt).getTime(), slot.reservedCount])
+  );
+
+  const slots = [];
+  let start = Math.ceil(Math.max(from.getTime(), earliest) / duration) * duration;
+
+  for (; start < end; start += duration) {
+    const startsAt = new Date(start);
+
+    if (!isOpenAt(hotel, startsAt, hotel.closures || [])) continue;
+
+    const remaining = Math.max(hotel.slotCapacity - (reservedByStart.get(start) || 0), 0);
+
+    slots.push({
+      startsAt,
+      endsAt: new Date(start + duration),
+      remaining,
+      isAvailable: remaining > 0,
+    });
+  }
+
+  return slots;
+}
+
+/**
+ * Atomically take one place in a delivery slot.
+ * A single INSERT ... ON CONFLICT keeps concurrent checkouts from overbooking.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {Object} hotel - Hotel with id and slotCapacity
+ * @param {Date} slotStart - Slot start
+ * @returns {Promise<number|null>} DeliverySlot id, or null if the slot is full
+ */
+async function reserveDeliverySlot(prisma, hotel, slotStart) {
+  // Cast the ISO string so the slot is stored as UTC wall time, like Prisma does
+  const rows = await prisma.$queryRaw`
+    INSERT INTO delivery_slots (hotel_id, starts_at, reserved_count)
+    VALUES (${hotel.id}, CAST(${slotStart.toISOString()} AS timestamp), 1)
+    ON CONFLICT (hotel_id, starts_at)
+    DO UPDATE SET reserved_count = delivery_slots.reserved_count + 1
+    WHERE delivery_slots.reserved_count < ${hotel.slotCapacity}
+    RETURNING id
+  `;
+
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+/**
+ * Give back an order's place in its delivery slot
+ * @param {Object} prisma - Prisma client or transaction client
+ * @param {number} slotId - DeliverySlot id
+ */
+async function releaseDeliverySlot(prisma, slotId) {
+  await prisma.deliverySlot.updateMany({
+    where: { id: slotId, reservedCount: { gt: 0 } },
+    data: { reservedCount: { decrement: 1 } },
+  });
+}
+
+module.exports = {
+  getSlotStart,
+  validateDeliveryTime,
+  listDeliverySlots,
+  reserveDeliverySlot,
+  releaseDeliverySlot,
+};
@@ -0,0 +1,155 @@
+const { calculateDistance } = require('./geolocation');
+const { getDistanceFee } = require('./deliveryFees');
+
+/**
+ * Prisma include for a hotel's active delivery zones, in match order
+ */
+const activeZonesInclude = {
+  where: { isActive: true },
+  orderBy: [{ position: 'asc' }, { id: 'asc' }],
+};
+
+/**
+ * Check a GeoJSON linear ring: closed, at least 4 [lng, lat] positions
+ */
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) return false;
+
+  const validPositions = ring.every(position =>
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90
+  );
+  if (!validPositions) return false;
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Get the geometry out of a GeoJSON Feature or bare geometry
+ */
+function toGeometry(geojson) {
+  return geojson?.type === 'Feature' ? geojson.geometry : geojson;
+}
+
+/**
+ * Check that a value is a GeoJSON Polygon or MultiPolygon (or a Feature holding one)
+ * @param {Object} geojson - GeoJSON object
+ * @returns {boolean}
+ */
+function isValidZoneGeometry(geojson) {
+  const geometry = toGeometry(geojson);
+  const isValidPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+  if (geometry?.type === 'Polygon') {
+    return isValidPolygon(geometry.coordinates);
+  }
+
+  if (geometry?.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isValidPolygon);
+  }
+
+  return false;
+}
+
+/**
+ * Ray casting: is [lng, lat] inside a linear ring?
+ */
+function isPointInRing([lng, lat], ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Is a point inside a polygon's outer ring and outside its holes?
+ */
+function isPointInPolygon(point, rings) {
+  const [outer, ...holes] = rings;
+  return isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole));
+}
+
+/**
+ * Check if a location falls inside a GeoJSON Polygon or MultiPolygon
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {Object} geojson - Zone geometry (or Feature)
+ * @returns {boolean}
+ */
+function isInZone(latitude, longitude, geojson) {
+  const geometry = toGeometry(geojson);
+  const point = [longitude, latitude];
+
+  if (geometry?.type === 'Polygon') {
+    return isPointInPolygon(point, geometry.coordinates);
+  }
+
+  if (geometry?.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => isPointInPolygon(point, rings));
+  }
+
+  return false;
+}
+
+/**
+ * Work out whether and on what terms a hotel delivers to a location.
+ * Hotels with zones deliver only inside them (first zone by position wins
+ * where they overlap); hotels without zones fall back to deliveryRadius
+ * and their distance fee tiers.
+ * @param {Object} hotel - Hotel with deliveryZones (active, in order) loaded
+ * @param {number} latitude - Delivery latitude
+ * @param {number} longitude - Delivery longitude
+ * @returns {Object} { isDeliverable, zone, distance, deliveryFee, minOrderAmount, etaOffset }
+ */
+function resolveDeliveryArea(hotel, latitude, longitude) {
+  const distance = hotel.latitude != null && hotel.longitude != null
+    ? Math.round(calculateDistance(hotel.latitude, hotel.longitude, latitude, longitude))
+    : null;
+
+  const zones = (hotel.deliveryZones || []).filter(zone => zone.isActive !== false);
+
+  if (zones.length > 0) {
+    const zone = zones.find(z => isInZone(latitude, longitude, z.area)) || null;
+
+    return {
+      isDeliverable: !!zone,
+      zone,
+      distance,
+      deliveryFee: zone ? zone.deliveryFee : null,
+      minOrderAmount: zone?.minOrderAmount ?? hotel.minOrderAmount,
+      etaOffset: zone ? zone.etaOffset : 0,
+    };
+  }
+
+  return {
+    // Without coordinates the circle can't be checked, so don't block the order
+    isDeliverable: distance === null || distance <= hotel.deliveryRadius,
+    zone: null,
+    distance,
+    deliveryFee: getDistanceFee(hotel, distance),
+    minOrderAmount: hotel.minOrderAmount,
+    etaOffset: 0,
+  };
+}
+
+module.exports = {
+  activeZonesInclude,
+  isValidZoneGeometry,
+  isInZone,
+  resolveDeliveryArea,
+};
@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
 const env = require('../config/env');
+const { formatItemOptions } = require('./menuOptions');
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -100,14 +101,20 @@ const emailTemplates = {
             <h3>Order Items:</h3>
             ${order.orderItems.map(item => `
               <div class="item">
-                <span>${item.quantity}x ${item.menuItem.name}</span>
+                <span>
+                  ${item.quantity}x ${item.menuItem.name}
+                  ${item.options?.length ? `<br><small>${formatItemOptions(item.options)}</small>` : ''}
+                </span>
                 <span>$${(item.unitPrice * item.quantity).toFixed(2)}</span>
               </div>
             `).join('')}
             
             <div style="text-align: right; margin-top: 20px;">
-              <p><strong>Subtotal:</strong> $${(order.totalAmount - order.hotel.deliveryFee).toFixed(2)}</p>
-              <p><strong>Delivery Fee:</strong> $${order.hotel.deliveryFee.toFixed(2)}</p>
+              <p><strong>Subtotal:</strong> $${order.subtotal.toFixed(2)}</p>
+              <p><strong>Delivery Fee:</strong> $${order.deliveryFee.toFixed(2)}</p>
+              ${order.discountAmount > 0 ? `<p><strong>Discount${order.promotion ? ` (${order.promotion.code})` : ''}:</strong> -$${order.discountAmount.toFixed(2)}</p>` : ''}
+              ${order.taxAmount > 0 ? `<p><strong>Tax:</strong> $${order.taxAmount.toFixed(2)}</p>` : ''}
+              ${order.tipAmount > 0 ? `<p><strong>Tip:</strong> $${order.tipAmount.toFixed(2)}</p>` : ''}
               <p class="total">Total: $${order.totalAmount.toFixed(2)}</p>
             </div>
           </div>
@@ -149,6 +156,8 @@ const emailTemplates = {
           
           <p><strong>Hotel:</strong> ${order.hotel.name}</p>
           <p><strong>Order Number:</strong> ${order.orderNumber}</p>
+          ${order.trackingNumber ? `<p><strong>Tracking Number:</strong> ${order.trackingNumber}</p>` : ''}
+          ${order.courier?.user ? `<p><strong>Courier:</strong> ${order.courier.user.fullName || 'Your rider'}${order.courier.phone ? ` (${order.courier.phone})` : ''}</p>` : ''}
           
           ${order.status === 'OUT_FOR_DELIVERY' ? 
             '<p>Your order is on its way! It should arrive shortly.</p>' : 
@@ -198,11 +207,15 @@ const emailTemplates = {
             <h2>Order Items</h2>
             ${order.orderItems.map(item => `
               <p>${item.quantity}x ${item.menuItem.name} - $${item.subtotal.toFixed(2)}</p>
+              ${item.options?.length ? `<p style="margin-left: 20px;"><em>${formatItemOptions(item.options)}</em></p>` : ''}
             `).join('')}
             
             <hr>
-            <p><strong>Subtotal:</strong> $${(order.totalAmount - order.hotel.deliveryFee).toFixed(2)}</p>
-            <p><strong>Delivery Fee:</strong> $${order.hotel.deliveryFee.toFixed(2)}</p>
+            <p><strong>Subtotal:</strong> $${order.subtotal.toFixed(2)}</p>
+            <p><strong>Delivery Fee:</strong> $${order.deliveryFee.toFixed(2)}</p>
+            ${order.discountAmount > 0 ? `<p><strong>Discount${order.promotion ? ` (${order.promotion.code})` : ''}:</strong> -$${order.discountAmount.toFixed(2)}</p>` : ''}
+            ${order.taxAmount > 0 ? `<p><strong>Tax:</strong> $${order.taxAmount.toFixed(2)}</p>` : ''}
+            ${order.tipAmount > 0 ? `<p><strong>Tip:</strong> $${order.tipAmount.toFixed(2)}</p>` : ''}
             <p style="font-size: 18px; font-weight: bold; color: #4CAF50;">
               Total: $${order.totalAmount.toFixed(2)}
             </p>
@@ -274,6 +287,60 @@ async function sendHotelNotification(order, hotelEmail) {
   });
 }
 
+/**
+ * Send refund confirmation email
+ */
+async function sendRefundNotification(order, user, refund) {
+  const howText = {
+    CARD: 'It will appear on your card statement within 5-10 business days.',
+    MOBILE_MONEY: refund.status === 'SUCCEEDED'
+      ? 'It has been sent back to your mobile money account.'
+      : 'It will be sent back to your mobile money account once the provider confirms the reversal.',
+    CASH: `Your credit note number is <strong>${refund.creditNoteNumber}</strong>. Present it to ${order.hotel?.name || 'the hotel'} or use it against your next order.`,
+  }[refund.method];
+  
+  const html = `
+    <h1>Refund ${refund.status === 'SUCCEEDED' ? 'Issued' : 'Initiated'}</h1>
+    <p>Dear ${user.fullName},</p>
+    <p>We've refunded <strong>$${refund.amount.toFixed(2)}</strong> for order #${order.orderNumber}.</p>
+    ${refund.reason ? `<p><strong>Reason:</strong> ${refund.reason}</p>` : ''}
+    ${refund.items?.length ? `<p>This refund covers ${refund.items.length} item(s) from your order.</p>` : ''}
+    <p>${howText}</p>
+    <p>Best regards,<br>Hotel Food Delivery Team</p>
+  `;
+  
+  return await sendEmail({
+    to: user.email,
+    subject: `Refund for Order #${order.orderNumber}`,
+    html,
+    text: `We've refunded $${refund.amount.toFixed(2)} for order #${order.orderNumber}.`,
+  });
+}
+
+/**
+ * Send low stock alert to hotel staff
+ */
+async function sendLowStockAlert(hotel, items) {
+  const lines = items.map(item => (item.stockRemaining === 0
+    ? `<p><strong>${item.name}</strong> is sold out and has been taken off the menu until tomorrow.</p>`
+    : `<p><strong>${item.name}</strong>: only ${item.stockRemaining} left.</p>`));
+  
+  const html = `
+    <h1>Running Low</h1>
+    <p>Today's stock at ${hotel.name} is running out:</p>
+    ${lines.join('')}
+    <p>Update the counts from your admin panel if you can make more.</p>
+    <p>Best regards,<br>Hotel Food Delivery System</p>
+  `;
+  
+  return await sendEmail({
+    to: hotel.email,
+    subject: `Low Stock - ${items.map(item => item.name).join(', ')}`,
+    html,
+    text: items.map(item => `${item.name}: ${item.stockRemaining} left`).join('\n'),
+  });
+}
+
 /**
  * Send password reset email
  */
@@ -300,6 +367,8 @@ module.exports = {
   sendOrderConfirmation,
   sendOrderStatusUpdate,
   sendHotelNotification,
+  sendRefundNotification,
+  sendLowStockAlert,
   sendPasswordReset,
   emailTemplates,
 };
\ No newline at end of file
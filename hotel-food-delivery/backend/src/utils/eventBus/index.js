@@ -0,0 +1,56 @@
+const env = require('../../config/env');
+const { createMemoryBus } = require('./memory');
+const { createRedisBus } = require('./redis');
+
+/**
+ * Event bus
+ *
+ * A bus is an object with:
+ *   name                          - 'memory', 'redis', ...
+ *   publish(channel, event)       → Promise
+ *   subscribe(channel, handler)   → Promise<unsubscribe()>; handler gets the published event
+ *   close()                       → Promise
+ *
+ * The in-process bus (EVENT_BUS=memory, the default) only reaches streams on
+ * the same server. Run with EVENT_BUS=redis and REDIS_URL when several
+ * instances sit behind a load balancer.
+ */
+let bus = null;
+
+/**
+ * Get the configured event bus, connecting on first use
+ * @returns {Object} Event bus
+ */
+function getEventBus() {
+  if (!bus) {
+    bus = env.EVENT_BUS === 'redis'
+      ? createRedisBus({ url: env.REDIS_URL })
+      : createMemoryBus();
+  }
+
+  return bus;
+}
+
+/**
+ * Use another bus (e.g. a different broker adapter)
+ */
+function setEventBus(eventBus) {
+  bus = eventBus;
+}
+
+/**
+ * Close the event bus, if one was opened (e.g. on shutdown)
+ */
+async function closeEventBus() {
+  if (!bus) return;
+
+  const closing = bus;
+  bus = null;
+  await closing.close();
+}
+
+module.exports = {
+  getEventBus,
+  setEventBus,
+  closeEventBus,
+};
@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Create an event bus that only reaches subscribers in this process
+ * @returns {Object} { name, publish, subscribe, close }
+ */
+function createMemoryBus() {
+  const emitter = new EventEmitter();
+
+  // One listener per open stream, so there is no sensible cap
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+
+    async publish(channel, event) {
+      emitter.emit(channel, event);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    },
+  };
+}
+
+module.exports = {
+  createMemoryBus,
+};
@@ -0,0 +1,70 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Create an event bus on Redis pub/sub (or anything that speaks it, e.g. Valkey or KeyDB),
+ * so events published on one server instance reach streams held open by another.
+ * A subscribed Redis connection can't run other commands, so publishing and
+ * subscribing use separate connections. Each channel is subscribed once per
+ * process and fanned out to local handlers.
+ * @param {Object} options - { url, Redis } (Redis defaults to ioredis)
+ * @returns {Object} { name, publish, subscribe, close }
+ */
+function createRedisBus({ url, Redis = require('ioredis') }) {
+  const publisher = new Redis(url);
+  const subscriber = new Redis(url);
+  const local = new EventEmitter();
+  local.setMaxListeners(0);
+
+  const logError = label => err => console.error(`Event bus ${label} error:`, err.message);
+  publisher.on('error', logError('publisher'));
+  subscriber.on('error', logError('subscriber'));
+
+  subscriber.on('message', (channel, message) => {
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      return;
+    }
+    local.emit(channel, event);
+  });
+
+  return {
+    name: 'redis',
+
+    async publish(channel, event) {
+      await publisher.publish(channel, JSON.stringify(event));
+    },
+
+    async subscribe(channel, handler) {
+      // Register first so a concurrent unsubscribe sees this handler
+      const isFirst = local.listenerCount(channel) === 0;
+      local.on(channel, handler);
+
+      if (isFirst) {
+        try {
+          await subscriber.subscribe(channel);
+        } catch (error) {
+          local.off(channel, handler);
+          throw error;
+        }
+      }
+
+      return () => {
+        local.off(channel, handler);
+        if (local.listenerCount(channel) === 0) {
+          subscriber.unsubscribe(channel).catch(logError('unsubscribe'));
+        }
+      };
+    },
+
+    async close() {
+      local.removeAllListeners();
+      await Promise.all([publisher.quit(), subscriber.quit()]);
+    },
+  };
+}
+
+module.exports = {
+  createRedisBus,
+};
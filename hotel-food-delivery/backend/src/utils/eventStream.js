@@ -0,0 +1,57 @@
+const env = require('../config/env');
+
+/**
+ * Start a Server-Sent Events response.
+ * Sends a heartbeat comment so proxies don't drop idle streams, and runs
+ * the registered cleanups once, whether the client leaves or we close.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), close(), onClose(fn), closed }
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx holding events back
+  });
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  const cleanups = [];
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), env.SSE_HEARTBEAT_MS);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    cleanups.forEach(fn => fn());
+    res.end();
+  };
+
+  req.on('close', close);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close,
+
+    // Runs straight away if the stream is already gone
+    onClose(fn) {
+      if (closed) fn();
+      else cleanups.push(fn);
+    },
+
+    get closed() {
+      return closed;
+    },
+  };
+}
+
+module.exports = {
+  openEventStream,
+};
@@ -46,8 +46,17 @@ function generateTrackingNumber() {
   return `TRK-${result}`;
 }
 
+/**
+ * Generate credit note number for cash refunds
+ * Format: CN-YYYYMMDD-XXXXX
+ */
+function generateCreditNoteNumber() {
+  return generateOrderNumber().replace(/^ORD-/, 'CN-');
+}
+
 module.exports = {
   generateOrderNumber,
+  generateCreditNoteNumber,
   generateHotelCode,
   generateTrackingNumber,
 };
\ No newline at end of file
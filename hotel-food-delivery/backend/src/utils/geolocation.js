@@ -48,12 +48,12 @@ function toRad(degrees) {
 }
 
 /**
- * Calculate estimated delivery time in minutes
+ * Calculate riding time in minutes, without kitchen time
  * @param {number} distance - Distance in meters
  * @param {string} traffic - Traffic condition: 'low', 'medium', 'high'
  * @returns {number} Estimated minutes
  */
-function estimateDeliveryTime(distance, traffic = 'medium') {
+function estimateTravelTime(distance, traffic = 'medium') {
   const baseSpeed = 30; // km/h average speed
   const trafficMultiplier = {
     low: 1.0,
@@ -63,12 +63,8 @@ function estimateDeliveryTime(distance, traffic = 'medium') {
   
   const speed = baseSpeed / trafficMultiplier[traffic];
   const timeHours = (distance / 1000) / speed;
-  const timeMinutes = timeHours * 60;
   
-  // Add preparation time (15-25 minutes)
-  const prepTime = 20;
-  
-  return Math.ceil(timeMinutes + prepTime);
+  return Math.ceil(timeHours * 60);
 }
 
 /**
@@ -113,7 +109,7 @@ function toDegrees(radians) {
 module.exports = {
   calculateDistance,
   isWithinDeliveryRadius,
-  estimateDeliveryTime,
+  estimateTravelTime,
   getBoundingBox,
   toRad,
   toDegrees,
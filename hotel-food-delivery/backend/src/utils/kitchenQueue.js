@@ -0,0 +1,177 @@
+const { formatItemOptions } = require('./menuOptions');
+const { courierSelect } = require('./couriers');
+
+/**
+ * Kitchen display stages, in the order a ticket moves through them.
+ * READY is a PREPARING order the kitchen has bumped, waiting for pickup.
+ */
+const KITCHEN_STAGES = ['PENDING', 'CONFIRMED', 'PREPARING', 'READY'];
+
+/**
+ * Minutes a ticket may sit in each stage before it's flagged late
+ */
+const LATE_AFTER_MINUTES = {
+  PENDING: 5,
+  CONFIRMED: 10,
+  PREPARING: 20,
+  READY: 10,
+};
+
+/**
+ * Confirmed pre-orders join the queue this long before they're due
+ */
+const SCHEDULED_LEAD_MINUTES = 90;
+
+/**
+ * Prisma include for a kitchen ticket
+ */
+const kitchenOrderInclude = {
+  user: {
+    select: { id: true, fullName: true },
+  },
+  courier: {
+    select: courierSelect,
+  },
+  orderItems: {
+    include: {
+      menuItem: { select: { id: true, name: true } },
+      options: true,
+    },
+  },
+  // The latest entry is when the order entered its current status
+  statusHistory: {
+    orderBy: { createdAt: 'desc' },
+    take: 1,
+  },
+};
+
+/**
+ * Get the kitchen stage an order is in
+ * @param {Object} order - Order ({ status, readyAt })
+ * @returns {string|null} Stage, or null once it has left the kitchen
+ */
+function getKitchenStage(order) {
+  if (order.status === 'PREPARING' && order.readyAt) return 'READY';
+  return KITCHEN_STAGES.includes(order.status) ? order.status : null;
+}
+
+/**
+ * Work out what bumping a ticket does
+ * @param {Object} order - Order ({ status, readyAt, courierId })
+ * @returns {Object} { toStatus }, { ready: true } or { error }
+ */
+function getBumpAction(order) {
+  switch (getKitchenStage(order)) {
+    case 'PENDING':
+      return { toStatus: 'CONFIRMED' };
+    case 'CONFIRMED':
+      return { toStatus: 'PREPARING' };
+    case 'PREPARING':
+      return { ready: true };
+    case 'READY':
+      // Assigned couriers confirm the pickup themselves
+      return order.courierId
+        ? { error: 'Waiting for the courier to pick this order up' }
+        : { toStatus: 'OUT_FOR_DELIVERY' };
+    default:
+      return { error: `A ${order.status} order is no longer in the kitchen` };
+  }
+}
+
+/**
+ * Turn an order into a kitchen ticket
+ * @param {Object} order - Order loaded with kitchenOrderInclude
+ * @param {Date} now - Current time
+ * @returns {Object} Ticket
+ */
+function toKitchenTicket(order, now = new Date()) {
+  const stage = getKitchenStage(order);
+  const stageStartedAt = stage === 'READY'
+    ? order.readyAt
+    : order.statusHistory[0]?.createdAt ?? order.createdAt;
+  const minutesInStage = Math.max(0, Math.floor((now - stageStartedAt) / 60000));
+
+  return {
+    id: order.id,
+    orderNumber: order.orderNumber,
+    stage,
+    status: order.status,
+    placedAt: order.createdAt,
+    promisedAt: order.deliveryTime ?? order.estimatedDeliveryAt,
+    scheduled: order.deliverySlotId !== null,
+    stageStartedAt,
+    minutesInStage,
+    isLate: minutesInStage >= LATE_AFTER_MINUTES[stage],
+    awaitingPayment: order.paymentMethod !== 'CASH' && order.paymentStatus !== 'PAID',
+    customerName: order.user?.fullName ?? null,
+    specialInstructions: order.specialInstructions,
+    courier: order.courier,
+    items: order.orderItems
+      .filter(item => item.quantity > item.refundedQuantity)
+      .map(item => ({
+        id: item.id,
+        name: item.menuItem.name,
+        quantity: item.quantity - item.refundedQuantity,
+        options: item.options.map(({ groupName, name }) => ({ groupName, name })),
+        modifiers: formatItemOptions(item.options),
+      })),
+  };
+}
+
+/**
+ * Load a hotel's kitchen queue, grouped by stage, most urgent first
+ * @param {Object} prisma - Prisma client
+ * @param {number} hotelId - Hotel
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { generatedAt, total, lateCount, stages: [{ stage, count, lateCount, orders }] }
+ */
+async function loadKitchenQueue(prisma, hotelId, now = new Date()) {
+  const scheduledFrom = new Date(now.getTime() + SCHEDULED_LEAD_MINUTES * 60 * 1000);
+
+  const orders = await prisma.order.findMany({
+    where: {
+      hotelId,
+      status: { in: ['PENDING', 'CONFIRMED', 'PREPARING'] },
+      // New orders still need accepting, but confirmed pre-orders wait until they're due
+      OR: [
+        { status: { not: 'CONFIRMED' } },
+        { deliveryTime: null },
+        { deliveryTime: { lte: scheduledFrom } },
+      ],
+    },
+    include: kitchenOrderInclude,
+  });
+
+  // Promised time first; ASAP orders without an estimate go by when they came in
+  const urgency = ticket => new Date(ticket.promisedAt ?? ticket.placedAt).getTime();
+  const tickets = orders
+    .map(order => toKitchenTicket(order, now))
+    .sort((a, b) => urgency(a) - urgency(b));
+
+  const stages = KITCHEN_STAGES.map(stage => {
+    const stageTickets = tickets.filter(ticket => ticket.stage === stage);
+    return {
+      stage,
+      count: stageTickets.length,
+      lateCount: stageTickets.filter(ticket => ticket.isLate).length,
+      orders: stageTickets,
+    };
+  });
+
+  return {
+    generatedAt: now,
+    total: tickets.length,
+    lateCount: tickets.filter(ticket => ticket.isLate).length,
+    stages,
+  };
+}
+
+module.exports = {
+  KITCHEN_STAGES,
+  LATE_AFTER_MINUTES,
+  kitchenOrderInclude,
+  getKitchenStage,
+  getBumpAction,
+  toKitchenTicket,
+  loadKitchenQueue,
+};
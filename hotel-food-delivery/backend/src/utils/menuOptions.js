@@ -0,0 +1,100 @@
+/**
+ * Prisma include for a menu item's option groups, in display order
+ */
+const optionGroupsInclude = {
+  orderBy: { position: 'asc' },
+  include: {
+    options: {
+      orderBy: { position: 'asc' },
+    },
+  },
+};
+
+/**
+ * Validate the options chosen for a menu item and price them
+ * @param {Object} menuItem - Menu item with optionGroups.options loaded
+ * @param {number[]} selectedIds - MenuOption IDs chosen by the customer
+ * @returns {Object} { success, options, optionsTotal } or { success: false, error }
+ */
+function resolveItemOptions(menuItem, selectedIds = []) {
+  const groups = menuItem.optionGroups || [];
+  const ids = selectedIds.map(id => parseInt(id));
+
+  if (new Set(ids).size !== ids.length) {
+    return {
+      success: false,
+      error: `Duplicate options selected for ${menuItem.name}`,
+    };
+  }
+
+  const options = [];
+  const countByGroup = {};
+
+  for (const id of ids) {
+    const group = groups.find(g => g.options.some(o => o.id === id));
+    const option = group?.options.find(o => o.id === id);
+
+    if (!option) {
+      return {
+        success: false,
+        error: `Option ${id} is not offered for ${menuItem.name}`,
+      };
+    }
+
+    if (!option.isAvailable) {
+      return {
+        success: false,
+        error: `${option.name} is currently unavailable for ${menuItem.name}`,
+      };
+    }
+
+    countByGroup[group.id] = (countByGroup[group.id] || 0) + 1;
+    options.push({
+      optionId: option.id,
+      groupName: group.name,
+      name: option.name,
+      priceDelta: option.priceDelta,
+    });
+  }
+
+  for (const group of groups) {
+    const count = countByGroup[group.id] || 0;
+
+    if (count < group.minSelections) {
+      return {
+        success: false,
+        error: `Choose at least ${group.minSelections} ${group.name} option(s) for ${menuItem.name}`,
+      };
+    }
+
+    if (count > group.maxSelections) {
+      return {
+        success: false,
+        error: `Choose at most ${group.maxSelections} ${group.name} option(s) for ${menuItem.name}`,
+      };
+    }
+  }
+
+  const optionsTotal = options.reduce((sum, option) => sum + option.priceDelta, 0);
+
+  return {
+    success: true,
+    options,
+    optionsTotal,
+  };
+}
+
+/**
+ * Format chosen options for receipts/tickets
+ * @param {Array} options - OrderItemOption rows
+ * @returns {string} e.g. "Size: Large, Milk: Oat milk"
+ */
+function formatItemOptions(options = []) {
+  return options.map(option => `${option.groupName}: ${option.name}`).join(', ');
+}
+
+module.exports = {
+  optionGroupsInclude,
+  resolveItemOptions,
+  formatItemOptions,
+};
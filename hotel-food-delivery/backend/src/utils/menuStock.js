@@ -0,0 +1,241 @@
+const env = require('../config/env');
+const { getZonedParts, zonedTimeToUtc } = require('./openingHours');
+
+/**
+ * Daily stock counts
+ *
+ * Items with a dailyStock are counted: orders take portions off stockRemaining,
+ * cancellations put them back, and an item that reaches zero is taken off the
+ * menu (isAvailable false, soldOutAt set) until the next morning's reset.
+ * Items without a dailyStock are never counted.
+ */
+
+/**
+ * Add up the portions an order takes of each item
+ * @param {Array} lines - [{ menuItemId, quantity }]
+ * @returns {Map} menuItemId → quantity
+ */
+function countPortions(lines) {
+  const portions = new Map();
+
+  for (const { menuItemId, quantity } of lines) {
+    portions.set(menuItemId, (portions.get(menuItemId) ?? 0) + quantity);
+  }
+
+  return portions;
+}
+
+/**
+ * Check an order's portions against what's left today
+ * @param {Array} menuItems - Menu items ({ id, name, stockRemaining })
+ * @param {Array} lines - [{ menuItemId, quantity }]
+ * @returns {string|null} Why the order can't be filled, or null if it can
+ */
+function getStockError(menuItems, lines) {
+  for (const [menuItemId, quantity] of countPortions(lines)) {
+    const menuItem = menuItems.find(item => item.id === menuItemId);
+
+    if (menuItem && menuItem.stockRemaining !== null && quantity > menuItem.stockRemaining) {
+      return menuItem.stockRemaining === 0
+        ? `${menuItem.name} is sold out`
+        : `Only ${menuItem.stockRemaining} ${menuItem.name} left today`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Take an order's portions off today's stock, selling out items that hit zero.
+ * Call it in the order's transaction and roll that back on { error }: portions
+ * taken before the short item aren't given back here.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {Array} lines - [{ menuItemId, quantity }]
+ * @returns {Promise<Object>} { lowStock: [{ id, name, stockRemaining }] } (items that just fell to
+ *   their alert level or sold out) or { error }
+ */
+async function reserveStock(prisma, lines) {
+  const taken = [];
+
+  for (const [menuItemId, quantity] of countPortions(lines)) {
+    // Only succeeds if enough is left, so two orders can't share the last portion
+    const { count } = await prisma.menuItem.updateMany({
+      where: { id: menuItemId, stockRemaining: { gte: quantity } },
+      data: { stockRemaining: { decrement: quantity } },
+    });
+
+    if (count > 0) {
+      taken.push({ menuItemId, quantity });
+      continue;
+    }
+
+    const menuItem = await prisma.menuItem.findUnique({
+      where: { id: menuItemId },
+      select: { id: true, name: true, stockRemaining: true },
+    });
+
+    // Not counted
+    if (!menuItem || menuItem.stockRemaining === null) continue;
+
+    return { error: getStockError([menuItem], [{ menuItemId, quantity }]) };
+  }
+
+  if (taken.length === 0) return { lowStock: [] };
+
+  const items = await prisma.menuItem.findMany({
+    where: { id: { in: taken.map(line => line.menuItemId) } },
+    select: { id: true, name: true, stockRemaining: true, stockAlertLevel: true },
+  });
+
+  const soldOut = items.filter(item => item.stockRemaining === 0).map(item => item.id);
+  if (soldOut.length > 0) {
+    await prisma.menuItem.updateMany({
+      where: { id: { in: soldOut }, isAvailable: true },
+      data: { isAvailable: false, soldOutAt: new Date() },
+    });
+  }
+
+  // Alert as the count crosses the alert level, and again when it sells out
+  const lowStock = items
+    .filter(item => {
+      const alertLevel = item.stockAlertLevel ?? 0;
+      const { quantity } = taken.find(line => line.menuItemId === item.id);
+      return item.stockRemaining === 0
+        || (item.stockRemaining <= alertLevel && item.stockRemaining + quantity > alertLevel);
+    })
+    .map(({ id, name, stockRemaining }) => ({ id, name, stockRemaining }));
+
+  return { lowStock };
+}
+
+/**
+ * Put portions back, and items sold out by the count back on the menu.
+ * Portions taken before the item's last morning reset aren't returned,
+ * since that day's count is already gone.
+ * @param {Object} prisma - Prisma client (or transaction client)
+ * @param {Array} lines - [{ menuItemId, quantity }]
+ * @param {Date} takenAt - When the portions were taken
+ */
+async function releaseStock(prisma, lines, takenAt = new Date()) {
+  const restocked = [];
+
+  for (const [menuItemId, quantity] of countPortions(lines)) {
+    const { count } = await prisma.menuItem.updateMany({
+      where: {
+        id: menuItemId,
+        stockRemaining: { not: null },
+        OR: [
+          { stockResetAt: null },
+          { stockResetAt: { lte: takenAt } },
+        ],
+      },
+      data: { stockRemaining: { increment: quantity } },
+    });
+
+    if (count > 0) restocked.push(menuItemId);
+  }
+
+  if (restocked.length > 0) {
+    await prisma.menuItem.updateMany({
+      where: {
+        id: { in: restocked },
+        soldOutAt: { not: null },
+        stockRemaining: { gt: 0 },
+      },
+      data: { isAvailable: true, soldOutAt: null },
+    });
+  }
+}
+
+/**
+ * Put a cancelled order's portions back
+ * @param {Object} prisma - Prisma transaction client
+ * @param {number} orderId - Cancelled order
+ */
+async function restockOrder(prisma, orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: {
+      createdAt: true,
+      orderItems: {
+        select: { menuItemId: true, quantity: true },
+      },
+    },
+  });
+
+  if (!order) return;
+
+  await releaseStock(prisma, order.orderItems, order.createdAt);
+}
+
+/**
+ * Get the most recent morning reset for a timezone
+ * @param {string} timeZone - IANA zone
+ * @param {Date} now - Current time
+ * @returns {Date} Last reset time at or before now
+ */
+function getLastResetTime(timeZone, now = new Date()) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const today = zonedTimeToUtc(year, month, day, env.STOCK_RESET_HOUR * 60, timeZone);
+
+  // zonedTimeToUtc accepts negative minutes, which land on the previous day
+  return today <= now
+    ? today
+    : zonedTimeToUtc(year, month, day, env.STOCK_RESET_HOUR * 60 - 24 * 60, timeZone);
+}
+
+/**
+ * Refill counted items to their daily stock once each hotel's morning comes round,
+ * putting items that sold out back on the menu. Safe to run as often as you like.
+ * @param {Object} prisma - Prisma client
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Items refilled
+ */
+async function resetDailyStock(prisma, now = new Date()) {
+  const hotels = await prisma.hotel.findMany({
+    where: { menuItems: { some: { dailyStock: { not: null } } } },
+    select: { id: true, timezone: true },
+  });
+
+  let refilled = 0;
+
+  for (const hotel of hotels) {
+    const resetTime = getLastResetTime(hotel.timezone, now);
+
+    const items = await prisma.menuItem.findMany({
+      where: {
+        hotelId: hotel.id,
+        dailyStock: { not: null },
+        OR: [
+          { stockResetAt: null },
+          { stockResetAt: { lt: resetTime } },
+        ],
+      },
+      select: { id: true, dailyStock: true, soldOutAt: true },
+    });
+
+    for (const item of items) {
+      await prisma.menuItem.update({
+        where: { id: item.id },
+        data: {
+          stockRemaining: item.dailyStock,
+          stockResetAt: now,
+          ...(item.soldOutAt && item.dailyStock > 0 && { isAvailable: true, soldOutAt: null }),
+        },
+      });
+    }
+
+    refilled += items.length;
+  }
+
+  return refilled;
+}
+
+module.exports = {
+  getStockError,
+  reserveStock,
+  releaseStock,
+  restockOrder,
+  getLastResetTime,
+  resetDailyStock,
+};
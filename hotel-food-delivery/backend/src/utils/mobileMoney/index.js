@@ -0,0 +1,70 @@
+const env = require('../../config/env');
+const { createMpesaProvider } = require('./mpesa');
+
+/**
+ * Mobile money providers
+ *
+ * A provider is an object with:
+ *   name                                         - ledger provider name (e.g. 'mpesa')
+ *   requestPayment({ amount, phoneNumber, reference, description })
+ *     → { success, pending, requestId, amount, currency, customerMessage, raw } or { success: false, error }
+ *     (amount is in USD; the result has what the customer is asked for, in the provider's currency)
+ *   queryPayment(requestId)
+ *     → { requestId, status: 'PENDING' | 'SUCCEEDED' | 'FAILED', message, raw }
+ *   parseCallback(body)
+ *     → { requestId, status, message, amount, receiptNumber, phoneNumber, raw } or null
+ *     (amount as paid, in the provider's currency)
+ *   reverse({ transactionId, amount, reference })
+ *     → { success, pending, requestId, raw } or { success: false, error }
+ *     (amount in the provider's currency; reference comes back with the result, in the result URL's query string)
+ *   parseReversalResult(body)
+ *     → { requestId, status: 'SUCCEEDED' | 'FAILED', message, raw } or null
+ *
+ * To add another network (e.g. Airtel Money), write an adapter with the same
+ * shape and register it under its name.
+ */
+const providers = {
+  mpesa: createMpesaProvider({
+    baseUrl: env.MPESA_BASE_URL,
+    consumerKey: env.MPESA_CONSUMER_KEY,
+    consumerSecret: env.MPESA_CONSUMER_SECRET,
+    shortcode: env.MPESA_SHORTCODE,
+    passkey: env.MPESA_PASSKEY,
+    callbackUrl: env.MPESA_CALLBACK_URL || buildCallbackUrl('mpesa'),
+    initiatorName: env.MPESA_INITIATOR_NAME,
+    securityCredential: env.MPESA_SECURITY_CREDENTIAL,
+    reversalResultUrl: env.MPESA_REVERSAL_RESULT_URL || buildCallbackUrl('mpesa/reversal'),
+    timeoutMs: env.PAYMENT_PROVIDER_TIMEOUT_MS,
+    currency: env.MPESA_CURRENCY,
+    exchangeRate: env.MPESA_EXCHANGE_RATE,
+  }),
+};
+
+/**
+ * Public URL the provider posts payment (or reversal) results to
+ */
+function buildCallbackUrl(name) {
+  const token = env.MPESA_CALLBACK_TOKEN ? `?token=${env.MPESA_CALLBACK_TOKEN}` : '';
+  return `${env.APP_URL}/api/webhooks/${name}${token}`;
+}
+
+/**
+ * Get a mobile money provider by name
+ * @param {string} name - Provider name (defaults to MOBILE_MONEY_PROVIDER)
+ * @returns {Object|null} Provider, or null if unknown
+ */
+function getProvider(name = env.MOBILE_MONEY_PROVIDER) {
+  return providers[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Register (or replace) a provider
+ */
+function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+module.exports = {
+  getProvider,
+  registerProvider,
+};
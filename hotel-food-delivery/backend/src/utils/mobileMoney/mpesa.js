@@ -0,0 +1,254 @@
+/**
+ * M-Pesa (Safaricom Daraja) STK push adapter
+ *
+ * Flow: requestPayment() sends an STK push prompt to the customer's phone and
+ * returns a CheckoutRequestID. Safaricom later POSTs the outcome to the callback
+ * URL; queryPayment() asks for it directly when the callback is late or lost.
+ *
+ * Refunds go through the Reversal API: reverse() asks Safaricom to send a
+ * completed payment back, and the answer is POSTed to the reversal result URL.
+ */
+
+// Daraja result codes that mean "no final answer yet"
+const PENDING_RESULT_CODES = ['500.001.1001'];
+
+/**
+ * Normalize a Kenyan phone number to the 2547XXXXXXXX format Daraja expects
+ * @returns {string|null} Normalized number, or null if invalid
+ */
+function normalizePhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+
+  let normalized = digits;
+  if (digits.startsWith('0')) normalized = `254${digits.slice(1)}`;
+  else if (digits.length === 9) normalized = `254${digits}`;
+
+  return /^254[17]\d{8}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Daraja timestamp (YYYYMMDDHHmmss, East Africa Time)
+ */
+function getTimestamp(date = new Date()) {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-T:]/g, '').slice(0, 14);
+}
+
+/**
+ * Create an M-Pesa provider
+ * @param {Object} config - { baseUrl, consumerKey, consumerSecret, shortcode, passkey, callbackUrl,
+ *   initiatorName, securityCredential, reversalResultUrl, timeoutMs, currency, exchangeRate }
+ * @returns {Object} Mobile money provider (see ./index.js)
+ */
+function createMpesaProvider(config) {
+  let cachedToken = null;
+
+  const isConfigured = () => !!(config.consumerKey && config.consumerSecret && config.passkey);
+  const canReverse = () => !!(config.consumerKey && config.consumerSecret
+    && config.initiatorName && config.securityCredential && config.reversalResultUrl);
+
+  // USD order totals are charged in whole units of M-Pesa's currency, rounded up
+  const toChargeAmount = amount => Math.ceil(Math.round(amount * config.exchangeRate * 100) / 100);
+
+  // Each Daraja call gives up after config.timeoutMs
+  const timeout = () => (config.timeoutMs ? AbortSignal.timeout(config.timeoutMs) : undefined);
+
+  const getAccessToken = async () => {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+
+    const credentials = Buffer.from(`${config.consumerKey}:${config.consumerSecret}`).toString('base64');
+    const response = await fetch(`${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` },
+      signal: timeout(),
+    });
+
+    if (!response.ok) {
+      throw new Error(`M-Pesa authentication failed (${response.status})`);
+    }
+
+    const body = await response.json();
+
+    // Refresh a minute early so a token never expires mid-request
+    cachedToken = {
+      value: body.access_token,
+      expiresAt: Date.now() + (parseInt(body.expires_in) - 60) * 1000,
+    };
+
+    return cachedToken.value;
+  };
+
+  const post = async (path, payload) => {
+    const token = await getAccessToken();
+    const response = await fetch(`${config.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload),
+      signal: timeout(),
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  const getPassword = (timestamp) =>
+    Buffer.from(`${config.shortcode}${config.passkey}${timestamp}`).toString('base64');
+
+  return {
+    name: 'mpesa',
+
+    async requestPayment({ amount, phoneNumber, reference, description }) {
+      if (!isConfigured()) {
+        return { success: false, error: 'M-Pesa is not configured' };
+      }
+
+      if (!(config.exchangeRate > 0)) {
+        return { success: false, error: 'M-Pesa exchange rate is not configured' };
+      }
+
+      const phone = normalizePhoneNumber(phoneNumber);
+      if (!phone) {
+        return { success: false, error: 'A valid Safaricom phone number is required for M-Pesa' };
+      }
+
+      const chargeAmount = toChargeAmount(amount);
+      const timestamp = getTimestamp();
+      const { body } = await post('/mpesa/stkpush/v1/processrequest', {
+        BusinessShortCode: config.shortcode,
+        Password: getPassword(timestamp),
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: chargeAmount,
+        PartyA: phone,
+        PartyB: config.shortcode,
+        PhoneNumber: phone,
+        CallBackURL: config.callbackUrl,
+        AccountReference: reference.slice(0, 12),
+        TransactionDesc: (description || reference).slice(0, 13),
+      });
+
+      if (body.ResponseCode !== '0') {
+        return {
+          success: false,
+          error: body.errorMessage || body.ResponseDescription || 'M-Pesa request failed',
+          raw: body,
+        };
+      }
+
+      return {
+        success: true,
+        pending: true,
+        requestId: body.CheckoutRequestID,
+        amount: chargeAmount,
+        currency: config.currency,
+        phoneNumber: phone,
+        customerMessage: body.CustomerMessage,
+        raw: body,
+      };
+    },
+
+    async queryPayment(requestId) {
+      const timestamp = getTimestamp();
+      const { body } = await post('/mpesa/stkpushquery/v1/query', {
+        BusinessShortCode: config.shortcode,
+        Password: getPassword(timestamp),
+        Timestamp: timestamp,
+        CheckoutRequestID: requestId,
+      });
+
+      if (PENDING_RESULT_CODES.includes(body.errorCode) || body.ResultCode === undefined) {
+        return { requestId, status: 'PENDING', raw: body };
+      }
+
+      // The query API doesn't return the receipt; the callback carries it
+      return {
+        requestId,
+        status: String(body.ResultCode) === '0' ? 'SUCCEEDED' : 'FAILED',
+        message: body.ResultDesc,
+        raw: body,
+      };
+    },
+
+    parseCallback(payload) {
+      const callback = payload?.Body?.stkCallback;
+      if (!callback?.CheckoutRequestID) return null;
+
+      const metadata = {};
+      (callback.CallbackMetadata?.Item || []).forEach(item => {
+        metadata[item.Name] = item.Value;
+      });
+
+      return {
+        requestId: callback.CheckoutRequestID,
+        status: String(callback.ResultCode) === '0' ? 'SUCCEEDED' : 'FAILED',
+        message: callback.ResultDesc,
+        amount: metadata.Amount,
+        receiptNumber: metadata.MpesaReceiptNumber || null,
+        phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null,
+        raw: payload,
+      };
+    },
+
+    async reverse({ transactionId, amount, reference }) {
+      if (!canReverse()) {
+        return { success: false, error: 'M-Pesa reversals are not configured' };
+      }
+
+      if (!transactionId) {
+        return { success: false, error: 'No M-Pesa receipt to reverse' };
+      }
+
+      const resultUrl = new URL(config.reversalResultUrl);
+      resultUrl.searchParams.set('reference', reference);
+
+      const { body } = await post('/mpesa/reversal/v1/request', {
+        Initiator: config.initiatorName,
+        SecurityCredential: config.securityCredential,
+        CommandID: 'TransactionReversal',
+        TransactionID: transactionId,
+        Amount: Math.ceil(amount), // Whole units of the currency it was charged in
+        ReceiverParty: config.shortcode,
+        RecieverIdentifierType: '11', // (sic) Daraja's spelling
+        ResultURL: resultUrl.toString(),
+        QueueTimeOutURL: resultUrl.toString(),
+        Remarks: 'Order refund',
+        Occasion: String(reference),
+      });
+
+      if (body.ResponseCode !== '0') {
+        return {
+          success: false,
+          error: body.errorMessage || body.ResponseDescription || 'M-Pesa reversal failed',
+          raw: body,
+        };
+      }
+
+      return {
+        success: true,
+        pending: true,
+        requestId: body.ConversationID,
+        raw: body,
+      };
+    },
+
+    parseReversalResult(payload) {
+      const result = payload?.Result;
+      if (!result?.ConversationID) return null;
+
+      return {
+        requestId: result.ConversationID,
+        status: String(result.ResultCode) === '0' ? 'SUCCEEDED' : 'FAILED',
+        message: result.ResultDesc,
+        raw: payload,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createMpesaProvider,
+  normalizePhoneNumber,
+};
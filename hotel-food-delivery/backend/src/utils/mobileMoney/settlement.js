@@ -0,0 +1,165 @@
+const { getProvider } = require('./index');
+const { reverseCharge } = require('../refunds');
+
+/**
+ * Apply a provider's final answer to a pending mobile money charge.
+ * A success may land after the sweep already timed the charge out (the
+ * customer approved late), so it can move the entry from FAILED too; a
+ * failure never overwrites a success.
+ * A success the order can't take — it was cancelled, another attempt already
+ * paid it, we withdrew this attempt (CANCELLED), or the customer paid a
+ * different amount than we asked for — is recorded and then reversed rather
+ * than marking the order paid.
+ * @param {Object} prisma - Prisma client
+ * @param {Object} transaction - PaymentTransaction (CHARGE)
+ * @param {Object} result - { status: 'SUCCEEDED' | 'FAILED', message, amount, receiptNumber, raw }
+ * @returns {Promise<Object>} { settled, status, reversed }
+ */
+async function settleMobileMoneyPayment(prisma, transaction, result) {
+  if (!['SUCCEEDED', 'FAILED'].includes(result.status)) {
+    return { settled: false, status: transaction.status };
+  }
+
+  const succeeded = result.status === 'SUCCEEDED';
+  const paidAmount = result.amount != null ? Number(result.amount) : transaction.amount;
+  // Charges from before amounts were recorded in the provider's currency can't be compared
+  const wrongAmount = succeeded && transaction.currency !== 'usd' && paidAmount !== transaction.amount;
+
+  const settlement = await prisma.$transaction(async (prisma) => {
+    const settle = from => prisma.paymentTransaction.updateMany({
+      where: { id: transaction.id, status: { in: from } },
+      data: {
+        status: result.status,
+        receiptNumber: result.receiptNumber || null,
+        errorMessage: succeeded ? null : result.message || 'Payment failed',
+        ...(result.raw !== undefined && { rawPayload: JSON.parse(JSON.stringify(result.raw)) }),
+      },
+    });
+
+    const { count } = await settle(succeeded ? ['PENDING', 'FAILED'] : ['PENDING']);
+
+    // The customer approved an attempt we had withdrawn, so the money still moved
+    const withdrawn = count === 0 && succeeded && (await settle(['CANCELLED'])).count > 0;
+
+    if (count === 0 && !withdrawn) {
+      return { settled: false, status: transaction.status };
+    }
+
+    if (succeeded) {
+      const { count: booked } = withdrawn || wrongAmount ? { count: 0 } : await prisma.order.updateMany({
+        where: {
+          id: transaction.orderId,
+          status: { not: 'CANCELLED' },
+          paymentStatus: { in: ['PENDING', 'FAILED'] },
+        },
+        data: { paymentStatus: 'PAID' },
+      });
+
+      if (booked > 0) {
+        return { settled: true, status: result.status };
+      }
+
+      const order = await prisma.order.findUnique({
+        where: { id: transaction.orderId },
+        select: { status: true },
+      });
+
+      let unbooked = 'Order was already paid';
+      if (wrongAmount) unbooked = `Paid ${paidAmount} ${transaction.currency.toUpperCase()} instead of ${transaction.amount}`;
+      else if (withdrawn) unbooked = 'Payment attempt was withdrawn';
+      else if (order.status === 'CANCELLED') unbooked = 'Order was cancelled';
+
+      return { settled: true, status: result.status, unbooked };
+    }
+
+    // A retry may still be waiting on the customer's phone
+    const otherPending = await prisma.paymentTransaction.count({
+      where: { orderId: transaction.orderId, type: 'CHARGE', status: 'PENDING' },
+    });
+
+    if (otherPending === 0) {
+      await prisma.order.updateMany({
+        where: { id: transaction.orderId, paymentStatus: 'PENDING' },
+        data: { paymentStatus: 'FAILED' },
+      });
+    }
+
+    return { settled: true, status: result.status };
+  });
+
+  if (!settlement.unbooked) {
+    return { settled: settlement.settled, status: settlement.status };
+  }
+
+  // Send back what was actually paid
+  const reversal = await reverseCharge(prisma, {
+    ...transaction,
+    amount: paidAmount,
+    receiptNumber: result.receiptNumber || null,
+  }, settlement.unbooked);
+
+  return { settled: true, status: settlement.status, reversed: reversal.success };
+}
+
+/**
+ * Ask the provider about a pending charge and settle it if it has an answer
+ * @param {Object} prisma - Prisma client
+ * @param {Object} transaction - PaymentTransaction (PENDING CHARGE)
+ * @returns {Promise<Object>} { settled, status }
+ */
+async function refreshMobileMoneyPayment(prisma, transaction) {
+  const provider = getProvider(transaction.provider);
+  if (!provider || !transaction.externalId) {
+    return { settled: false, status: transaction.status };
+  }
+
+  const result = await provider.queryPayment(transaction.externalId);
+  return settleMobileMoneyPayment(prisma, transaction, result);
+}
+
+/**
+ * Fail mobile money charges the customer never answered.
+ * Each expired charge is queried once more in case its callback was lost.
+ * @param {Object} prisma - Prisma client
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of charges settled
+ */
+async function expirePendingPayments(prisma, now = new Date()) {
+  const expired = await prisma.paymentTransaction.findMany({
+    where: {
+      type: 'CHARGE',
+      status: 'PENDING',
+      expiresAt: { lt: now },
+    },
+    take: 100,
+  });
+
+  let settled = 0;
+
+  for (const transaction of expired) {
+    let result = null;
+
+    try {
+      result = await refreshMobileMoneyPayment(prisma, transaction);
+    } catch (error) {
+      console.error(`❌ Payment status query failed for transaction ${transaction.id}:`, error.message);
+    }
+
+    if (!result?.settled) {
+      result = await settleMobileMoneyPayment(prisma, transaction, {
+        status: 'FAILED',
+        message: 'Payment request timed out',
+      });
+    }
+
+    if (result.settled) settled++;
+  }
+
+  return settled;
+}
+
+module.exports = {
+  settleMobileMoneyPayment,
+  refreshMobileMoneyPayment,
+  expirePendingPayments,
+};
@@ -0,0 +1,333 @@
+/**
+ * Weekly opening hours
+ *
+ * Hotel.openingHours is stored as
+ *   { monday: [{ open: '11:00', close: '15:00' }, { open: '17:00', close: '22:00' }], sunday: [], ... }
+ * in the hotel's own timezone (Hotel.timezone). A shift whose close is not after
+ * its open runs past midnight (e.g. 18:00-02:00). Missing days are closed.
+ * Hotels without a schedule are treated as always open; ones whose stored
+ * schedule can't be read (e.g. a legacy "24 hours") as closed until it's fixed.
+ */
+
+// Same order as Date#getDay()
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MAX_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Parse a clock time ("17:30", "9am", "11:00 PM") into minutes after midnight
+ * @returns {number|null} Minutes, or null if invalid
+ */
+function parseClock(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as HH:MM
+ */
+function formatClock(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse one shift, either { open, close } or a "9am-10pm" string
+ * @returns {Object|null} { open: 'HH:MM', close: 'HH:MM' } or null if invalid
+ */
+function parseShift(shift) {
+  let open;
+  let close;
+
+  if (typeof shift === 'string') {
+    [open, close] = shift.split('-');
+  } else if (shift && typeof shift === 'object') {
+    ({ open, close } = shift);
+  }
+
+  if (open === undefined || close === undefined) return null;
+
+  const openMinutes = parseClock(open);
+  const closeMinutes = parseClock(close);
+
+  if (openMinutes === null || closeMinutes === null || openMinutes === closeMinutes) {
+    return null;
+  }
+
+  return { open: formatClock(openMinutes), close: formatClock(closeMinutes) };
+}
+
+/**
+ * Validate and normalize an opening hours schedule.
+ * Accepts the structured format, a JSON string of it, or the legacy
+ * free-form strings ({ monday: '9am-10pm', sunday: 'Closed' }).
+ * @param {Object|string} input - Schedule from the request or database
+ * @returns {Object} { schedule } (null schedule = always open) or { error }
+ */
+function normalizeOpeningHours(input) {
+  if (input === undefined || input === null || input === '') {
+    return { schedule: null };
+  }
+
+  let value = input;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Opening hours must be valid JSON' };
+    }
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Opening hours must be an object keyed by weekday' };
+  }
+
+  const schedule = {};
+  DAYS.forEach(day => { schedule[day] = []; });
+
+  for (const [key, dayValue] of Object.entries(value)) {
+    const day = key.toLowerCase();
+
+    if (!DAYS.includes(day)) {
+      return { error: `Unknown weekday in opening hours: ${key}` };
+    }
+
+    if (dayValue === null || (typeof dayValue === 'string' && dayValue.trim().toLowerCase() === 'closed')) {
+      continue;
+    }
+
+    const rawShifts = typeof dayValue === 'string'
+      ? dayValue.split(',')
+      : Array.isArray(dayValue) ? dayValue : [dayValue];
+
+    for (const rawShift of rawShifts) {
+      const shift = parseShift(rawShift);
+
+      if (!shift) {
+        return { error: `Invalid opening hours for ${day}` };
+      }
+
+      schedule[day].push(shift);
+    }
+
+    schedule[day].sort((a, b) => parseClock(a.open) - parseClock(b.open));
+  }
+
+  return { schedule };
+}
+
+/**
+ * Check if a string is a valid IANA timezone (e.g. Africa/Nairobi)
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date/time of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date);
+
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    minutes: get('hour') * 60 + get('minute'),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ */
+function getTimezoneOffset(date, timeZone) {
+  const instant = Math.floor(date.getTime() / 60000) * 60000;
+  const parts = getZonedParts(new Date(instant), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes);
+
+  return (asUtc - instant) / 60000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} minutes - Minutes after midnight (may exceed 24h)
+ * @param {string} timeZone
+ */
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  const result = guess - offset * 60000;
+
+  // Re-check in case the guess and the result fall on different sides of a DST change
+  const correctedOffset = getTimezoneOffset(new Date(result), timeZone);
+  if (correctedOffset === offset) return new Date(result);
+
+  const corrected = guess - correctedOffset * 60000;
+  if (getTimezoneOffset(new Date(corrected), timeZone) === correctedOffset) return new Date(corrected);
+
+  // The clocks skipped this time when they went forward, so move it on by the jump (02:30 becomes 03:30)
+  return new Date(guess - Math.min(offset, correctedOffset) * 60000);
+}
+
+/**
+ * Get a hotel's normalized schedule (null = always open)
+ */
+function getSchedule(hotel) {
+  const { schedule, error } = normalizeOpeningHours(hotel.openingHours);
+
+  if (error) {
+    console.error(`Opening hours of hotel ${hotel.id} can't be read, treating it as closed: ${error}`);
+    return Object.fromEntries(DAYS.map(day => [day, []]));
+  }
+
+  return schedule;
+}
+
+/**
+ * Check if an instant falls in a closure (holiday, one-off)
+ */
+function isClosedFor(date, closures = []) {
+  return closures.some(closure =>
+    date >= new Date(closure.startsAt) && date < new Date(closure.endsAt)
+  );
+}
+
+/**
+ * Check if a hotel is open at an instant
+ * @param {Object} hotel - Hotel with openingHours and timezone
+ * @param {Date} date - Instant to check
+ * @param {Array} closures - HotelClosure rows
+ * @returns {boolean} True if the kitchen is serving
+ */
+function isOpenAt(hotel, date, closures = []) {
+  if (isClosedFor(date, closures)) return false;
+
+  const schedule = getSchedule(hotel);
+  if (!schedule) return true;
+
+  const timeZone = hotel.timezone || 'UTC';
+  const { year, month, day, minutes } = getZonedParts(date, timeZone);
+  const dayIndex = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  const today = schedule[DAYS[dayIndex]];
+  const yesterday = schedule[DAYS[(dayIndex + 6) % 7]];
+
+  const openToday = today.some(shift => {
+    const open = parseClock(shift.open);
+    const close = parseClock(shift.close);
+
+    return close > open
+      ? minutes >= open && minutes < close
+      : minutes >= open; // runs past midnight
+  });
+
+  if (openToday) return true;
+
+  // Overnight shifts that started yesterday
+  return yesterday.some(shift => {
+    const open = parseClock(shift.open);
+    const close = parseClock(shift.close);
+
+    return close <= open && minutes < close;
+  });
+}
+
+/**
+ * Find the next instant a closed hotel opens
+ * @returns {Date|null} Next opening, or null if none within two weeks
+ */
+function getNextOpenAt(hotel, from = new Date(), closures = []) {
+  const schedule = getSchedule(hotel);
+  const timeZone = hotel.timezone || 'UTC';
+
+  // The hotel can only open at a shift start or when a closure ends
+  const candidates = closures
+    .map(closure => new Date(closure.endsAt))
+    .filter(date => date > from);
+
+  if (schedule) {
+    const start = getZonedParts(from, timeZone);
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const localDate = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+      const shifts = schedule[DAYS[localDate.getUTCDay()]];
+
+      for (const shift of shifts) {
+        const opensAt = zonedTimeToUtc(
+          localDate.getUTCFullYear(),
+          localDate.getUTCMonth() + 1,
+          localDate.getUTCDate(),
+          parseClock(shift.open),
+          timeZone
+        );
+
+        if (opensAt > from) candidates.push(opensAt);
+      }
+    }
+  }
+
+  candidates.sort((a, b) => a - b);
+
+  return candidates.find(date => isOpenAt(hotel, date, closures)) || null;
+}
+
+/**
+ * Compute a hotel's current opening status
+ * @param {Object} hotel - Hotel with openingHours, timezone and (optionally) closures
+ * @param {Date} now - Instant to evaluate
+ * @returns {Object} { isOpenNow, nextOpenAt }
+ */
+function getOpeningStatus(hotel, now = new Date()) {
+  const closures = hotel.closures || [];
+  const isOpenNow = isOpenAt(hotel, now, closures);
+
+  return {
+    isOpenNow,
+    nextOpenAt: isOpenNow ? null : getNextOpenAt(hotel, now, closures),
+  };
+}
+
+module.exports = {
+  DAYS,
+  parseClock,
+  normalizeOpeningHours,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  isOpenAt,
+  getNextOpenAt,
+  getOpeningStatus,
+};
@@ -0,0 +1,68 @@
+const { getEventBus } = require('./eventBus');
+
+/**
+ * Statuses after which an order's stream has nothing more to say
+ */
+const FINAL_ORDER_STATUSES = ['DELIVERED', 'CANCELLED'];
+
+const orderChannel = orderId => `order:${orderId}`;
+const hotelChannel = hotelId => `hotel:${hotelId}`;
+
+/**
+ * Publish a live update for an order, to its own stream and its hotel's.
+ * Best effort: tracking must never fail the request that changed the order,
+ * so errors are logged rather than thrown. Call it after the change commits.
+ * @param {Object} order - Order the event is about ({ id, hotelId })
+ * @param {string} type - 'created', 'status', 'ready', 'courier', 'eta' or 'location'
+ * @param {Object} data - Event payload
+ */
+function publishOrderEvent(order, type, data) {
+  const bus = getEventBus();
+  const event = { type, orderId: order.id, hotelId: order.hotelId, data, at: new Date().toISOString() };
+  const logError = err => console.error('Order event publish error:', err.message);
+
+  bus.publish(orderChannel(order.id), event).catch(logError);
+  bus.publish(hotelChannel(order.hotelId), event).catch(logError);
+}
+
+/**
+ * Publish a live update to a hotel's staff that isn't about one order
+ * (e.g. 'stock' alerts). Best effort, like publishOrderEvent.
+ * @param {number} hotelId - Hotel the event is for
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+function publishHotelEvent(hotelId, type, data) {
+  const event = { type, orderId: null, hotelId, data, at: new Date().toISOString() };
+
+  getEventBus().publish(hotelChannel(hotelId), event)
+    .catch(err => console.error('Hotel event publish error:', err.message));
+}
+
+/**
+ * Listen for an order's live updates
+ * @param {number} orderId - Order to follow
+ * @param {Function} handler - Called with { type, orderId, hotelId, data, at }
+ * @returns {Promise<Function>} Unsubscribe
+ */
+function subscribeToOrder(orderId, handler) {
+  return getEventBus().subscribe(orderChannel(orderId), handler);
+}
+
+/**
+ * Listen for live updates on every order at a hotel
+ * @param {number} hotelId - Hotel to follow
+ * @param {Function} handler - Called with { type, orderId, hotelId, data, at }
+ * @returns {Promise<Function>} Unsubscribe
+ */
+function subscribeToHotel(hotelId, handler) {
+  return getEventBus().subscribe(hotelChannel(hotelId), handler);
+}
+
+module.exports = {
+  FINAL_ORDER_STATUSES,
+  publishOrderEvent,
+  publishHotelEvent,
+  subscribeToOrder,
+  subscribeToHotel,
+};
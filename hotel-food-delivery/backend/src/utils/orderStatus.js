@@ -0,0 +1,122 @@
+const { releaseDeliverySlot } = require('./deliverySlots');
+const { releasePromotionUse } = require('./promotions');
+const { refreshCourierStatus } = require('./couriers');
+const { recordDeliveryTimes } = require('./deliveryEta');
+const { restockOrder } = require('./menuStock');
+
+/**
+ * Allowed order status transitions
+ * PENDING → CONFIRMED → PREPARING → OUT_FOR_DELIVERY → DELIVERED
+ * CANCELLED is only reachable before the order leaves the kitchen
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PREPARING', 'CANCELLED'],
+  PREPARING: ['OUT_FOR_DELIVERY', 'CANCELLED'],
+  OUT_FOR_DELIVERY: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+/**
+ * Get the statuses an order can move to next
+ * @param {string} status - Current order status
+ * @returns {string[]} Allowed next statuses
+ */
+function getAllowedTransitions(status) {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check if an order can move from one status to another
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Apply a status change and record it in the order's history.
+ * Call it with a transaction client so both writes commit together.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {Object} order - Order as last read ({ id, status, paymentMethod, deliverySlotId, promotionId, courierId })
+ * @param {string} toStatus - New status
+ * @param {Object} options - { actor: {id, type, role}, note, data }
+ * @returns {Promise<boolean>} False if the order's status changed since it was read
+ */
+async function applyStatusChange(prisma, order, toStatus, { actor, note, data = {} } = {}) {
+  // Cash is collected by the driver on delivery
+  const collectsCash = toStatus === 'DELIVERED' && order.paymentMethod === 'CASH';
+
+  // Only update if nobody else moved the order in the meantime
+  const { count } = await prisma.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: {
+      ...data,
+      status: toStatus,
+      ...(collectsCash && { paymentStatus: 'PAID' }),
+      ...(toStatus === 'CONFIRMED' && { confirmedAt: new Date() }),
+      ...(toStatus === 'OUT_FOR_DELIVERY' && { pickedUpAt: new Date() }),
+      ...(toStatus === 'DELIVERED' && { deliveredAt: new Date() }),
+    },
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  if (collectsCash) {
+    await prisma.paymentTransaction.updateMany({
+      where: { orderId: order.id, provider: 'cash', type: 'CHARGE', status: 'PENDING' },
+      data: { status: 'SUCCEEDED' },
+    });
+  }
+
+  // Cancelled pre-orders give their delivery slot back
+  if (toStatus === 'CANCELLED' && order.deliverySlotId) {
+    await releaseDeliverySlot(prisma, order.deliverySlotId);
+  }
+
+  // ...and their promo code use
+  if (toStatus === 'CANCELLED' && order.promotionId) {
+    await releasePromotionUse(prisma, order.id);
+  }
+
+  // ...and the portions it took off today's stock
+  if (toStatus === 'CANCELLED') {
+    await restockOrder(prisma, order.id);
+  }
+
+  // The courier is free again once the order is done with
+  if ((toStatus === 'DELIVERED' || toStatus === 'CANCELLED') && order.courierId) {
+    await refreshCourierStatus(prisma, order.courierId);
+  }
+
+  // Delivered orders feed the hotel's prep and transit averages
+  if (toStatus === 'DELIVERED') {
+    await recordDeliveryTimes(prisma, order.id);
+  }
+
+  await prisma.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      actorId: actor?.id ?? null,
+      actorType: actor?.type ?? null,
+      actorRole: actor?.role ?? null,
+      note,
+    },
+  });
+
+  return true;
+}
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  applyStatusChange,
+};
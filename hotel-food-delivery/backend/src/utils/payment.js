@@ -1,9 +1,15 @@
 const Stripe = require('stripe');
 const env = require('../config/env');
+const { generateCreditNoteNumber } = require('./generateOrderNumber');
+const { getProvider: getMobileMoneyProvider } = require('./mobileMoney');
 
 let stripe;
 if (env.STRIPE_SECRET_KEY) {
-  stripe = new Stripe(env.STRIPE_SECRET_KEY);
+  // A checkout waits on these calls, so they give up well inside its idempotency lease
+  stripe = new Stripe(env.STRIPE_SECRET_KEY, {
+    timeout: env.PAYMENT_PROVIDER_TIMEOUT_MS,
+    maxNetworkRetries: 1,
+  });
 }
 
 /**
@@ -60,55 +66,92 @@ async function processCashPayment(orderId, amount) {
 }
 
 /**
- * Process mobile money payment (simulated)
+ * Start a mobile money payment (e.g. an M-Pesa STK push).
+ * The customer approves on their phone, so this only sends the prompt; the
+ * result arrives later through the provider callback or a status query.
+ * @param {string} reference - Order number shown to the customer
+ * @param {number} amount - Amount to charge
+ * @param {string} phoneNumber - Customer's mobile money number
+ * @param {string} provider - Provider name (default: MOBILE_MONEY_PROVIDER)
+ * @returns {Promise<Object>} { success, provider, checkoutRequestId, customerMessage, amount, currency }
+ *   (amount and currency as charged) or { success: false, error }
  */
-async function processMobileMoneyPayment(orderId, amount, phoneNumber, provider = 'MPESA') {
-  // Simulate mobile money payment
-  // In real implementation, integrate with mobile money API
-  await new Promise(resolve => setTimeout(resolve, 2000));
+async function processMobileMoneyPayment(reference, amount, phoneNumber, provider = env.MOBILE_MONEY_PROVIDER) {
+  const adapter = getMobileMoneyProvider(provider);
   
-  // Simulate random success/failure
-  const isSuccess = Math.random() > 0.1; // 90% success rate
-  
-  if (isSuccess) {
+  if (!adapter) {
     return {
-      success: true,
+      success: false,
+      error: `Mobile money provider ${provider} is not supported`,
       paymentMethod: 'MOBILE_MONEY',
-      provider,
-      transactionId: `${provider}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    };
+  }
+  
+  try {
+    const result = await adapter.requestPayment({
       amount,
       phoneNumber,
-      processedAt: new Date(),
+      reference,
+      description: `Order ${reference}`,
+    });
+    
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        paymentMethod: 'MOBILE_MONEY',
+        provider: adapter.name,
+      };
+    }
+    
+    return {
+      success: true,
+      paymentMethod: 'MOBILE_MONEY',
+      provider: adapter.name,
+      status: 'PENDING',
+      checkoutRequestId: result.requestId,
+      customerMessage: result.customerMessage,
+      amount: result.amount,
+      currency: result.currency,
+      phoneNumber: result.phoneNumber,
     };
-  } else {
+  } catch (error) {
+    console.error('❌ Mobile money request error:', error);
     return {
       success: false,
-      error: 'Payment failed. Please try again.',
+      error: 'Could not reach the mobile money provider. Please try again.',
       paymentMethod: 'MOBILE_MONEY',
-      provider,
+      provider: adapter.name,
     };
   }
 }
 
 /**
  * Refund payment
+ * @param {string} paymentIntentId - Intent to refund
+ * @param {number} amount - Amount in dollars
+ * @param {Object} refund - Our refund ({ id, orderId }); its id goes in the metadata so
+ *   webhooks can match the Stripe refund, and keys the request so a retry can't refund twice
  */
-async function refundPayment(paymentIntentId, amount) {
+async function refundPayment(paymentIntentId, amount, refund) {
   if (!stripe) {
     throw new Error('Stripe not configured');
   }
   
   try {
-    const refund = await stripe.refunds.create({
+    const stripeRefund = await stripe.refunds.create({
       payment_intent: paymentIntentId,
       amount: Math.round(amount * 100),
+      metadata: { refundId: refund.id, orderId: refund.orderId },
+    }, {
+      idempotencyKey: `refund-${refund.id}`,
     });
     
     return {
       success: true,
-      refundId: refund.id,
-      amount: refund.amount / 100,
-      status: refund.status,
+      refundId: stripeRefund.id,
+      amount: stripeRefund.amount / 100,
+      status: stripeRefund.status,
     };
   } catch (error) {
     console.error('❌ Stripe refund error:', error);
@@ -119,40 +162,172 @@ async function refundPayment(paymentIntentId, amount) {
   }
 }
 
+/**
+ * List every refund made against a Stripe charge
+ * @param {string} chargeId - Charge id
+ * @returns {Promise<Array>} Stripe refunds
+ */
+async function listChargeRefunds(chargeId) {
+  if (!stripe) {
+    throw new Error('Stripe not configured');
+  }
+  
+  const refunds = [];
+  for await (const refund of stripe.refunds.list({ charge: chargeId, limit: 100 })) {
+    refunds.push(refund);
+  }
+  
+  return refunds;
+}
+
+/**
+ * Cancel a Stripe payment intent that was never paid
+ */
+async function cancelPaymentIntent(paymentIntentId) {
+  if (!stripe) {
+    throw new Error('Stripe not configured');
+  }
+  
+  try {
+    const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+    
+    return {
+      success: true,
+      paymentIntentId: paymentIntent.id,
+      status: paymentIntent.status,
+    };
+  } catch (error) {
+    console.error('❌ Stripe cancel error:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Reverse a mobile money payment (e.g. an M-Pesa reversal).
+ * Like the payment, the reversal is answered later: this only asks for it, and
+ * the outcome arrives through the provider's reversal result callback.
+ * @param {string} transactionId - Provider's receipt for the payment
+ * @param {number} amount - Amount to send back, in the currency the payment was made in
+ * @param {string|number} reference - Ledger entry of the refund, echoed back with the result
+ * @param {string} provider - Provider name (default: MOBILE_MONEY_PROVIDER)
+ * @returns {Promise<Object>} { success, provider, status: 'PENDING', reversalId } or { success: false, error }
+ */
+async function reverseMobileMoneyPayment(transactionId, amount, reference, provider = env.MOBILE_MONEY_PROVIDER) {
+  const adapter = getMobileMoneyProvider(provider);
+  
+  if (!adapter || !adapter.reverse) {
+    return {
+      success: false,
+      error: `Mobile money provider ${provider} does not support reversals`,
+    };
+  }
+  
+  try {
+    const result = await adapter.reverse({ transactionId, amount, reference });
+    
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        provider: adapter.name,
+      };
+    }
+    
+    return {
+      success: true,
+      provider: adapter.name,
+      status: 'PENDING',
+      reversalId: result.requestId,
+      originalTransactionId: transactionId,
+      amount,
+    };
+  } catch (error) {
+    console.error('❌ Mobile money reversal error:', error);
+    return {
+      success: false,
+      error: 'Could not reach the mobile money provider',
+      provider: adapter.name,
+    };
+  }
+}
+
+/**
+ * Issue a credit note for a cash refund
+ */
+async function processCashRefund(orderId, amount) {
+  // The credit note is redeemed at the hotel or against a future order
+  return {
+    success: true,
+    paymentMethod: 'CASH',
+    creditNoteNumber: generateCreditNoteNumber(),
+    orderId,
+    amount,
+    processedAt: new Date(),
+  };
+}
+
 /**
  * Verify webhook signature
+ * @param {Buffer} payload - Raw request body, exactly as Stripe sent it
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object|null|false} Stripe event, null if the signature is invalid,
+ *   false if webhooks are not configured
  */
 function verifyWebhookSignature(payload, signature) {
-  if (!stripe || !env.STRIPE_WEBHOOK_SECRET) {
+  if (!env.STRIPE_WEBHOOK_SECRET) {
     return false;
   }
   
   try {
-    const event = stripe.webhooks.constructEvent(
+    // Verifying only needs the signing secret, not an API key
+    const event = Stripe.webhooks.constructEvent(
       payload,
       signature,
       env.STRIPE_WEBHOOK_SECRET
     );
     return event;
   } catch (error) {
-    console.error('❌ Webhook signature verification failed:', error);
+    console.error('❌ Webhook signature verification failed:', error.message);
     return null;
   }
 }
 
 /**
- * Calculate payment breakdown
+ * Calculate the itemized price of an order
+ * @param {Object} amounts
+ * @param {number} amounts.subtotal - Items incl. options
+ * @param {number} amounts.deliveryFee - Hotel delivery fee
+ * @param {number} amounts.taxRate - Hotel tax rate (0.16 = 16%)
+ * @param {number} amounts.discount - Promo discount
+ * @param {boolean} amounts.discountOnDelivery - Discount waives the delivery fee instead of items
+ * @param {number} amounts.tip - Tip for the courier
+ * @returns {Object} { subtotal, deliveryFee, discount, tax, tip, total }
  */
-function calculatePaymentBreakdown(orderAmount, deliveryFee, taxRate = 0.1) {
-  const subtotal = orderAmount - deliveryFee;
-  const tax = subtotal * taxRate;
-  const total = subtotal + deliveryFee + tax;
+function calculatePaymentBreakdown({
+  subtotal,
+  deliveryFee = 0,
+  taxRate = 0,
+  discount = 0,
+  discountOnDelivery = false,
+  tip = 0,
+}) {
+  const round = amount => parseFloat(amount.toFixed(2));
+  
+  // Tax is charged on what the customer pays for the food; tips are never taxed
+  const taxable = Math.max(subtotal - (discountOnDelivery ? 0 : discount), 0);
+  const tax = round(taxable * taxRate);
+  const total = subtotal + deliveryFee - discount + tax + tip;
   
   return {
-    subtotal: parseFloat(subtotal.toFixed(2)),
-    deliveryFee: parseFloat(deliveryFee.toFixed(2)),
-    tax: parseFloat(tax.toFixed(2)),
-    total: parseFloat(total.toFixed(2)),
+    subtotal: round(subtotal),
+    deliveryFee: round(deliveryFee),
+    discount: round(discount),
+    tax,
+    tip: round(tip),
+    total: round(total),
   };
 }
 
@@ -161,6 +336,10 @@ module.exports = {
   processCashPayment,
   processMobileMoneyPayment,
   refundPayment,
+  listChargeRefunds,
+  cancelPaymentIntent,
+  reverseMobileMoneyPayment,
+  processCashRefund,
   verifyWebhookSignature,
   calculatePaymentBreakdown,
   isStripeAvailable: !!env.STRIPE_SECRET_KEY,
@@ -0,0 +1,96 @@
+/**
+ * Ledger provider name for each order payment method
+ */
+const PROVIDERS = {
+  CARD: 'stripe',
+  MOBILE_MONEY: 'mpesa',
+  CASH: 'cash',
+};
+
+/**
+ * Make a provider response safe to store as JSON
+ */
+function toPayload(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Write a charge, refund or failure to the payment ledger
+ * @param {Object} prisma - Prisma client or transaction client
+ * @param {Object} entry - { orderId, type, provider, externalId, amount, currency, status, errorMessage, expiresAt,
+ *   refundId, payload }
+ * @returns {Promise<Object>} PaymentTransaction
+ */
+async function recordTransaction(prisma, {
+  orderId,
+  type = 'CHARGE',
+  provider,
+  externalId = null,
+  amount,
+  currency = 'usd',
+  status,
+  errorMessage = null,
+  expiresAt = null,
+  refundId = null,
+  payload,
+}) {
+  // Retries are numbered so finance can see every attempt on an order
+  const attempt = await prisma.paymentTransaction.count({
+    where: { orderId, type },
+  }) + 1;
+
+  return prisma.paymentTransaction.create({
+    data: {
+      orderId,
+      type,
+      provider,
+      externalId,
+      amount,
+      currency,
+      status,
+      attempt,
+      errorMessage,
+      expiresAt,
+      refundId,
+      rawPayload: toPayload(payload),
+    },
+  });
+}
+
+/**
+ * Update the ledger entry a provider reported back on (e.g. a Stripe event)
+ * @param {Object} prisma - Prisma client or transaction client
+ * @param {Object} match - { provider, externalId }, { refundId } or { id }, plus
+ *   { type, from: statuses the entry may move from }
+ * @param {Object} changes - { status, externalId, errorMessage, payload }
+ * @returns {Promise<number>} Number of entries updated
+ */
+async function updateTransaction(prisma, { id, provider, externalId, refundId, type = 'CHARGE', from }, changes) {
+  const { status, errorMessage = null, payload } = changes;
+
+  let match = { provider, externalId };
+  if (id !== undefined) match = { id };
+  else if (refundId !== undefined) match = { refundId };
+
+  const { count } = await prisma.paymentTransaction.updateMany({
+    where: {
+      ...match,
+      type,
+      ...(from && { status: { in: from } }),
+    },
+    data: {
+      status,
+      errorMessage,
+      ...(changes.externalId && { externalId: changes.externalId }),
+      ...(payload !== undefined && { rawPayload: toPayload(payload) }),
+    },
+  });
+
+  return count;
+}
+
+module.exports = {
+  PROVIDERS,
+  recordTransaction,
+  updateTransaction,
+};
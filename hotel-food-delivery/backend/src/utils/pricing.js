@@ -0,0 +1,333 @@
+const { calculatePaymentBreakdown } = require('./payment');
+const { isOpenAt, getNextOpenAt } = require('./openingHours');
+const { validateDeliveryTime } = require('./deliverySlots');
+const { normalizePromoCode, evaluatePromotion } = require('./promotions');
+const { optionGroupsInclude, resolveItemOptions } = require('./menuOptions');
+const { activeZonesInclude, resolveDeliveryArea } = require('./deliveryZones');
+const { calculateDeliveryFee } = require('./deliveryFees');
+const { getKitchenQueueDepths, estimateDeliveryEta } = require('./deliveryEta');
+const { getIntakeError } = require('./busyMode');
+const { getStockError } = require('./menuStock');
+
+/**
+ * Work out where an order goes and check it's inside the hotel's delivery area
+ * @param {Object} prisma - Prisma client
+ * @param {Object} hotel - Hotel with deliveryZones loaded
+ * @param {Object} input - { addressId } or { latitude, longitude, deliveryAddress }
+ * @param {number} userId - Customer (saved addresses must be theirs)
+ * @returns {Promise<Object>} { delivery: { addressId, address, latitude, longitude, zone, distance,
+ *   deliveryFee, minOrderAmount, etaOffset } } ({ delivery: null } when no location was given) or { error }
+ */
+async function resolveDelivery(prisma, hotel, input, userId) {
+  const { addressId, deliveryAddress } = input;
+  let location = null;
+
+  if (addressId) {
+    const address = await prisma.address.findFirst({
+      where: { id: parseInt(addressId), userId },
+    });
+
+    if (!address) {
+      return { error: { status: 404, message: 'Address not found' } };
+    }
+
+    if (address.latitude == null || address.longitude == null) {
+      return {
+        error: {
+          status: 400,
+          message: 'This address has no map location. Please update it with its coordinates.',
+        },
+      };
+    }
+
+    location = {
+      addressId: address.id,
+      address: `${address.address}, ${address.city}`,
+      latitude: address.latitude,
+      longitude: address.longitude,
+    };
+  } else if (input.latitude != null && input.longitude != null) {
+    location = {
+      addressId: null,
+      address: deliveryAddress,
+      latitude: parseFloat(input.latitude),
+      longitude: parseFloat(input.longitude),
+    };
+  }
+
+  if (!location) return { delivery: null };
+
+  const area = resolveDeliveryArea(hotel, location.latitude, location.longitude);
+
+  if (!area.isDeliverable) {
+    return {
+      error: {
+        status: 400,
+        message: `${hotel.name} doesn't deliver to this address`,
+        distance: area.distance,
+        ...(hotel.deliveryZones.length === 0 && { deliveryRadius: hotel.deliveryRadius }),
+      },
+    };
+  }
+
+  return {
+    delivery: {
+      ...location,
+      zone: area.zone ? { id: area.zone.id, name: area.zone.name } : null,
+      distance: area.distance,
+      deliveryFee: area.deliveryFee,
+      minOrderAmount: area.minOrderAmount,
+      etaOffset: area.etaOffset,
+    },
+  };
+}
+
+/**
+ * Validate a basket and price it the way checkout will
+ * @param {Object} prisma - Prisma client
+ * @param {Object} input - Order fields ({ hotelId, items, addressId or latitude/longitude, deliveryTime, promoCode, tip })
+ * @param {number} userId - Customer placing the order
+ * @param {Object} options - { checkIntake: check the hotel's pause and open-order cap (default true).
+ *   Checkout leaves it to claimOrderIntake, which checks under a lock.) }
+ * @returns {Promise<Object>} { hotel, delivery, slotStart, orderItems, promotion, deliveryFeeDetails, eta, breakdown }
+ *   (eta is null for scheduled orders and when the distance isn't known)
+ *   or { error: { status, message, ...details } }
+ */
+async function priceOrder(prisma, input, userId, { checkIntake = true } = {}) {
+  const { hotelId, items, deliveryTime, promoCode, tip = 0 } = input;
+
+  // Validate hotel exists and is active
+  const hotel = await prisma.hotel.findUnique({
+    where: { 
+      id: parseInt(hotelId),
+      isActive: true,
+    },
+    include: {
+      menuItems: {
+        where: { isAvailable: true },
+        select: {
+          id: true,
+          price: true,
+          name: true,
+          category: true,
+          prepTimeAvg: true,
+          prepTimeSamples: true,
+          stockRemaining: true,
+          optionGroups: optionGroupsInclude,
+        },
+      },
+      closures: {
+        where: { endsAt: { gt: new Date() } },
+      },
+      deliveryZones: activeZonesInclude,
+    },
+  });
+
+  if (!hotel) {
+    return { error: { status: 404, message: 'Hotel not found or not active' } };
+  }
+
+  const { delivery, error: deliveryError } = await resolveDelivery(prisma, hotel, input, userId);
+
+  if (deliveryError) {
+    return { error: deliveryError };
+  }
+
+  // Scheduled orders must respect the hotel's lead time and booking window
+  let slotStart = null;
+  if (deliveryTime) {
+    const scheduled = validateDeliveryTime(hotel, new Date(deliveryTime));
+
+    if (scheduled.error) {
+      return {
+        error: {
+          status: 400,
+          message: scheduled.error,
+          ...(scheduled.earliest && { earliestDeliveryTime: scheduled.earliest }),
+        },
+      };
+    }
+
+    slotStart = scheduled.slotStart;
+  }
+
+  // Kitchen must be serving at the requested delivery time (now for ASAP orders)
+  const requestedTime = deliveryTime ? new Date(deliveryTime) : new Date();
+
+  if (!isOpenAt(hotel, requestedTime, hotel.closures)) {
+    return {
+      error: {
+        status: 400,
+        message: deliveryTime
+          ? 'Hotel is closed at the requested delivery time'
+          : 'Hotel is closed right now',
+        nextOpenAt: getNextOpenAt(hotel, requestedTime, hotel.closures),
+      },
+    };
+  }
+
+  // Busy kitchens can pause new orders or cap how many they have open
+  const queueDepths = await getKitchenQueueDepths(prisma, [hotel.id]);
+  const openOrders = queueDepths.get(hotel.id) ?? 0;
+  const intakeError = checkIntake && getIntakeError(hotel, { openOrders, deliveryTime });
+
+  if (intakeError) {
+    return {
+      error: {
+        status: 409,
+        message: intakeError.message,
+        resumesAt: intakeError.resumesAt,
+      },
+    };
+  }
+
+  // Validate menu items and calculate subtotal
+  let subtotal = 0;
+  const orderItems = [];
+
+  for (const item of items) {
+    const menuItem = hotel.menuItems.find(m => m.id === parseInt(item.menuItemId));
+
+    if (!menuItem) {
+      return {
+        error: {
+          status: 400,
+          message: `Menu item with ID ${item.menuItemId} not found or not available`,
+        },
+      };
+    }
+
+    if (item.quantity < 1) {
+      return {
+        error: { status: 400, message: `Invalid quantity for item ${menuItem.name}` },
+      };
+    }
+
+    // Validate chosen options and price them into the line
+    const optionResult = resolveItemOptions(menuItem, item.options);
+
+    if (!optionResult.success) {
+      return { error: { status: 400, message: optionResult.error } };
+    }
+
+    const unitPrice = menuItem.price + optionResult.optionsTotal;
+    const lineSubtotal = unitPrice * item.quantity;
+    subtotal += lineSubtotal;
+
+    orderItems.push({
+      menuItemId: menuItem.id,
+      category: menuItem.category,
+      quantity: parseInt(item.quantity),
+      unitPrice,
+      subtotal: lineSubtotal,
+      options: optionResult.options,
+    });
+  }
+
+  // Counted items can't sell more than today's remaining portions
+  const stockError = getStockError(hotel.menuItems, orderItems);
+
+  if (stockError) {
+    return { error: { status: 400, message: stockError } };
+  }
+
+  // The delivery zone can set its own fee and minimum
+  const minOrderAmount = delivery ? delivery.minOrderAmount : hotel.minOrderAmount;
+
+  // Check minimum order amount
+  if (subtotal < minOrderAmount) {
+    return {
+      error: { status: 400, message: `Minimum order amount is $${minOrderAmount}` },
+    };
+  }
+
+  // Zone or distance fee, then the hotel's small-basket and free-delivery rules
+  const deliveryFeeDetails = calculateDeliveryFee(
+    hotel,
+    delivery ? delivery.deliveryFee : hotel.deliveryFee,
+    subtotal
+  );
+  const { deliveryFee } = deliveryFeeDetails;
+
+  // Apply promo code to the basket
+  let promotion = null;
+  let promoResult = { discount: 0, freeDelivery: false };
+  if (promoCode) {
+    promotion = await prisma.promotion.findUnique({
+      where: { code: normalizePromoCode(promoCode) },
+    });
+
+    const userRedemptions = promotion
+      ? await prisma.promotionRedemption.count({
+        where: { promotionId: promotion.id, userId },
+      })
+      : 0;
+
+    promoResult = evaluatePromotion(promotion, {
+      hotelId: hotel.id,
+      lines: orderItems,
+      subtotal,
+      deliveryFee,
+    }, { userRedemptions });
+
+    if (!promoResult.success) {
+      return { error: { status: 400, message: promoResult.error } };
+    }
+  }
+
+  // ASAP orders get a promised time from the hotel's history and current queue
+  let eta = null;
+  if (delivery && delivery.distance !== null && !deliveryTime) {
+    eta = estimateDeliveryEta(hotel, {
+      distance: delivery.distance,
+      etaOffset: delivery.etaOffset,
+      queueDepth: openOrders,
+      menuItems: orderItems.map(line => hotel.menuItems.find(m => m.id === line.menuItemId)),
+    });
+  }
+
+  const breakdown = calculatePaymentBreakdown({
+    subtotal,
+    deliveryFee,
+    taxRate: hotel.taxRate,
+    discount: promoResult.discount,
+    discountOnDelivery: promoResult.freeDelivery,
+    tip: parseFloat(tip),
+  });
+
+  return { hotel, delivery, slotStart, orderItems, promotion, deliveryFeeDetails, eta, breakdown };
+}
+
+/**
+ * Check the hotel's pause and open-order cap for an order being placed.
+ * Call it in the order's transaction, before the order is created: the hotel
+ * row stays locked until the transaction ends, so checkouts racing for the
+ * last places in a busy kitchen are counted one at a time.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {number} hotelId - Hotel taking the order
+ * @param {Date|null} deliveryTime - Requested delivery time (null for ASAP)
+ * @returns {Promise<Object|null>} { message, resumesAt } or null if the order can go ahead
+ */
+async function claimOrderIntake(prisma, hotelId, deliveryTime = null) {
+  await prisma.$queryRaw`SELECT id FROM hotels WHERE id = ${hotelId} FOR UPDATE`;
+
+  const hotel = await prisma.hotel.findUnique({
+    where: { id: hotelId },
+    select: {
+      name: true,
+      busyUntil: true,
+      busyExtraMinutes: true,
+      busyMaxOpenOrders: true,
+      ordersPausedUntil: true,
+    },
+  });
+
+  const queueDepths = await getKitchenQueueDepths(prisma, [hotelId]);
+
+  return getIntakeError(hotel, { openOrders: queueDepths.get(hotelId) ?? 0, deliveryTime });
+}
+
+module.exports = {
+  priceOrder,
+  claimOrderIntake,
+};
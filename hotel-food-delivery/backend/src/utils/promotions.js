@@ -0,0 +1,149 @@
+/**
+ * Round a money amount to cents
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normalize a promo code as entered by a customer
+ */
+function normalizePromoCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Check a promotion against a basket and compute its discount
+ * @param {Object} promotion - Promotion row
+ * @param {Object} basket - { hotelId, lines: [{ category, subtotal }], subtotal, deliveryFee }
+ * @param {Object} context - { userRedemptions: number, now: Date }
+ * @returns {Object} { success, discount, freeDelivery } or { success: false, error }
+ */
+function evaluatePromotion(promotion, basket, { userRedemptions = 0, now = new Date() } = {}) {
+  const fail = error => ({ success: false, error });
+
+  if (!promotion || !promotion.isActive) {
+    return fail('Invalid promo code');
+  }
+
+  if (promotion.startsAt && now < promotion.startsAt) {
+    return fail('This promo code is not active yet');
+  }
+
+  if (promotion.endsAt && now > promotion.endsAt) {
+    return fail('This promo code has expired');
+  }
+
+  if (promotion.hotelIds.length > 0 && !promotion.hotelIds.includes(basket.hotelId)) {
+    return fail('This promo code is not valid for this hotel');
+  }
+
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return fail('This promo code has reached its usage limit');
+  }
+
+  if (promotion.perUserLimit !== null && userRedemptions >= promotion.perUserLimit) {
+    return fail('You have already used this promo code');
+  }
+
+  if (basket.subtotal < promotion.minOrderAmount) {
+    return fail(`Spend at least $${promotion.minOrderAmount.toFixed(2)} to use this promo code`);
+  }
+
+  // Category-scoped promotions only discount matching lines
+  const eligibleSubtotal = promotion.categories.length > 0
+    ? basket.lines
+      .filter(line => promotion.categories.includes(line.category))
+      .reduce((sum, line) => sum + line.subtotal, 0)
+    : basket.subtotal;
+
+  if (promotion.discountType !== 'FREE_DELIVERY' && eligibleSubtotal <= 0) {
+    return fail('No items in your order qualify for this promo code');
+  }
+
+  let discount = 0;
+
+  if (promotion.discountType === 'PERCENTAGE') {
+    discount = eligibleSubtotal * (promotion.discountValue / 100);
+    if (promotion.maxDiscount !== null) {
+      discount = Math.min(discount, promotion.maxDiscount);
+    }
+  } else if (promotion.discountType === 'FIXED') {
+    discount = Math.min(promotion.discountValue, eligibleSubtotal);
+  } else if (promotion.discountType === 'FREE_DELIVERY') {
+    discount = basket.deliveryFee;
+  }
+
+  return {
+    success: true,
+    discount: roundMoney(discount),
+    freeDelivery: promotion.discountType === 'FREE_DELIVERY',
+  };
+}
+
+/**
+ * Count one use of a promotion against its overall and per-customer limits.
+ * The promotion row stays locked until the order's transaction ends, so
+ * checkouts using it queue up and each one sees the redemptions of those
+ * before it: two can't share the last use, overall or the customer's own.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {number} promotionId - Promotion id
+ * @param {number} userId - Customer redeeming it
+ * @returns {Promise<Object>} { claimed: true } or { error } if a limit was reached concurrently
+ */
+async function claimPromotionUse(prisma, promotionId, userId) {
+  await prisma.$queryRaw`SELECT id FROM promotions WHERE id = ${promotionId} FOR UPDATE`;
+
+  const promotion = await prisma.promotion.findUnique({
+    where: { id: promotionId },
+    select: { usageLimit: true, usageCount: true, perUserLimit: true },
+  });
+
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return { error: 'This promo code has reached its usage limit' };
+  }
+
+  if (promotion.perUserLimit !== null) {
+    const redemptions = await prisma.promotionRedemption.count({
+      where: { promotionId, userId },
+    });
+
+    if (redemptions >= promotion.perUserLimit) {
+      return { error: 'You have already used this promo code' };
+    }
+  }
+
+  await prisma.promotion.update({
+    where: { id: promotionId },
+    data: { usageCount: { increment: 1 } },
+  });
+
+  return { claimed: true };
+}
+
+/**
+ * Give back a promotion use (e.g. the order was cancelled)
+ * @param {Object} prisma - Prisma transaction client
+ * @param {number} orderId - Order that redeemed the promotion
+ */
+async function releasePromotionUse(prisma, orderId) {
+  const redemption = await prisma.promotionRedemption.findUnique({
+    where: { orderId },
+  });
+
+  if (!redemption) return;
+
+  await prisma.promotionRedemption.delete({ where: { id: redemption.id } });
+  await prisma.promotion.updateMany({
+    where: { id: redemption.promotionId, usageCount: { gt: 0 } },
+    data: { usageCount: { decrement: 1 } },
+  });
+}
+
+module.exports = {
+  roundMoney,
+  normalizePromoCode,
+  evaluatePromotion,
+  claimPromotionUse,
+  releasePromotionUse,
+};
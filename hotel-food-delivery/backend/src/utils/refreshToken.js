@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const { prisma } = require('../config/database');
+
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new refresh token
+ * @param {number} userId - Owner of the token
+ * @param {string} familyId - Token family (new family per login)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<{token: string, expiresAt: Date}>} Raw token and expiry
+ */
+async function issueRefreshToken(userId, familyId = crypto.randomUUID(), client = prisma) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + env.REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+  await client.refreshToken.create({
+    data: {
+      userId,
+      token: hashToken(token),
+      familyId,
+      expiresAt,
+    },
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Revoke every token in a family
+ * @param {string} familyId - Token family
+ * @param {Object} client - Prisma client or transaction client
+ */
+async function revokeTokenFamily(familyId, client = prisma) {
+  await client.refreshToken.updateMany({
+    where: { familyId, isRevoked: false },
+    data: { isRevoked: true },
+  });
+}
+
+/**
+ * Revoke every refresh token a user holds (all devices)
+ * @param {number} userId - Token owner
+ */
+async function revokeUserTokens(userId) {
+  await prisma.refreshToken.updateMany({
+    where: { userId, isRevoked: false },
+    data: { isRevoked: true },
+  });
+}
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * A token that was already rotated or revoked is treated as stolen,
+ * so the whole family is revoked and the caller has to login again.
+ * @param {string} token - Raw refresh token presented by the client
+ * @returns {Promise<Object|null>} { userId, token, expiresAt } or null if rejected
+ */
+async function rotateRefreshToken(token) {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { token: hashToken(token) },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.isRevoked || existing.replacedAt) {
+    console.warn(`⚠️  Refresh token reuse detected for user ${existing.userId}, revoking family`);
+    await revokeTokenFamily(existing.familyId);
+    return null;
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return await prisma.$transaction(async (prisma) => {
+    // Guard against two concurrent refreshes with the same token
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: existing.id, isRevoked: false, replacedAt: null },
+      data: { replacedAt: new Date() },
+    });
+
+    if (count === 0) {
+      await revokeTokenFamily(existing.familyId, prisma);
+      return null;
+    }
+
+    const next = await issueRefreshToken(existing.userId, existing.familyId, prisma);
+
+    return {
+      userId: existing.userId,
+      ...next,
+    };
+  });
+}
+
+/**
+ * Revoke the family a refresh token belongs to (logout on this device)
+ * @param {string} token - Raw refresh token
+ */
+async function revokeRefreshToken(token) {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { token: hashToken(token) },
+    select: { familyId: true },
+  });
+
+  if (existing) {
+    await revokeTokenFamily(existing.familyId);
+  }
+}
+
+module.exports = {
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeUserTokens,
+};
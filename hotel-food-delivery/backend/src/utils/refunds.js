@@ -0,0 +1,370 @@
+const {
+  refundPayment,
+  reverseMobileMoneyPayment,
+  processCashRefund,
+} = require('./payment');
+const { PROVIDERS, recordTransaction, updateTransaction } = require('./paymentLedger');
+const { roundMoney } = require('./promotions');
+
+// Payment statuses with money that can still go back to the customer
+const REFUNDABLE_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+
+// Leeway for float rounding when comparing money amounts
+const CENT = 0.005;
+
+/**
+ * Check if an order has been paid and not fully refunded
+ * @param {Object} order - Order with paymentStatus
+ * @returns {boolean}
+ */
+function isRefundable(order) {
+  return REFUNDABLE_STATUSES.includes(order.paymentStatus);
+}
+
+/**
+ * Price a partial refund of individual order lines.
+ * Each line gets back what the customer actually paid for it: its share of the
+ * item discount is taken off and its share of the tax added on. Delivery fee
+ * and tip are only returned by a full refund.
+ * @param {Object} order - Order with orderItems and promotion ({ discountType })
+ * @param {Array} lines - [{ orderItemId, quantity }]
+ * @returns {Object} { items: [{ orderItemId, quantity, amount }], amount } or { error }
+ */
+function calculateLineRefunds(order, lines) {
+  const itemDiscount = order.promotion?.discountType === 'FREE_DELIVERY' ? 0 : order.discountAmount;
+  const paidForItems = order.subtotal - itemDiscount + order.taxAmount;
+  const ratio = order.subtotal > 0 ? paidForItems / order.subtotal : 0;
+
+  const ids = lines.map(line => parseInt(line.orderItemId));
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'Each order item can only be listed once per refund' };
+  }
+
+  const items = [];
+
+  for (const line of lines) {
+    const orderItem = order.orderItems.find(item => item.id === parseInt(line.orderItemId));
+
+    if (!orderItem) {
+      return { error: `Order item ${line.orderItemId} is not part of this order` };
+    }
+
+    const quantity = parseInt(line.quantity);
+    const refundable = orderItem.quantity - orderItem.refundedQuantity;
+
+    if (quantity > refundable) {
+      return { error: `Only ${refundable} of order item ${orderItem.id} can still be refunded` };
+    }
+
+    items.push({
+      orderItemId: orderItem.id,
+      quantity,
+      amount: roundMoney(orderItem.unitPrice * quantity * ratio),
+    });
+  }
+
+  return {
+    items,
+    amount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+  };
+}
+
+/**
+ * Send the money back through the order's payment method
+ * @param {Object} prisma - Prisma client
+ * @param {Object} order - Order being refunded
+ * @param {Object} refund - Refund row
+ * @param {Object} entry - The refund's PENDING ledger entry
+ * @returns {Promise<Object>} { success, status, externalId, creditNoteNumber, payload } or { success: false, error }
+ */
+async function sendRefund(prisma, order, refund, entry) {
+  const { amount } = refund;
+
+  try {
+    if (order.paymentMethod === 'CARD') {
+      const result = await refundPayment(order.paymentIntentId, amount, refund);
+      if (!result.success) return result;
+
+      return {
+        success: true,
+        status: result.status === 'succeeded' ? 'SUCCEEDED' : 'PENDING',
+        externalId: result.refundId,
+        payload: result,
+      };
+    }
+
+    if (order.paymentMethod === 'MOBILE_MONEY') {
+      // Reverse against the charge that actually went through
+      const charge = await prisma.paymentTransaction.findFirst({
+        where: { orderId: order.id, type: 'CHARGE', status: 'SUCCEEDED' },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      if (!charge?.receiptNumber) {
+        return { success: false, error: 'No completed mobile money payment to reverse' };
+      }
+
+      // Charged in the provider's currency, so send back the same share of what was paid
+      const chargeAmount = charge.currency === 'usd'
+        ? amount
+        : Math.min(charge.amount, Math.round(charge.amount * amount / order.totalAmount));
+
+      // The provider answers later, at the reversal result callback
+      const result = await reverseMobileMoneyPayment(charge.receiptNumber, chargeAmount, entry.id, charge.provider);
+      if (!result.success) return result;
+
+      return {
+        success: true,
+        status: 'PENDING',
+        externalId: result.reversalId,
+        payload: { ...result, currency: charge.currency },
+      };
+    }
+
+    const result = await processCashRefund(order.id, amount);
+
+    return {
+      success: true,
+      status: 'SUCCEEDED',
+      creditNoteNumber: result.creditNoteNumber,
+      externalId: result.creditNoteNumber,
+      payload: result,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send back a mobile money payment the order didn't take: one that landed
+ * after the order was cancelled or the attempt withdrawn, or on an order
+ * another attempt already paid. It was never counted as paid, so it gets a
+ * REFUND ledger entry of its own rather than a Refund. If the provider won't
+ * take the reversal the entry is left FAILED, flagged to be reversed by hand.
+ * @param {Object} prisma - Prisma client (not a transaction; the provider is called)
+ * @param {Object} charge - Succeeded CHARGE entry ({ id, orderId, provider, amount, currency, receiptNumber })
+ * @param {string} reason - Why the payment wasn't taken
+ * @returns {Promise<Object>} { success, entry } or { success: false, error, entry }
+ */
+async function reverseCharge(prisma, charge, reason) {
+  const entry = await recordTransaction(prisma, {
+    orderId: charge.orderId,
+    type: 'REFUND',
+    provider: charge.provider,
+    amount: charge.amount,
+    currency: charge.currency,
+    status: 'PENDING',
+    payload: { chargeId: charge.id, reason },
+  });
+
+  const result = await reverseMobileMoneyPayment(charge.receiptNumber, charge.amount, entry.id, charge.provider);
+
+  if (!result.success) {
+    console.error(`❌ Payment ${charge.id} on order ${charge.orderId} needs reversing by hand: ${result.error}`);
+  }
+
+  await updateTransaction(prisma, { id: entry.id, type: 'REFUND', from: ['PENDING'] }, result.success
+    ? { status: 'PENDING', externalId: result.reversalId, payload: { chargeId: charge.id, reason, ...result } }
+    : {
+      status: 'FAILED',
+      errorMessage: `${reason}. Reverse by hand: ${result.error}`,
+      payload: { chargeId: charge.id, reason, ...result },
+    });
+
+  return { success: result.success, error: result.error, entry };
+}
+
+/**
+ * Apply a provider's answer to a refund. The caller that sent the refund and
+ * the provider's webhook can both report it, in either order, so only a PENDING
+ * refund moves: a success marks the order refunded, a failure gives the
+ * reserved amount and lines back so the refund can be retried.
+ * Call it in a transaction.
+ * @param {Object} prisma - Prisma transaction client
+ * @param {number} refundId - Refund
+ * @param {Object} outcome - { status: 'PENDING' | 'SUCCEEDED' | 'FAILED', externalId, creditNoteNumber, errorMessage, payload }
+ * @returns {Promise<Object>} Refund with its items
+ */
+async function settleRefund(prisma, refundId, { status, externalId, creditNoteNumber, errorMessage = null, payload }) {
+  const { count } = await prisma.refund.updateMany({
+    where: { id: refundId, status: 'PENDING' },
+    data: {
+      status,
+      errorMessage,
+      ...(externalId && { externalId }),
+      ...(creditNoteNumber && { creditNoteNumber }),
+    },
+  });
+
+  const refund = await prisma.refund.findUnique({
+    where: { id: refundId },
+    include: { items: true },
+  });
+
+  if (count === 0) return refund;
+
+  await updateTransaction(prisma, {
+    refundId,
+    type: 'REFUND',
+    from: ['PENDING'],
+  }, { status, externalId, errorMessage, payload });
+
+  if (status === 'FAILED') {
+    await prisma.order.update({
+      where: { id: refund.orderId },
+      data: { refundedAmount: { decrement: refund.amount } },
+    });
+
+    for (const item of refund.items) {
+      await prisma.orderItem.update({
+        where: { id: item.orderItemId },
+        data: { refundedQuantity: { decrement: item.quantity } },
+      });
+    }
+  }
+
+  if (status === 'SUCCEEDED') {
+    const { totalAmount, refundedAmount } = await prisma.order.findUnique({
+      where: { id: refund.orderId },
+      select: { totalAmount: true, refundedAmount: true },
+    });
+
+    await prisma.order.updateMany({
+      where: { id: refund.orderId, paymentStatus: { in: REFUNDABLE_STATUSES } },
+      data: {
+        paymentStatus: refundedAmount >= totalAmount - CENT ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+      },
+    });
+  }
+
+  return refund;
+}
+
+/**
+ * Refund an order in full or by line.
+ * The amount is reserved on the order, and a PENDING refund written to the
+ * ledger, before the provider is called: two refunds at once can never return
+ * more than the customer paid, and a webhook that beats the provider's reply
+ * finds the refund it reports instead of booking it again.
+ * @param {Object} prisma - Prisma client (not a transaction; providers are called in between)
+ * @param {Object} order - Order with orderItems, promotion and user loaded
+ * @param {Object} options - { lines: [{ orderItemId, quantity }], reason, actor: { id, role } }
+ * @returns {Promise<Object>} { success, refund } or { success: false, status, error }
+ */
+async function issueRefund(prisma, order, { lines, reason, actor } = {}) {
+  if (!isRefundable(order)) {
+    return {
+      success: false,
+      status: 400,
+      error: `Nothing to refund: payment status is ${order.paymentStatus}`,
+    };
+  }
+
+  const remaining = roundMoney(order.totalAmount - order.refundedAmount);
+
+  let items = [];
+  let amount = remaining;
+
+  if (lines && lines.length > 0) {
+    const lineRefund = calculateLineRefunds(order, lines);
+    if (lineRefund.error) {
+      return { success: false, status: 400, error: lineRefund.error };
+    }
+
+    items = lineRefund.items;
+    amount = Math.min(lineRefund.amount, remaining);
+  }
+
+  if (amount <= 0) {
+    return { success: false, status: 400, error: 'Order has already been fully refunded' };
+  }
+
+  // Reserve the amount (and the lines) before any money moves
+  let refund;
+  let entry;
+  try {
+    ({ refund, entry } = await prisma.$transaction(async (prisma) => {
+      const reserved = await prisma.$executeRaw`
+        UPDATE orders
+        SET refunded_amount = refunded_amount + ${amount}
+        WHERE id = ${order.id}
+          AND refunded_amount + ${amount} <= total_amount + ${CENT}
+      `;
+
+      if (reserved === 0) {
+        throw Object.assign(new Error('Refund exceeds the amount left on this order'), { statusCode: 409 });
+      }
+
+      for (const item of items) {
+        const orderItem = order.orderItems.find(i => i.id === item.orderItemId);
+
+        const { count } = await prisma.orderItem.updateMany({
+          where: { id: item.orderItemId, refundedQuantity: orderItem.refundedQuantity },
+          data: { refundedQuantity: { increment: item.quantity } },
+        });
+
+        if (count === 0) {
+          throw Object.assign(new Error('Order lines were refunded by someone else. Please refresh and try again.'), { statusCode: 409 });
+        }
+      }
+
+      const refund = await prisma.refund.create({
+        data: {
+          orderId: order.id,
+          amount,
+          reason,
+          method: order.paymentMethod,
+          initiatedById: actor?.id ?? null,
+          initiatedByRole: actor?.role ?? null,
+          items: { create: items },
+        },
+      });
+
+      const entry = await recordTransaction(prisma, {
+        orderId: order.id,
+        type: 'REFUND',
+        provider: PROVIDERS[order.paymentMethod],
+        amount,
+        status: 'PENDING',
+        refundId: refund.id,
+      });
+
+      return { refund, entry };
+    }));
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return { success: false, status: 409, error: error.message };
+    }
+    throw error;
+  }
+
+  const result = await sendRefund(prisma, order, refund, entry);
+
+  const updatedRefund = await prisma.$transaction(prisma => settleRefund(prisma, refund.id, result.success
+    ? {
+      status: result.status,
+      externalId: result.externalId,
+      creditNoteNumber: result.creditNoteNumber,
+      payload: result.payload,
+    }
+    : {
+      status: 'FAILED',
+      errorMessage: result.error,
+      payload: result,
+    }));
+
+  if (!result.success) {
+    return { success: false, status: 502, error: `Refund failed: ${result.error}`, refund: updatedRefund };
+  }
+
+  return { success: true, refund: updatedRefund };
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  isRefundable,
+  calculateLineRefunds,
+  reverseCharge,
+  settleRefund,
+  issueRefund,
+};
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+
+const prisma = createFakePrisma({
+  relations: { menuItem: { optionGroups: { many: 'menuOptionGroup', by: 'menuItemId' } } },
+  unique: { cart: [['userId', 'hotelId']] },
+});
+useFakeDatabase(prisma);
+
+const { addCartItem } = require('../src/controllers/cartController');
+const { validate, cartRules } = require('../src/middleware/validation');
+
+const customer = { id: 7, type: 'user', role: 'CUSTOMER' };
+
+const addItem = quantity => callHandler(addCartItem, {
+  params: { hotelId: '3' },
+  user: customer,
+  body: { menuItemId: 11, quantity },
+});
+
+describe('addCartItem', () => {
+  beforeEach(() => prisma.$reset({
+    hotel: [{ id: 3, name: 'Harbour View', isActive: true }],
+    menuItem: [{ id: 11, hotelId: 3, name: 'Pilau', price: 8.5, isAvailable: true }],
+    cart: [{ id: 1, userId: 7, hotelId: 3 }],
+    cartItem: [{ id: 1, cartId: 1, menuItemId: 11, quantity: 95, optionIds: [], unitPrice: 8.5 }],
+  }));
+
+  it('refuses to add up past the per-line cap', async () => {
+    const response = await addItem(10);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Your cart can hold at most 100 of Pilau');
+    assert.equal(prisma.$tables.cartItem[0].quantity, 95);
+  });
+});
+
+describe('cart routes', () => {
+  const cases = [
+    ['takes a numeric hotel id', cartRules.cart, { hotelId: '3' }, { next: true }],
+    ['refuses a hotel id that is not a number', cartRules.cart, { hotelId: 'harbour' }, 400],
+    ['refuses a cart item id that is not a number', cartRules.removeItem, { hotelId: '3', itemId: 'x' }, 400],
+  ];
+
+  for (const [name, rules, params, expected] of cases) {
+    it(name, async () => {
+      const response = await callHandler(validate(rules), { params });
+
+      if (typeof expected === 'number') {
+        assert.equal(response.status, expected);
+      } else {
+        assert.deepEqual(response, expected);
+      }
+    });
+  }
+});
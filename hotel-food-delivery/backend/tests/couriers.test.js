@@ -0,0 +1,49 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+
+const prisma = createFakePrisma();
+useFakeDatabase(prisma);
+
+const { updateCourier } = require('../src/controllers/courierController');
+
+const admin = { id: 1, type: 'user', role: 'ADMIN' };
+
+const update = body => callHandler(updateCourier, { params: { id: '5' }, user: admin, body });
+
+describe('updateCourier', () => {
+  beforeEach(() => prisma.$reset({
+    hotel: [{ id: 3, name: 'Harbour View' }],
+    courier: [{ id: 5, userId: 9, hotelId: 3, status: 'BUSY', isActive: true }],
+    order: [
+      { id: 1, courierId: 5, status: 'OUT_FOR_DELIVERY' },
+      { id: 2, courierId: 5, status: 'DELIVERED' },
+    ],
+  }));
+
+  it('refuses a hotel that does not exist', async () => {
+    const response = await update({ hotelId: 99 });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, 'Hotel not found');
+    assert.equal(prisma.$tables.courier[0].hotelId, 3);
+  });
+
+  it('refuses to deactivate a courier who is still out with an order', async () => {
+    const response = await update({ isActive: false });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.activeDeliveries, 1);
+    assert.equal(prisma.$tables.courier[0].isActive, true);
+  });
+
+  it('deactivates a courier once their deliveries are done', async () => {
+    prisma.$tables.order[0].status = 'DELIVERED';
+
+    const response = await update({ isActive: false });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual([prisma.$tables.courier[0].isActive, prisma.$tables.courier[0].status], [false, 'OFFLINE']);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { addSample, estimateDeliveryEta } = require('../src/utils/deliveryEta');
+
+describe('addSample', () => {
+  const cases = [
+    ['starts from the first sample', { avg: null, variance: 0, samples: 0 }, 10, { avg: 10, variance: 0, samples: 1 }],
+    ['averages plainly while the window fills', { avg: 10, variance: 0, samples: 1 }, 20, { avg: 15, variance: 25, samples: 2 }],
+    ['weighs the last sample of the window like the rest', { avg: 20, variance: 4, samples: 19 }, 40, { avg: 21, variance: 22.8, samples: 20 }],
+    ['keeps the same weight once the window is full', { avg: 20, variance: 4, samples: 40 }, 40, { avg: 21, variance: 22.8, samples: 41 }],
+  ];
+
+  for (const [name, stats, value, expected] of cases) {
+    it(name, () => {
+      const result = addSample(stats, value);
+
+      assert.equal(result.avg, expected.avg);
+      assert.equal(Math.round(result.variance * 1000) / 1000, expected.variance);
+      assert.equal(result.samples, expected.samples);
+    });
+  }
+});
+
+const newHotel = {
+  prepTimeAvg: null,
+  prepTimeVariance: 0,
+  prepTimeSamples: 0,
+  transitPaceAvg: null,
+  transitPaceVariance: 0,
+  transitSamples: 0,
+  busyUntil: null,
+  busyExtraMinutes: 0,
+};
+
+// 15 minutes in the kitchen (σ 4) and 4 minutes per km on the road (σ 1)
+const measured = (samples) => ({
+  ...newHotel,
+  prepTimeAvg: 15,
+  prepTimeVariance: 16,
+  prepTimeSamples: samples,
+  transitPaceAvg: 4,
+  transitPaceVariance: 1,
+  transitSamples: samples,
+});
+
+describe('estimateDeliveryEta', () => {
+  const cases = [
+    ['falls back to defaults for a new hotel', newHotel, {}, [20, 15, 25, 'low']],
+    ['adds the guessed travel time', newHotel, { distance: 3000 }, [28, 21, 35, 'low']],
+    ['trusts a well-measured hotel', measured(25), { distance: 3000 }, [27, 21, 33, 'high']],
+    ['queues orders past what the kitchen cooks at once', measured(8), { queueDepth: 5 }, [30, 25, 35, 'medium']],
+    [
+      'waits for the slowest measured item',
+      measured(8),
+      { menuItems: [{ prepTimeAvg: 30, prepTimeSamples: 6 }, { prepTimeAvg: 50, prepTimeSamples: 2 }] },
+      [30, 25, 35, 'medium'],
+    ],
+    [
+      'adds busy mode and the zone\'s offset',
+      { ...newHotel, busyUntil: new Date(Date.now() + 60 * 60 * 1000), busyExtraMinutes: 15 },
+      { etaOffset: 5 },
+      [40, 30, 50, 'low'],
+    ],
+  ];
+
+  for (const [name, hotel, options, [minutes, minMinutes, maxMinutes, confidence]] of cases) {
+    it(name, () => {
+      const eta = estimateDeliveryEta(hotel, options);
+
+      assert.deepEqual([eta.minutes, eta.minMinutes, eta.maxMinutes, eta.confidence], [minutes, minMinutes, maxMinutes, confidence]);
+    });
+  }
+});
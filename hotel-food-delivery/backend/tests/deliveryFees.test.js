@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDistanceFee } = require('../src/utils/deliveryFees');
+
+// Tiers are stored unsorted; each covers distances up to and including its maxDistance
+const hotel = {
+  deliveryFee: 2.5,
+  deliveryFeeTiers: [
+    { maxDistance: 5000, fee: 4 },
+    { maxDistance: 2000, fee: 1.5 },
+    { maxDistance: 8000, fee: 6 },
+  ],
+};
+
+describe('getDistanceFee', () => {
+  const cases = [
+    ['right next door', hotel, 0, 1.5],
+    ['on the first tier\'s edge', hotel, 2000, 1.5],
+    ['a meter past the first tier', hotel, 2001, 4],
+    ['on the second tier\'s edge', hotel, 5000, 4],
+    ['on the last tier\'s edge', hotel, 8000, 6],
+    ['past the last tier', hotel, 12000, 6],
+    ['when the distance is unknown', hotel, null, 2.5],
+    ['for a hotel without tiers', { deliveryFee: 2.5, deliveryFeeTiers: null }, 3000, 2.5],
+    ['for tiers stored as JSON', { deliveryFee: 2.5, deliveryFeeTiers: '[{"maxDistance":3000,"fee":2}]' }, 3000, 2],
+  ];
+
+  for (const [name, feeHotel, distance, expected] of cases) {
+    it(name, () => {
+      assert.equal(getDistanceFee(feeHotel, distance), expected);
+    });
+  }
+});
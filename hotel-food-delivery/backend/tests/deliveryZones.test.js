@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isInZone } = require('../src/utils/deliveryZones');
+
+// A 2x2 block with a 1x1 hole in the middle (a park nobody delivers into), [lng, lat]
+const square = (west, south, size) => [
+  [west, south],
+  [west + size, south],
+  [west + size, south + size],
+  [west, south + size],
+  [west, south],
+];
+
+const withHole = { type: 'Polygon', coordinates: [square(0, 0, 2), square(0.5, 0.5, 1)] };
+
+const twoBlocks = {
+  type: 'Feature',
+  properties: {},
+  geometry: {
+    type: 'MultiPolygon',
+    coordinates: [[square(0, 0, 2), square(0.5, 0.5, 1)], [square(5, 5, 1)]],
+  },
+};
+
+describe('isInZone', () => {
+  const cases = [
+    ['inside the block, clear of the hole', withHole, [0.25, 0.25], true],
+    ['inside the hole', withHole, [1, 1], false],
+    ['between the hole and the edge', withHole, [1, 1.75], true],
+    ['outside the block', withHole, [3, 1], false],
+    ['in a MultiPolygon\'s second block', twoBlocks, [5.5, 5.5], true],
+    ['in the hole of a MultiPolygon\'s first block', twoBlocks, [1, 1], false],
+    ['in neither block', twoBlocks, [4, 4], false],
+    ['for geometry that is not a polygon', { type: 'Point', coordinates: [1, 1] }, [1, 1], false],
+  ];
+
+  for (const [name, zone, [lng, lat], expected] of cases) {
+    it(name, () => {
+      assert.equal(isInZone(lat, lng, zone), expected);
+    });
+  }
+});
@@ -0,0 +1,350 @@
+/**
+ * In-memory stand-in for the parts of the Prisma client the money paths use,
+ * so behaviour tests run without a database.
+ *
+ * Rows live in plain arrays per model. where, data, include and select follow
+ * Prisma's shapes for the filters the app uses (equality, in, not, lt/lte/gt/gte,
+ * OR/AND/NOT and compound unique keys). Interactive transactions roll back when
+ * their callback throws. Raw SQL is answered by handlers the test supplies.
+ */
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const FILTER_OPERATORS = ['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte'];
+const isFilter = condition => isPlainObject(condition)
+  && Object.keys(condition).some(key => FILTER_OPERATORS.includes(key));
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => sameValue(item, b[index]));
+  }
+  return a === b || (a == null && b == null);
+}
+
+const compare = (a, b) => (a instanceof Date || b instanceof Date ? new Date(a) - new Date(b) : a - b);
+
+function matchesFilter(value, condition) {
+  if (!isPlainObject(condition)) return sameValue(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operand === undefined) return true;
+
+    switch (operator) {
+      case 'equals': return sameValue(value, operand);
+      case 'in': return operand.some(item => sameValue(value, item));
+      case 'notIn': return !operand.some(item => sameValue(value, item));
+      case 'not': return !matchesFilter(value, operand);
+      case 'lt': return value != null && compare(value, operand) < 0;
+      case 'lte': return value != null && compare(value, operand) <= 0;
+      case 'gt': return value != null && compare(value, operand) > 0;
+      case 'gte': return value != null && compare(value, operand) >= 0;
+      default: throw new Error(`fakePrisma: unsupported filter "${operator}"`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'AND') return [].concat(condition).every(part => matches(row, part));
+    if (key === 'OR') return condition.some(part => matches(row, part));
+    if (key === 'NOT') return ![].concat(condition).some(part => matches(row, part));
+
+    // Compound unique key, e.g. provider_eventId: { provider, eventId }
+    if (!(key in row) && isPlainObject(condition) && !isFilter(condition)) {
+      return matches(row, condition);
+    }
+
+    return matchesFilter(row[key], condition);
+  });
+}
+
+function applyData(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+
+    if (isPlainObject(value) && 'increment' in value) row[key] = (row[key] ?? 0) + value.increment;
+    else if (isPlainObject(value) && 'decrement' in value) row[key] = (row[key] ?? 0) - value.decrement;
+    else if (isPlainObject(value) && 'set' in value) row[key] = value.set;
+    else row[key] = value;
+  }
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []);
+
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[field, direction]] = Object.entries(order);
+      const diff = compare(a[field], b[field]);
+      if (diff !== 0) return direction === 'desc' ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+function uniqueViolation(target) {
+  return Object.assign(new Error(`Unique constraint failed on ${target}`), { code: 'P2002' });
+}
+
+function notFound(model) {
+  return Object.assign(new Error(`No ${model} record found`), { code: 'P2025' });
+}
+
+/**
+ * Create a fake client
+ * @param {Object} options
+ * @param {Object} options.data - Initial rows, e.g. { order: [{ id: 1, ... }] }
+ * @param {Object} options.relations - { model: { field: { many|one: relatedModel, by: foreignKey } } },
+ *   used for include, select and nested create
+ * @param {Object} options.unique - { model: [[field, ...], ...] } unique constraints besides id
+ * @param {Object} options.defaults - { model: { field: value } } column defaults
+ * @param {Array} options.raw - [[RegExp, (values, client) => result]] answers for $executeRaw / $queryRaw
+ * @returns {Object} Client; its rows are on client.$tables, and client.$reset(data) starts over
+ */
+function createFakePrisma({ data = {}, relations = {}, unique = {}, defaults = {}, raw = [] } = {}) {
+  let tables = structuredClone(data);
+  const nextIds = {};
+
+  const rowsOf = model => (tables[model] ??= []);
+
+  const nextId = (model) => {
+    const highest = rowsOf(model).reduce((max, row) => Math.max(max, row.id ?? 0), 0);
+    nextIds[model] = Math.max(nextIds[model] ?? 0, highest) + 1;
+    return nextIds[model];
+  };
+
+  const project = (model, row, { include, select } = {}) => {
+    if (!row) return null;
+
+    const shape = select || include;
+    const result = select ? {} : structuredClone(row);
+    if (!shape) return result;
+
+    for (const [field, spec] of Object.entries(shape)) {
+      if (!spec) continue;
+
+      const relation = relations[model]?.[field];
+      if (!relation) {
+        result[field] = structuredClone(row[field]);
+        continue;
+      }
+
+      const nested = spec === true ? {} : spec;
+
+      if (relation.many) {
+        const children = rowsOf(relation.many)
+          .filter(child => child[relation.by] === row.id && matches(child, nested.where));
+        result[field] = children.map(child => project(relation.many, child, nested));
+      } else {
+        const parent = rowsOf(relation.one).find(candidate => candidate.id === row[relation.by]);
+        result[field] = project(relation.one, parent, nested);
+      }
+    }
+
+    return result;
+  };
+
+  const checkUnique = (model, row) => {
+    for (const fields of [['id'], ...(unique[model] || [])]) {
+      const clash = rowsOf(model).find(other => other !== row
+        && fields.every(field => row[field] != null && sameValue(other[field], row[field])));
+      if (clash) throw uniqueViolation(`${model}.${fields.join('_')}`);
+    }
+  };
+
+  const insert = (model, data) => {
+    const row = { ...defaults[model] };
+    const nestedCreates = [];
+
+    for (const [field, value] of Object.entries(data)) {
+      const relation = relations[model]?.[field];
+      if (relation?.many && isPlainObject(value) && value.create) {
+        nestedCreates.push([relation, [].concat(value.create)]);
+      } else if (value !== undefined) {
+        row[field] = value;
+      }
+    }
+
+    row.id ??= nextId(model);
+    row.createdAt ??= new Date();
+    row.updatedAt ??= new Date();
+
+    checkUnique(model, row);
+    rowsOf(model).push(row);
+
+    for (const [relation, children] of nestedCreates) {
+      children.forEach(child => insert(relation.many, { ...child, [relation.by]: row.id }));
+    }
+
+    return row;
+  };
+
+  const update = (model, row, data) => {
+    const previous = { ...row };
+    applyData(row, data);
+    row.updatedAt = new Date();
+
+    try {
+      checkUnique(model, row);
+    } catch (error) {
+      Object.assign(row, previous);
+      throw error;
+    }
+  };
+
+  const delegate = model => ({
+    async findUnique({ where, ...shape }) {
+      return project(model, rowsOf(model).find(row => matches(row, where)), shape);
+    },
+
+    async findFirst({ where, orderBy, ...shape } = {}) {
+      const [row] = sortRows(rowsOf(model).filter(candidate => matches(candidate, where)), orderBy);
+      return project(model, row, shape);
+    },
+
+    async findMany({ where, orderBy, skip = 0, take, ...shape } = {}) {
+      const rows = sortRows(rowsOf(model).filter(row => matches(row, where)), orderBy);
+      return rows
+        .slice(skip, take === undefined ? undefined : skip + take)
+        .map(row => project(model, row, shape));
+    },
+
+    async create({ data, ...shape }) {
+      return project(model, insert(model, data), shape);
+    },
+
+    async update({ where, data, ...shape }) {
+      const row = rowsOf(model).find(candidate => matches(candidate, where));
+      if (!row) throw notFound(model);
+
+      update(model, row, data);
+      return project(model, row, shape);
+    },
+
+    async upsert({ where, create, update: changes, ...shape }) {
+      const row = rowsOf(model).find(candidate => matches(candidate, where));
+      if (!row) return project(model, insert(model, create), shape);
+
+      update(model, row, changes);
+      return project(model, row, shape);
+    },
+
+    async updateMany({ where, data }) {
+      const rows = rowsOf(model).filter(row => matches(row, where));
+      rows.forEach(row => update(model, row, data));
+      return { count: rows.length };
+    },
+
+    async delete({ where }) {
+      const row = rowsOf(model).find(candidate => matches(candidate, where));
+      if (!row) throw notFound(model);
+
+      tables[model] = rowsOf(model).filter(other => other !== row);
+      return structuredClone(row);
+    },
+
+    async deleteMany({ where } = {}) {
+      const before = rowsOf(model).length;
+      tables[model] = rowsOf(model).filter(row => !matches(row, where));
+      return { count: before - tables[model].length };
+    },
+
+    async count({ where } = {}) {
+      return rowsOf(model).filter(row => matches(row, where)).length;
+    },
+
+    async aggregate({ where, _sum = {} }) {
+      const rows = rowsOf(model).filter(row => matches(row, where));
+      const sums = {};
+
+      for (const field of Object.keys(_sum)) {
+        sums[field] = rows.length > 0 ? rows.reduce((sum, row) => sum + row[field], 0) : null;
+      }
+
+      return { _sum: sums };
+    },
+
+    async groupBy({ by, where, _count }) {
+      const groups = new Map();
+
+      for (const row of rowsOf(model).filter(candidate => matches(candidate, where))) {
+        const key = JSON.stringify(by.map(field => row[field]));
+        if (!groups.has(key)) groups.set(key, { fields: Object.fromEntries(by.map(field => [field, row[field]])), count: 0 });
+        groups.get(key).count++;
+      }
+
+      return [...groups.values()].map(({ fields, count }) => ({
+        ...fields,
+        ...(_count && { _count: _count === true ? count : { _all: count } }),
+      }));
+    },
+  });
+
+  const runRaw = async (strings, ...values) => {
+    const sql = strings.join('?').replace(/\s+/g, ' ').trim();
+    const handler = raw.find(([pattern]) => pattern.test(sql));
+
+    if (!handler) throw new Error(`fakePrisma: no raw handler for "${sql}"`);
+    return handler[1](values, client);
+  };
+
+  const delegates = new Proxy({}, {
+    get: (cache, model) => (cache[model] ??= delegate(model)),
+  });
+
+  // Like Prisma's, the transaction client can't start transactions of its own
+  const transactionClient = new Proxy({}, {
+    get: (target, property) => {
+      if (property === '$executeRaw' || property === '$queryRaw') return runRaw;
+      if (typeof property === 'string' && !property.startsWith('$')) return delegates[property];
+      return undefined;
+    },
+  });
+
+  const client = new Proxy({}, {
+    get: (target, property) => {
+      switch (property) {
+        case '$tables': return tables;
+        case '$reset': return (rows = {}) => { tables = structuredClone(rows); };
+        case '$executeRaw':
+        case '$queryRaw': return runRaw;
+        case '$disconnect': return async () => {};
+        case '$transaction': return async (work) => {
+          if (Array.isArray(work)) return Promise.all(work);
+
+          const snapshot = structuredClone(tables);
+          try {
+            return await work(transactionClient);
+          } catch (error) {
+            tables = snapshot;
+            throw error;
+          }
+        };
+        default:
+          return typeof property === 'string' ? delegates[property] : undefined;
+      }
+    },
+  });
+
+  return client;
+}
+
+/**
+ * Make src/config/database hand out a fake client. Call it before requiring
+ * anything that imports the database module.
+ * @param {Object} prisma - Fake client
+ */
+function useFakeDatabase(prisma) {
+  const path = require.resolve('../../src/config/database');
+  require.cache[path] = { id: path, filename: path, loaded: true, exports: { prisma } };
+}
+
+module.exports = {
+  createFakePrisma,
+  useFakeDatabase,
+};
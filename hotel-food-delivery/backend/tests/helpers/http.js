@@ -0,0 +1,44 @@
+/**
+ * Call an Express handler with a bare request object and capture its response
+ * @param {Function} handler - (req, res, next)
+ * @param {Object} req - Request fields (body, query, params, headers, user)
+ * @returns {Promise<Object>} { status, body }; rejects with whatever is passed to next()
+ */
+function callHandler(handler, req = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, headers: this.headers });
+        return this;
+      },
+    };
+
+    const request = {
+      body: {},
+      query: {},
+      params: {},
+      headers: {},
+      get(name) {
+        return this.headers[name.toLowerCase()];
+      },
+      ...req,
+    };
+
+    Promise.resolve(handler(request, res, error => (error ? reject(error) : resolve({ next: true }))))
+      .catch(reject);
+  });
+}
+
+module.exports = {
+  callHandler,
+};
@@ -0,0 +1,66 @@
+/**
+ * Fake database shapes shared by the payment tests
+ */
+
+// Relations the payment code includes or creates through
+const relations = {
+  order: {
+    orderItems: { many: 'orderItem', by: 'orderId' },
+    user: { one: 'user', by: 'userId' },
+  },
+  refund: {
+    items: { many: 'refundItem', by: 'refundId' },
+  },
+};
+
+const unique = {
+  order: [['paymentIntentId']],
+  webhookEvent: [['provider', 'eventId']],
+};
+
+const defaults = {
+  refund: { status: 'PENDING', externalId: null, creditNoteNumber: null, errorMessage: null },
+  paymentTransaction: { currency: 'usd', receiptNumber: null, refundId: null },
+  webhookEvent: { status: 'RECEIVED', orderId: null, error: null, processedAt: null },
+};
+
+// Stands in for the refunded_amount reservation in issueRefund
+const reserveRefund = [/UPDATE orders SET refunded_amount/, ([amount, orderId, , cent], prisma) => {
+  const order = prisma.$tables.order.find(row => row.id === orderId);
+  if (order.refundedAmount + amount > order.totalAmount + cent) return 0;
+
+  order.refundedAmount += amount;
+  return 1;
+}];
+
+/**
+ * A paid order ready to refund
+ */
+function paidOrder(overrides = {}) {
+  return {
+    id: 1,
+    orderNumber: 'ORD-20260101-AAAAA0001',
+    userId: 7,
+    hotelId: 3,
+    status: 'DELIVERED',
+    paymentMethod: 'CARD',
+    paymentStatus: 'PAID',
+    paymentIntentId: 'pi_1',
+    subtotal: 40,
+    deliveryFee: 5,
+    discountAmount: 0,
+    taxAmount: 2.75,
+    tipAmount: 0,
+    totalAmount: 47.75,
+    refundedAmount: 0,
+    ...overrides,
+  };
+}
+
+module.exports = {
+  relations,
+  unique,
+  defaults,
+  reserveRefund,
+  paidOrder,
+};
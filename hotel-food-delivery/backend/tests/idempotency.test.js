@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+
+const prisma = createFakePrisma({
+  unique: { idempotencyKey: [['principalType', 'principalId', 'key']] },
+});
+useFakeDatabase(prisma);
+
+const { idempotent } = require('../src/middleware/idempotency');
+
+const middleware = idempotent();
+
+/**
+ * Send a keyed POST through the middleware to a route handler
+ */
+const send = (handler, body = { hotelId: 3 }) => callHandler((req, res, next) => middleware(req, res, error => {
+  if (error) return next(error);
+  Promise.resolve(handler(req, res)).catch(next);
+}), {
+  method: 'POST',
+  originalUrl: '/api/orders',
+  headers: { 'idempotency-key': 'checkout-1' },
+  user: { type: 'user', id: 7 },
+  body,
+});
+
+const placeOrder = orderId => (req, res) => res.status(201).json({ success: true, orderId });
+
+// A request that hangs until released, as one does when its server dies mid-request
+const hanging = () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  return { release, handler: async (req, res) => { await gate; res.status(201).json({ success: true, orderId: 1 }); } };
+};
+
+const lapseLease = () => {
+  prisma.$tables.idempotencyKey[0].lockedUntil = new Date(Date.now() - 1000);
+};
+
+describe('idempotent', () => {
+  beforeEach(() => prisma.$reset({}));
+
+  it('replays the stored response for a retry', async () => {
+    await send(placeOrder(1));
+    const replay = await send(placeOrder(2));
+
+    assert.equal(replay.status, 201);
+    assert.deepEqual(replay.body, { success: true, orderId: 1 });
+    assert.equal(replay.headers['Idempotent-Replayed'], 'true');
+  });
+
+  it('turns a retry away while the first request still holds its lease', async () => {
+    const first = hanging();
+    const running = send(first.handler);
+    await new Promise(setImmediate);
+
+    const retry = await send(placeOrder(2));
+
+    assert.equal(retry.status, 409);
+    assert.ok(Number(retry.headers['Retry-After']) > 0);
+
+    first.release();
+    await running;
+  });
+
+  it('renews the lease of a first request still running when it would have run out', async () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+
+    try {
+      const first = hanging();
+      const running = send(first.handler);
+      await new Promise(setImmediate);
+      const { lockedUntil } = prisma.$tables.idempotencyKey[0];
+
+      // Two minutes on, well past the lease it started with
+      for (let minute = 0; minute < 2; minute++) {
+        mock.timers.tick(60 * 1000);
+        await new Promise(setImmediate);
+      }
+      assert.ok(Date.now() > lockedUntil.getTime());
+
+      const retry = await send(placeOrder(2));
+      assert.equal(retry.status, 409);
+
+      first.release();
+      assert.deepEqual((await running).body, { success: true, orderId: 1 });
+      assert.equal(prisma.$tables.idempotencyKey[0].status, 'COMPLETED');
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('lets a retry take over a key whose request lost its lease', async () => {
+    const first = hanging();
+    send(first.handler);
+    await new Promise(setImmediate);
+    lapseLease();
+
+    const retry = await send(placeOrder(2));
+
+    assert.equal(retry.status, 201);
+    assert.deepEqual(retry.body, { success: true, orderId: 2 });
+    assert.equal(prisma.$tables.idempotencyKey[0].status, 'COMPLETED');
+    first.release();
+  });
+
+  it('keeps the retry\'s response when the request it took over answers late', async () => {
+    const first = hanging();
+    const late = send(first.handler);
+    await new Promise(setImmediate);
+    lapseLease();
+
+    await send(placeOrder(2));
+    first.release();
+    await late;
+
+    const replay = await send(placeOrder(3));
+    assert.deepEqual(replay.body, { success: true, orderId: 2 });
+  });
+
+  it('does not hand a lapsed key to a different request', async () => {
+    const first = hanging();
+    send(first.handler);
+    await new Promise(setImmediate);
+    lapseLease();
+
+    const other = await send(placeOrder(2), { hotelId: 4 });
+
+    assert.equal(other.status, 409);
+    assert.match(other.body.message, /different request/);
+    first.release();
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+
+const prisma = createFakePrisma();
+useFakeDatabase(prisma);
+
+const { hotelAdmin, menuItemAdmin } = require('../src/middleware/auth');
+
+const staffOf = hotelId => ({ id: 4, type: 'hotelAdmin', role: 'HOTEL_ADMIN', hotelId });
+
+// Both run ahead of the image upload, so a refusal here means nothing was written
+describe('menu access before upload', () => {
+  beforeEach(() => prisma.$reset({
+    hotel: [{ id: 3, name: 'Harbour View' }],
+    menuItem: [{ id: 11, hotelId: 3, name: 'Pilau', imageUrl: '/uploads/menu/pilau.jpg' }],
+  }));
+
+  const cases = [
+    ['lets the hotel\'s staff edit its item', { id: '11' }, staffOf(3), { next: true }],
+    ['lets an admin edit any item', { id: '11' }, { id: 1, type: 'user', role: 'ADMIN' }, { next: true }],
+    ['refuses staff of another hotel', { id: '11' }, staffOf(5), 403],
+    ['reports an unknown item', { id: '99' }, staffOf(3), 404],
+    ['reports a malformed item id', { id: 'pilau' }, staffOf(3), 404],
+  ];
+
+  for (const [name, params, user, expected] of cases) {
+    it(name, async () => {
+      const response = await callHandler(menuItemAdmin, { params, user });
+
+      if (typeof expected === 'number') {
+        assert.equal(response.status, expected);
+      } else {
+        assert.deepEqual(response, expected);
+      }
+    });
+  }
+
+  it('hands the loaded item on to the handler', async () => {
+    let menuItem;
+    await callHandler((req, res, next) => menuItemAdmin(req, res, () => {
+      menuItem = req.menuItem;
+      next();
+    }), { params: { id: '11' }, user: staffOf(3) });
+
+    assert.equal(menuItem.imageUrl, '/uploads/menu/pilau.jpg');
+  });
+
+  it('checks a new item\'s hotel from the route, before the body is read', async () => {
+    const mine = await callHandler(hotelAdmin(), { params: { hotelId: '3' }, user: staffOf(3) });
+    const theirs = await callHandler(hotelAdmin(), { params: { hotelId: '3' }, user: staffOf(5) });
+
+    assert.deepEqual(mine, { next: true });
+    assert.equal(theirs.status, 403);
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const env = require('../src/config/env');
+const { getLastResetTime } = require('../src/utils/menuStock');
+
+const resetHour = env.STOCK_RESET_HOUR;
+
+describe('getLastResetTime', () => {
+  afterEach(() => {
+    env.STOCK_RESET_HOUR = resetHour;
+  });
+
+  const cases = [
+    ['a minute before the morning reset, yesterday\'s', 5, 'Africa/Nairobi', '2026-10-19T01:59:00Z', '2026-10-18T02:00:00.000Z'],
+    ['at the morning reset, today\'s', 5, 'Africa/Nairobi', '2026-10-19T02:00:00Z', '2026-10-19T02:00:00.000Z'],
+    ['before the reset on the day the clocks go forward', 5, 'America/New_York', '2026-03-08T08:59:00Z', '2026-03-07T10:00:00.000Z'],
+    ['at the reset on the day the clocks go forward', 5, 'America/New_York', '2026-03-08T09:00:00Z', '2026-03-08T09:00:00.000Z'],
+    ['before the reset on the day the clocks go back', 5, 'America/New_York', '2026-11-01T09:30:00Z', '2026-10-31T09:00:00.000Z'],
+    ['at the reset on the day the clocks go back', 5, 'America/New_York', '2026-11-01T10:00:00Z', '2026-11-01T10:00:00.000Z'],
+    ['for a reset hour the clocks skip, once they have', 2, 'America/New_York', '2026-03-08T07:30:00Z', '2026-03-08T07:00:00.000Z'],
+  ];
+
+  for (const [name, hour, timeZone, now, expected] of cases) {
+    it(name, () => {
+      env.STOCK_RESET_HOUR = hour;
+
+      assert.equal(getLastResetTime(timeZone, new Date(now)).toISOString(), expected);
+    });
+  }
+});
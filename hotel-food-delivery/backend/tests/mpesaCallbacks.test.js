@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+const { relations, unique, defaults } = require('./helpers/ledger');
+
+const prisma = createFakePrisma({ relations, unique, defaults });
+useFakeDatabase(prisma);
+
+const env = require('../src/config/env');
+const { mpesaCallback, mpesaReversalResult } = require('../src/controllers/webhookController');
+
+const stkCallback = {
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: 'ws_CO_unknown',
+      ResultCode: 1032,
+      ResultDesc: 'Request cancelled by user.',
+    },
+  },
+};
+
+const reversalResult = {
+  Result: {
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    ConversationID: 'AG_20260101_1',
+  },
+};
+
+describe('M-Pesa callback token', () => {
+  beforeEach(() => {
+    prisma.$reset({});
+    env.NODE_ENV = 'development';
+    env.MPESA_BASE_URL = 'https://sandbox.safaricom.co.ke';
+    env.MPESA_CALLBACK_TOKEN = 'callback-secret';
+  });
+
+  it('takes callbacks that carry the token', async () => {
+    const response = await callHandler(mpesaCallback, { query: { token: 'callback-secret' }, body: stkCallback });
+
+    assert.equal(response.status, 200);
+    assert.equal(prisma.$tables.webhookEvent[0].status, 'IGNORED');
+  });
+
+  it('refuses a wrong or missing token', async () => {
+    for (const query of [{ token: 'callback-secreT' }, { token: 'short' }, {}]) {
+      const response = await callHandler(mpesaCallback, { query, body: stkCallback });
+      assert.equal(response.status, 401);
+    }
+
+    assert.equal(prisma.$tables.webhookEvent?.length ?? 0, 0);
+  });
+
+  it('refuses every callback when no token is configured', async () => {
+    env.MPESA_CALLBACK_TOKEN = undefined;
+
+    const callback = await callHandler(mpesaCallback, { query: {}, body: stkCallback });
+    const reversal = await callHandler(mpesaReversalResult, { query: { reference: '1' }, body: reversalResult });
+
+    assert.equal(callback.status, 401);
+    assert.equal(reversal.status, 401);
+  });
+
+  it('takes the local simulator without a token, except in production', async () => {
+    env.MPESA_CALLBACK_TOKEN = undefined;
+    env.MPESA_BASE_URL = 'http://localhost:4010';
+
+    assert.equal((await callHandler(mpesaCallback, { query: {}, body: stkCallback })).status, 200);
+
+    env.NODE_ENV = 'production';
+    assert.equal((await callHandler(mpesaCallback, { query: {}, body: stkCallback })).status, 401);
+  });
+});
+
+describe('M-Pesa callback redelivery', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+  // An earlier delivery of the same callback, last touched when given
+  const resetDatabase = (status, updatedAt) => prisma.$reset({
+    webhookEvent: [{
+      id: 1,
+      provider: 'mpesa',
+      eventId: 'ws_CO_unknown',
+      type: 'stk_push.failed',
+      status,
+      payload: stkCallback,
+      createdAt: updatedAt,
+      updatedAt,
+    }],
+  });
+
+  const deliver = () => callHandler(mpesaCallback, { query: { token: 'callback-secret' }, body: stkCallback });
+
+  beforeEach(() => {
+    env.MPESA_CALLBACK_TOKEN = 'callback-secret';
+  });
+
+  const cases = [
+    ['leaves a delivery that is still being processed alone', 'RECEIVED', minutesAgo(1), 'RECEIVED'],
+    ['takes over a delivery that stalled mid-processing', 'RECEIVED', minutesAgo(10), 'IGNORED'],
+    ['retries a delivery that failed', 'FAILED', minutesAgo(1), 'IGNORED'],
+    ['does not process a handled callback twice', 'PROCESSED', minutesAgo(10), 'PROCESSED'],
+  ];
+
+  for (const [name, status, updatedAt, expected] of cases) {
+    it(name, async () => {
+      resetDatabase(status, updatedAt);
+
+      const response = await deliver();
+
+      assert.equal(response.status, 200);
+      assert.equal(prisma.$tables.webhookEvent[0].status, expected);
+    });
+  }
+});
@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+const { relations, unique, defaults, reserveRefund, paidOrder } = require('./helpers/ledger');
+
+const prisma = createFakePrisma({ relations, unique, defaults, raw: [reserveRefund] });
+useFakeDatabase(prisma);
+
+const env = require('../src/config/env');
+const { registerProvider } = require('../src/utils/mobileMoney');
+const { createMpesaProvider } = require('../src/utils/mobileMoney/mpesa');
+const { issueRefund } = require('../src/utils/refunds');
+const { mpesaReversalResult } = require('../src/controllers/webhookController');
+
+// Safaricom, as the app reaches it through the M-Pesa adapter
+const safaricom = {};
+const useMpesa = (config = {}) => {
+  const adapter = createMpesaProvider({ consumerKey: 'key', consumerSecret: 'secret', passkey: 'pass', ...config });
+  registerProvider(safaricom.reverse ? { ...adapter, reverse: (...args) => safaricom.reverse(...args) } : adapter);
+};
+
+const resetDatabase = () => prisma.$reset({
+  order: [paidOrder({ paymentMethod: 'MOBILE_MONEY', paymentIntentId: null })],
+  user: [{ id: 7, email: 'ada@example.com', phone: '0712345678' }],
+  paymentTransaction: [{
+    id: 1,
+    orderId: 1,
+    type: 'CHARGE',
+    provider: 'mpesa',
+    externalId: 'ws_CO_1',
+    receiptNumber: 'QKJ1ABCDEF',
+    amount: 6160, // the order's $47.75 at 129 KES to the dollar
+    currency: 'kes',
+    status: 'SUCCEEDED',
+    attempt: 1,
+  }],
+});
+
+const loadOrder = () => ({
+  ...prisma.$tables.order[0],
+  orderItems: [],
+  promotion: null,
+  user: prisma.$tables.user[0],
+});
+
+const refundEntries = () => prisma.$tables.paymentTransaction.filter(entry => entry.type === 'REFUND');
+
+env.MPESA_CALLBACK_TOKEN = 'callback-secret';
+
+const reversalResult = (reference, resultCode = 0) => callHandler(mpesaReversalResult, {
+  query: { token: 'callback-secret', reference: String(reference) },
+  body: {
+    Result: {
+      ResultType: 0,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The transaction has already been reversed.',
+      OriginatorConversationID: '71840-27539181-1',
+      ConversationID: 'AG_20260101_1',
+      TransactionID: 'QKJ2REVERSE',
+    },
+  },
+});
+
+describe('M-Pesa refunds', () => {
+  beforeEach(() => {
+    resetDatabase();
+    safaricom.reverse = async ({ reference }) => {
+      safaricom.reference = reference;
+      return { success: true, pending: true, requestId: 'AG_20260101_1' };
+    };
+    useMpesa();
+  });
+
+  it('asks for a reversal of the receipt and leaves the order paid until M-Pesa answers', async () => {
+    safaricom.reverse = async (request) => {
+      safaricom.request = request;
+      return { success: true, pending: true, requestId: 'AG_20260101_1' };
+    };
+    useMpesa();
+
+    const result = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.refund.status, 'PENDING');
+    assert.deepEqual(safaricom.request, { transactionId: 'QKJ1ABCDEF', amount: 6160, reference: refundEntries()[0].id });
+    assert.deepEqual(refundEntries().map(entry => [entry.status, entry.externalId]), [['PENDING', 'AG_20260101_1']]);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+    assert.equal(prisma.$tables.order[0].refundedAmount, 47.75);
+  });
+
+  it('marks the order refunded once the reversal result reports success', async () => {
+    const { refund } = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    const response = await reversalResult(safaricom.reference);
+
+    assert.equal(response.status, 200);
+    assert.equal(prisma.$tables.refund.find(row => row.id === refund.id).status, 'SUCCEEDED');
+    assert.deepEqual(refundEntries().map(entry => entry.status), ['SUCCEEDED']);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'REFUNDED');
+  });
+
+  it('gives the reserved amount back when the reversal fails', async () => {
+    const { refund } = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    await reversalResult(safaricom.reference, 'R000001');
+
+    const failed = prisma.$tables.refund.find(row => row.id === refund.id);
+    assert.equal(failed.status, 'FAILED');
+    assert.equal(failed.errorMessage, 'The transaction has already been reversed.');
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+    assert.equal(prisma.$tables.order[0].refundedAmount, 0);
+  });
+
+  it('settles the refund once when the result is delivered twice', async () => {
+    await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    await reversalResult(safaricom.reference);
+    await reversalResult(safaricom.reference);
+
+    assert.equal(prisma.$tables.webhookEvent.length, 1);
+    assert.equal(prisma.$tables.order[0].refundedAmount, 47.75);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'REFUNDED');
+  });
+
+  it('fails the refund instead of reporting success when reversals are not configured', async () => {
+    safaricom.reverse = null;
+    useMpesa();
+
+    const result = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 502);
+    assert.equal(result.refund.status, 'FAILED');
+    assert.match(result.error, /reversals are not configured/);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+    assert.equal(prisma.$tables.order[0].refundedAmount, 0);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+const { relations, unique, defaults, paidOrder } = require('./helpers/ledger');
+
+const prisma = createFakePrisma({ relations, unique, defaults });
+useFakeDatabase(prisma);
+
+const env = require('../src/config/env');
+const { registerProvider } = require('../src/utils/mobileMoney');
+const { createMpesaProvider } = require('../src/utils/mobileMoney/mpesa');
+const { settleMobileMoneyPayment } = require('../src/utils/mobileMoney/settlement');
+const { mpesaReversalResult } = require('../src/controllers/webhookController');
+
+// Safaricom, as the app reaches it through the M-Pesa adapter
+const safaricom = {};
+registerProvider({
+  ...createMpesaProvider({}),
+  reverse: (...args) => safaricom.reverse(...args),
+});
+
+env.MPESA_CALLBACK_TOKEN = 'callback-secret';
+
+const charge = (overrides = {}) => ({
+  id: 1,
+  orderId: 1,
+  type: 'CHARGE',
+  provider: 'mpesa',
+  externalId: 'ws_CO_1',
+  amount: 6160,
+  currency: 'kes',
+  status: 'PENDING',
+  attempt: 1,
+  ...overrides,
+});
+
+const resetDatabase = ({ order = {}, charges = [charge()] } = {}) => prisma.$reset({
+  order: [paidOrder({ paymentMethod: 'MOBILE_MONEY', paymentIntentId: null, status: 'PENDING', paymentStatus: 'PENDING', ...order })],
+  paymentTransaction: charges,
+});
+
+const approved = { status: 'SUCCEEDED', receiptNumber: 'QKJ1ABCDEF', raw: {} };
+
+const settle = (id = 1, result = approved) => settleMobileMoneyPayment(
+  prisma,
+  { ...prisma.$tables.paymentTransaction.find(entry => entry.id === id) },
+  result
+);
+
+const reversals = () => prisma.$tables.paymentTransaction.filter(entry => entry.type === 'REFUND');
+
+describe('settleMobileMoneyPayment', () => {
+  beforeEach(() => {
+    safaricom.requests = [];
+    safaricom.reverse = async (request) => {
+      safaricom.requests.push(request);
+      return { success: true, pending: true, requestId: 'AG_20260101_1' };
+    };
+  });
+
+  it('marks the order paid when the customer approves', async () => {
+    resetDatabase();
+
+    const result = await settle();
+
+    assert.deepEqual(result, { settled: true, status: 'SUCCEEDED' });
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+    assert.deepEqual(safaricom.requests, []);
+  });
+
+  it('marks the order paid when the callback reports the amount asked for', async () => {
+    resetDatabase();
+
+    const result = await settle(1, { ...approved, amount: 6160 });
+
+    assert.deepEqual(result, { settled: true, status: 'SUCCEEDED' });
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+  });
+
+  it('reverses a payment of a different amount instead of marking the order paid', async () => {
+    resetDatabase();
+
+    const result = await settle(1, { ...approved, amount: 48 });
+
+    assert.equal(result.reversed, true);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PENDING');
+    assert.equal(prisma.$tables.paymentTransaction[0].status, 'SUCCEEDED');
+    assert.deepEqual(safaricom.requests, [{ transactionId: 'QKJ1ABCDEF', amount: 48, reference: reversals()[0].id }]);
+    assert.equal(reversals()[0].rawPayload.reason, 'Paid 48 KES instead of 6160');
+  });
+
+  it('reverses a payment that lands after the order was cancelled', async () => {
+    resetDatabase({ order: { status: 'CANCELLED' } });
+
+    const result = await settle();
+
+    assert.equal(result.reversed, true);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PENDING');
+    assert.equal(prisma.$tables.paymentTransaction[0].status, 'SUCCEEDED');
+    assert.deepEqual(safaricom.requests, [{ transactionId: 'QKJ1ABCDEF', amount: 6160, reference: reversals()[0].id }]);
+    assert.deepEqual(reversals().map(entry => [entry.status, entry.externalId, entry.amount, entry.currency]), [['PENDING', 'AG_20260101_1', 6160, 'kes']]);
+    assert.equal(reversals()[0].rawPayload.reason, 'Order was cancelled');
+  });
+
+  it('reverses a payment on an attempt that was withdrawn', async () => {
+    resetDatabase({ charges: [charge({ status: 'CANCELLED' })] });
+
+    const result = await settle();
+
+    assert.equal(result.reversed, true);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PENDING');
+    assert.equal(reversals()[0].rawPayload.reason, 'Payment attempt was withdrawn');
+  });
+
+  it('reverses a second payment when another attempt already paid the order', async () => {
+    resetDatabase({
+      order: { paymentStatus: 'PAID' },
+      charges: [charge({ status: 'SUCCEEDED', receiptNumber: 'QKJ0FIRST' }), charge({ id: 2, externalId: 'ws_CO_2', attempt: 2 })],
+    });
+
+    const result = await settle(2);
+
+    assert.equal(result.reversed, true);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+    assert.equal(safaricom.requests[0].transactionId, 'QKJ1ABCDEF');
+  });
+
+  it('flags the payment for reversal by hand when the provider refuses', async () => {
+    safaricom.reverse = async () => ({ success: false, error: 'M-Pesa reversals are not configured' });
+    resetDatabase({ order: { status: 'CANCELLED' } });
+
+    const result = await settle();
+
+    assert.equal(result.reversed, false);
+    assert.equal(reversals()[0].status, 'FAILED');
+    assert.equal(reversals()[0].errorMessage, 'Order was cancelled. Reverse by hand: M-Pesa reversals are not configured');
+  });
+
+  it('settles the reversal when its result arrives', async () => {
+    resetDatabase({ order: { status: 'CANCELLED' } });
+    await settle();
+
+    const response = await callHandler(mpesaReversalResult, {
+      query: { token: 'callback-secret', reference: String(reversals()[0].id) },
+      body: { Result: { ResultCode: 0, ResultDesc: 'The service request is processed successfully.', ConversationID: 'AG_20260101_1' } },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(reversals()[0].status, 'SUCCEEDED');
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PENDING');
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { isOpenAt, getNextOpenAt, getOpeningStatus, zonedTimeToUtc } = require('../src/utils/openingHours');
+
+// Nairobi is UTC+3 all year: a late shift on Friday and lunch on Saturday
+const nairobi = {
+  timezone: 'Africa/Nairobi',
+  openingHours: {
+    friday: [{ open: '18:00', close: '02:00' }],
+    saturday: [{ open: '11:00', close: '15:00' }],
+  },
+};
+
+describe('isOpenAt', () => {
+  const cases = [
+    ['Friday 17:59, before the late shift', '2026-10-16T14:59:00Z', false],
+    ['Friday 18:00, the late shift opens', '2026-10-16T15:00:00Z', true],
+    ['Saturday 01:59, the late shift runs past midnight', '2026-10-16T22:59:00Z', true],
+    ['Saturday 02:00, the late shift has closed', '2026-10-16T23:00:00Z', false],
+    ['Saturday 11:00, lunch opens', '2026-10-17T08:00:00Z', true],
+    ['Sunday 01:00, Saturday had no late shift', '2026-10-17T22:00:00Z', false],
+  ];
+
+  for (const [name, at, expected] of cases) {
+    it(name, () => {
+      assert.equal(isOpenAt(nairobi, new Date(at)), expected);
+    });
+  }
+
+  it('keeps an overnight shift open through the hour repeated when the clocks go back', () => {
+    // 2026-11-01 in New York: 02:00 EDT becomes 01:00 EST (06:00Z)
+    const hotel = { timezone: 'America/New_York', openingHours: { saturday: [{ open: '22:00', close: '02:00' }] } };
+
+    assert.equal(isOpenAt(hotel, new Date('2026-11-01T05:30:00Z')), true);
+    assert.equal(isOpenAt(hotel, new Date('2026-11-01T06:30:00Z')), true);
+    assert.equal(isOpenAt(hotel, new Date('2026-11-01T07:00:00Z')), false);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  const cases = [
+    ['a time with no DST change', [2026, 10, 19, 9 * 60, 'Africa/Nairobi'], '2026-10-19T06:00:00.000Z'],
+    ['a time just after the clocks went forward', [2026, 3, 8, 3 * 60 + 30, 'America/New_York'], '2026-03-08T07:30:00.000Z'],
+    ['a time the clocks skipped, moved on by the jump', [2026, 3, 8, 2 * 60 + 30, 'America/New_York'], '2026-03-08T07:30:00.000Z'],
+    ['a time skipped in a zone ahead of UTC', [2026, 3, 29, 2 * 60 + 30, 'Europe/Berlin'], '2026-03-29T01:30:00.000Z'],
+    ['the first of a time the clocks repeat', [2026, 11, 1, 60 + 30, 'America/New_York'], '2026-11-01T05:30:00.000Z'],
+    ['minutes past midnight, on the next day', [2026, 10, 19, 26 * 60, 'Africa/Nairobi'], '2026-10-19T23:00:00.000Z'],
+  ];
+
+  for (const [name, args, expected] of cases) {
+    it(name, () => {
+      assert.equal(zonedTimeToUtc(...args).toISOString(), expected);
+    });
+  }
+});
+
+describe('getNextOpenAt', () => {
+  const cases = [
+    ['the late shift, from Friday lunchtime', nairobi, '2026-10-16T09:00:00Z', '2026-10-16T15:00:00.000Z'],
+    ['lunch, once the late shift is over', nairobi, '2026-10-16T23:00:00Z', '2026-10-17T08:00:00.000Z'],
+    [
+      'a shift that opens in the hour the clocks skip, the same morning',
+      { timezone: 'America/New_York', openingHours: { sunday: [{ open: '02:30', close: '10:00' }] } },
+      '2026-03-07T17:00:00Z',
+      '2026-03-08T07:30:00.000Z',
+    ],
+  ];
+
+  for (const [name, hotel, from, expected] of cases) {
+    it(name, () => {
+      assert.equal(getNextOpenAt(hotel, new Date(from)).toISOString(), expected);
+    });
+  }
+});
+
+describe('getOpeningStatus', () => {
+  it('treats a hotel without a schedule as always open', () => {
+    assert.deepEqual(getOpeningStatus({ timezone: 'Africa/Nairobi', openingHours: null }), { isOpenNow: true, nextOpenAt: null });
+  });
+
+  it('keeps a hotel whose stored schedule can\'t be read closed, and says so', () => {
+    const logged = mock.method(console, 'error', () => {});
+
+    try {
+      const status = getOpeningStatus({ id: 3, timezone: 'Africa/Nairobi', openingHours: { monday: '24 hours' } });
+
+      assert.deepEqual(status, { isOpenNow: false, nextOpenAt: null });
+      assert.match(logged.mock.calls[0].arguments[0], /hotel 3/);
+    } finally {
+      logged.mock.restore();
+    }
+  });
+});
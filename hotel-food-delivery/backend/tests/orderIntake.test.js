@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { claimOrderIntake } = require('../src/utils/pricing');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const busyHotel = (overrides = {}) => ({
+  id: 3,
+  name: 'Harbour View',
+  busyUntil: inAnHour(),
+  busyExtraMinutes: 15,
+  busyMaxOpenOrders: 2,
+  ordersPausedUntil: null,
+  ...overrides,
+});
+
+const queuedOrder = id => ({ id, hotelId: 3, status: 'PREPARING', readyAt: null, deliveryTime: null });
+
+describe('claimOrderIntake', () => {
+  // Stands in for SELECT ... FOR UPDATE: one checkout holds the hotel at a time
+  const createLockedPrisma = (hotel, orders = []) => {
+    let queue = Promise.resolve();
+    let release = null;
+    let orderId = 100;
+
+    const prisma = createFakePrisma({
+      data: { hotel: [hotel], order: orders },
+      raw: [[/FROM hotels WHERE id = \? FOR UPDATE/, async ([id]) => {
+        const turn = queue;
+        let unlock;
+        queue = turn.then(() => new Promise(resolve => { unlock = resolve; }));
+        await turn;
+        release = unlock;
+        return [{ id }];
+      }]],
+    });
+
+    // Place an ASAP order: check the cap, save the order, then commit (unlock)
+    const checkout = () => prisma.$transaction(async (prisma) => {
+      try {
+        const intakeError = await claimOrderIntake(prisma, hotel.id);
+        if (!intakeError) {
+          await prisma.order.create({ data: { ...queuedOrder(++orderId), status: 'PENDING' } });
+        }
+        return intakeError?.message ?? 'placed';
+      } finally {
+        release?.();
+      }
+    });
+
+    return { prisma, checkout };
+  };
+
+  it('lets only one of two simultaneous checkouts take the kitchen\'s last place', async () => {
+    const { prisma, checkout } = createLockedPrisma(busyHotel(), [queuedOrder(1)]);
+
+    const results = await Promise.all([checkout(), checkout()]);
+
+    assert.deepEqual(results, [
+      'placed',
+      'Harbour View is too busy to take more orders right now. Please try again shortly.',
+    ]);
+    assert.equal(prisma.$tables.order.length, 2);
+  });
+
+  it('takes orders freely once busy mode has ended', async () => {
+    const { checkout } = createLockedPrisma(busyHotel({ busyUntil: new Date(Date.now() - 1000) }), [queuedOrder(1), queuedOrder(2)]);
+
+    assert.deepEqual(await Promise.all([checkout(), checkout()]), ['placed', 'placed']);
+  });
+
+  it('refuses orders while the hotel has paused them', async () => {
+    const { checkout } = createLockedPrisma(busyHotel({ ordersPausedUntil: inAnHour() }));
+
+    assert.equal(await checkout(), 'Harbour View has paused new orders for a while');
+  });
+});
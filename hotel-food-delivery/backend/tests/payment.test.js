@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePaymentBreakdown } = require('../src/utils/payment');
+
+describe('calculatePaymentBreakdown', () => {
+  it('taxes the food after the discount, never the delivery fee or tip', () => {
+    const breakdown = calculatePaymentBreakdown({
+      subtotal: 40,
+      deliveryFee: 5,
+      taxRate: 0.16,
+      discount: 10,
+      tip: 3,
+    });
+
+    assert.deepEqual(breakdown, {
+      subtotal: 40,
+      deliveryFee: 5,
+      discount: 10,
+      tax: 4.8,
+      tip: 3,
+      total: 42.8,
+    });
+  });
+
+  it('keeps the food fully taxed when the discount waives delivery', () => {
+    const breakdown = calculatePaymentBreakdown({
+      subtotal: 20,
+      deliveryFee: 4,
+      taxRate: 0.1,
+      discount: 4,
+      discountOnDelivery: true,
+    });
+
+    assert.equal(breakdown.tax, 2);
+    assert.equal(breakdown.total, 22);
+  });
+
+  it('rounds to cents', () => {
+    const breakdown = calculatePaymentBreakdown({ subtotal: 10.005, taxRate: 0.075 });
+
+    assert.equal(breakdown.tax, 0.75);
+    assert.equal(breakdown.total, 10.76);
+  });
+});
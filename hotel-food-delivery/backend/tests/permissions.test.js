@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { callHandler } = require('./helpers/http');
+const { requirePermission, ROLE_PERMISSIONS } = require('../src/middleware/auth');
+
+const principal = role => ({ id: 4, role, permissions: ROLE_PERMISSIONS[role] });
+
+describe('requirePermission', () => {
+  const cases = [
+    ['lets hotel staff update their hotel', 'HOTEL_ADMIN', ['hotel:update'], 'next'],
+    ['lets hotel staff bump kitchen orders', 'HOTEL_ADMIN', ['orders:update-status'], 'next'],
+    ['lets an admin do anything', 'ADMIN', ['hotel:update', 'hotel:stats'], 'next'],
+    ['keeps customers off the kitchen display', 'USER', ['orders:read:hotel'], 403],
+    ['keeps dispatchers from editing hotels', 'DISPATCHER', ['hotel:update'], 403],
+    ['needs every permission asked for', 'DISPATCHER', ['couriers:read', 'hotel:stats'], 403],
+  ];
+
+  for (const [name, role, permissions, expected] of cases) {
+    it(name, async () => {
+      const response = await callHandler(requirePermission(...permissions), { user: principal(role) });
+
+      assert.equal(response.next ? 'next' : response.status, expected);
+    });
+  }
+
+  it('refuses a request nobody signed in to', async () => {
+    const response = await callHandler(requirePermission('hotel:update'), {});
+
+    assert.equal(response.status, 401);
+  });
+});
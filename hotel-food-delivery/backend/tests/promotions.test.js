@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePromotion, claimPromotionUse } = require('../src/utils/promotions');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+
+const promotion = (overrides = {}) => ({
+  id: 1,
+  code: 'LUNCH10',
+  isActive: true,
+  startsAt: null,
+  endsAt: null,
+  hotelIds: [],
+  categories: [],
+  usageLimit: null,
+  usageCount: 0,
+  perUserLimit: null,
+  minOrderAmount: 0,
+  discountType: 'PERCENTAGE',
+  discountValue: 10,
+  maxDiscount: null,
+  ...overrides,
+});
+
+const basket = {
+  hotelId: 1,
+  lines: [
+    { category: 'MAIN', subtotal: 30 },
+    { category: 'DRINK', subtotal: 10 },
+  ],
+  subtotal: 40,
+  deliveryFee: 5,
+};
+
+describe('evaluatePromotion', () => {
+  it('discounts a percentage of the basket, capped at maxDiscount', () => {
+    assert.equal(evaluatePromotion(promotion(), basket).discount, 4);
+    assert.equal(evaluatePromotion(promotion({ maxDiscount: 2.5 }), basket).discount, 2.5);
+  });
+
+  it('only discounts lines in the promotion\'s categories', () => {
+    const result = evaluatePromotion(promotion({ discountType: 'FIXED', discountValue: 15, categories: ['DRINK'] }), basket);
+
+    assert.equal(result.discount, 10);
+  });
+
+  it('waives the delivery fee for free delivery codes', () => {
+    const result = evaluatePromotion(promotion({ discountType: 'FREE_DELIVERY' }), basket);
+
+    assert.deepEqual(result, { success: true, discount: 5, freeDelivery: true });
+  });
+
+  it('refuses codes that are used up, overall or by this customer', () => {
+    assert.equal(
+      evaluatePromotion(promotion({ usageLimit: 5, usageCount: 5 }), basket).error,
+      'This promo code has reached its usage limit'
+    );
+    assert.equal(
+      evaluatePromotion(promotion({ perUserLimit: 1 }), basket, { userRedemptions: 1 }).error,
+      'You have already used this promo code'
+    );
+  });
+
+  it('refuses baskets under the minimum spend', () => {
+    const result = evaluatePromotion(promotion({ minOrderAmount: 50 }), basket);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Spend at least \$50\.00/);
+  });
+});
+
+describe('claimPromotionUse', () => {
+  // Stands in for SELECT ... FOR UPDATE: one checkout holds the promotion at a time
+  const createLockedPrisma = (promotionRow, redemptions = []) => {
+    let queue = Promise.resolve();
+    let release = null;
+    let orderId = 100;
+
+    const prisma = createFakePrisma({
+      data: { promotion: [promotionRow], promotionRedemption: redemptions },
+      raw: [[/FROM promotions WHERE id = \? FOR UPDATE/, async ([id]) => {
+        const turn = queue;
+        let unlock;
+        queue = turn.then(() => new Promise(resolve => { unlock = resolve; }));
+        await turn;
+        release = unlock;
+        return [{ id }];
+      }]],
+    });
+
+    // Place an order: claim the promotion, save the redemption, then commit (unlock)
+    const checkout = userId => prisma.$transaction(async (prisma) => {
+      try {
+        const claim = await claimPromotionUse(prisma, promotionRow.id, userId);
+        if (claim.claimed) {
+          await prisma.promotionRedemption.create({
+            data: { promotionId: promotionRow.id, userId, orderId: ++orderId, discountAmount: 4 },
+          });
+        }
+        return claim;
+      } finally {
+        release?.();
+      }
+    });
+
+    return { prisma, checkout };
+  };
+
+  it('lets only one of two simultaneous checkouts use the customer\'s last redemption', async () => {
+    const { prisma, checkout } = createLockedPrisma(promotion({ perUserLimit: 1 }));
+
+    const results = await Promise.all([checkout(7), checkout(7)]);
+
+    assert.deepEqual(results, [
+      { claimed: true },
+      { error: 'You have already used this promo code' },
+    ]);
+    assert.equal(prisma.$tables.promotion[0].usageCount, 1);
+    assert.equal(prisma.$tables.promotionRedemption.length, 1);
+  });
+
+  it('lets only one of two simultaneous checkouts take the last use overall', async () => {
+    const { prisma, checkout } = createLockedPrisma(promotion({ usageLimit: 3, usageCount: 2 }));
+
+    const results = await Promise.all([checkout(7), checkout(8)]);
+
+    assert.deepEqual(results, [
+      { claimed: true },
+      { error: 'This promo code has reached its usage limit' },
+    ]);
+    assert.equal(prisma.$tables.promotion[0].usageCount, 3);
+  });
+
+  it('counts only the customer\'s own redemptions', async () => {
+    const { checkout } = createLockedPrisma(promotion({ perUserLimit: 1 }), [
+      { id: 1, promotionId: 1, userId: 8, orderId: 100, discountAmount: 4 },
+    ]);
+
+    assert.deepEqual(await checkout(7), { claimed: true });
+    assert.deepEqual(await checkout(8), { error: 'You have already used this promo code' });
+  });
+});
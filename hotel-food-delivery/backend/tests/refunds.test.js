@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateLineRefunds } = require('../src/utils/refunds');
+
+// $40 of food with a $10 discount and 16% tax: each dollar of food cost the customer $0.87
+const order = {
+  subtotal: 40,
+  discountAmount: 10,
+  taxAmount: 4.8,
+  promotion: { discountType: 'PERCENTAGE' },
+  orderItems: [
+    { id: 11, unitPrice: 10, quantity: 2, refundedQuantity: 0 },
+    { id: 12, unitPrice: 20, quantity: 1, refundedQuantity: 1 },
+  ],
+};
+
+describe('calculateLineRefunds', () => {
+  it('refunds what the customer paid for each line, net of discount and with its tax', () => {
+    const result = calculateLineRefunds(order, [{ orderItemId: 11, quantity: 1 }]);
+
+    assert.deepEqual(result, {
+      items: [{ orderItemId: 11, quantity: 1, amount: 8.7 }],
+      amount: 8.7,
+    });
+  });
+
+  it('ignores a free delivery discount when pricing lines', () => {
+    const result = calculateLineRefunds(
+      { ...order, promotion: { discountType: 'FREE_DELIVERY' }, discountAmount: 5 },
+      [{ orderItemId: 11, quantity: 2 }]
+    );
+
+    assert.equal(result.amount, 22.4);
+  });
+
+  it('refuses quantities already refunded, unknown lines and repeated lines', () => {
+    assert.match(calculateLineRefunds(order, [{ orderItemId: 12, quantity: 1 }]).error, /Only 0/);
+    assert.match(calculateLineRefunds(order, [{ orderItemId: 99, quantity: 1 }]).error, /not part of this order/);
+    assert.match(
+      calculateLineRefunds(order, [{ orderItemId: 11, quantity: 1 }, { orderItemId: 11, quantity: 1 }]).error,
+      /only be listed once/
+    );
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+const { relations, unique, defaults, paidOrder } = require('./helpers/ledger');
+
+const prisma = createFakePrisma({ relations, unique, defaults });
+useFakeDatabase(prisma);
+
+// Stripe and Safaricom, as the app reaches them
+const stripe = {};
+const safaricom = {};
+const payment = require('../src/utils/payment');
+payment.createPaymentIntent = (...args) => stripe.createPaymentIntent(...args);
+payment.cancelPaymentIntent = (...args) => stripe.cancelPaymentIntent(...args);
+
+const { registerProvider } = require('../src/utils/mobileMoney');
+const { createMpesaProvider } = require('../src/utils/mobileMoney/mpesa');
+registerProvider({
+  ...createMpesaProvider({}),
+  requestPayment: async (...args) => safaricom.requestPayment(...args),
+  reverse: async (request) => {
+    safaricom.reversed.push(request);
+    return { success: true, pending: true, requestId: 'AG_20260101_1' };
+  },
+});
+
+const { retryPayment } = require('../src/controllers/orderController');
+const { settleMobileMoneyPayment } = require('../src/utils/mobileMoney/settlement');
+
+const customer = { id: 7, role: 'CUSTOMER', phone: '0712345678' };
+
+const resetDatabase = (order, charges) => prisma.$reset({
+  order: [paidOrder({ status: 'PENDING', paymentStatus: 'PENDING', ...order })],
+  paymentTransaction: charges.map((charge, index) => ({
+    id: index + 1,
+    orderId: 1,
+    type: 'CHARGE',
+    amount: 47.75,
+    status: 'PENDING',
+    attempt: index + 1,
+    ...charge,
+  })),
+});
+
+const retry = () => callHandler(retryPayment, { params: { id: '1' }, user: customer, body: {} });
+
+const charges = () => prisma.$tables.paymentTransaction
+  .filter(entry => entry.type === 'CHARGE')
+  .map(entry => [entry.externalId, entry.status]);
+
+describe('retryPayment', () => {
+  beforeEach(() => {
+    safaricom.reversed = [];
+    stripe.cancelled = [];
+    stripe.cancelPaymentIntent = async (paymentIntentId) => {
+      stripe.cancelled.push(paymentIntentId);
+      return { success: true, paymentIntentId, status: 'canceled' };
+    };
+    stripe.createPaymentIntent = async () => ({ success: true, paymentIntentId: 'pi_2', clientSecret: 'secret' });
+  });
+
+  it('cancels the outstanding card intent before creating a new one', async () => {
+    resetDatabase({}, [{ provider: 'stripe', externalId: 'pi_1' }]);
+
+    const response = await retry();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(stripe.cancelled, ['pi_1']);
+    assert.deepEqual(charges(), [['pi_1', 'CANCELLED'], ['pi_2', 'PENDING']]);
+    assert.equal(prisma.$tables.order[0].paymentIntentId, 'pi_2');
+  });
+
+  it('refuses to charge again while the card payment is still going through', async () => {
+    stripe.cancelPaymentIntent = async () => ({ success: false, error: 'PaymentIntent is processing' });
+    resetDatabase({}, [{ provider: 'stripe', externalId: 'pi_1' }]);
+
+    const response = await retry();
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(charges(), [['pi_1', 'PENDING']]);
+    assert.equal(prisma.$tables.order[0].paymentIntentId, 'pi_1');
+  });
+
+  it('withdraws the pending M-Pesa prompt so approving it late gets it reversed', async () => {
+    safaricom.requestPayment = async () => ({ success: true, pending: true, requestId: 'ws_CO_2', phoneNumber: '254712345678' });
+    resetDatabase({ paymentMethod: 'MOBILE_MONEY', paymentIntentId: null }, [{ provider: 'mpesa', externalId: 'ws_CO_1' }]);
+
+    const response = await retry();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(charges(), [['ws_CO_1', 'CANCELLED'], ['ws_CO_2', 'PENDING']]);
+
+    // The customer approves the first prompt after all, then the second
+    const [first, second] = prisma.$tables.paymentTransaction.map(entry => ({ ...entry }));
+    await settleMobileMoneyPayment(prisma, first, { status: 'SUCCEEDED', receiptNumber: 'QKJ1FIRST' });
+    await settleMobileMoneyPayment(prisma, second, { status: 'SUCCEEDED', receiptNumber: 'QKJ2SECOND' });
+
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+    assert.deepEqual(safaricom.reversed.map(request => request.transactionId), ['QKJ1FIRST']);
+  });
+
+  it('charges M-Pesa in shillings and records what it asked for', async () => {
+    const adapter = createMpesaProvider({
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      passkey: 'pass',
+      shortcode: '174379',
+      baseUrl: 'https://sandbox.safaricom.co.ke',
+      currency: 'kes',
+      exchangeRate: 129,
+    });
+    safaricom.requestPayment = request => adapter.requestPayment(request);
+
+    const stkPushes = [];
+    mock.method(globalThis, 'fetch', async (url, options = {}) => {
+      if (url.includes('/oauth/')) return { ok: true, json: async () => ({ access_token: 'token', expires_in: '3599' }) };
+
+      stkPushes.push(JSON.parse(options.body));
+      return { status: 200, json: async () => ({ ResponseCode: '0', CheckoutRequestID: 'ws_CO_2', CustomerMessage: 'Success' }) };
+    });
+
+    try {
+      resetDatabase({ paymentMethod: 'MOBILE_MONEY', paymentIntentId: null }, [{ provider: 'mpesa', externalId: 'ws_CO_1', status: 'FAILED' }]);
+
+      const response = await retry();
+
+      assert.equal(response.status, 200);
+      assert.equal(stkPushes[0].Amount, 6160); // $47.75 at 129 KES to the dollar, rounded up
+      const charge = prisma.$tables.paymentTransaction.find(entry => entry.externalId === 'ws_CO_2');
+      assert.deepEqual([charge.amount, charge.currency], [6160, 'kes']);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('marks the order failed when the new attempt fails too', async () => {
+    safaricom.requestPayment = async () => ({ success: false, error: 'M-Pesa is not configured' });
+    resetDatabase({ paymentMethod: 'MOBILE_MONEY', paymentIntentId: null }, [{ provider: 'mpesa', externalId: 'ws_CO_1' }]);
+
+    const response = await retry();
+
+    assert.equal(response.status, 402);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'FAILED');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, useFakeDatabase } = require('./helpers/fakePrisma');
+const { callHandler } = require('./helpers/http');
+const { relations, unique, defaults, reserveRefund, paidOrder } = require('./helpers/ledger');
+
+const prisma = createFakePrisma({ relations, unique, defaults, raw: [reserveRefund] });
+useFakeDatabase(prisma);
+
+// Stripe, as the app reaches it through utils/payment
+const stripe = {};
+const payment = require('../src/utils/payment');
+payment.verifyWebhookSignature = body => body;
+payment.refundPayment = (...args) => stripe.refundPayment(...args);
+payment.listChargeRefunds = async () => stripe.refunds;
+
+const { issueRefund } = require('../src/utils/refunds');
+const { stripeWebhook } = require('../src/controllers/webhookController');
+
+const resetDatabase = () => prisma.$reset({
+  order: [paidOrder()],
+  user: [{ id: 7, email: 'ada@example.com', phone: '0712345678' }],
+});
+
+const deliver = (type, object, eventId = `evt_${Math.random().toString(36).slice(2)}`) =>
+  callHandler(stripeWebhook, { body: { id: eventId, type, data: { object } } });
+
+const chargeRefunded = (overrides = {}) => ({
+  id: 'ch_1',
+  object: 'charge',
+  amount: 4775,
+  amount_refunded: 4775,
+  currency: 'usd',
+  payment_intent: 'pi_1',
+  refunded: true,
+  metadata: { orderId: '1' },
+  ...overrides,
+});
+
+const stripeRefund = (overrides = {}) => ({
+  id: 're_1',
+  object: 'refund',
+  amount: 4775,
+  currency: 'usd',
+  payment_intent: 'pi_1',
+  status: 'succeeded',
+  metadata: {},
+  ...overrides,
+});
+
+const loadOrder = () => ({
+  ...prisma.$tables.order[0],
+  orderItems: [],
+  promotion: null,
+  user: prisma.$tables.user[0],
+});
+
+const refundEntries = () => prisma.$tables.paymentTransaction.filter(entry => entry.type === 'REFUND');
+
+describe('Stripe refunds', () => {
+  beforeEach(() => resetDatabase());
+
+  it('writes a pending ledger entry for the refund before calling Stripe', async () => {
+    stripe.refundPayment = async (paymentIntentId, amount, refund) => {
+      assert.deepEqual(
+        refundEntries().map(({ status, refundId, amount }) => ({ status, refundId, amount })),
+        [{ status: 'PENDING', refundId: refund.id, amount: 47.75 }]
+      );
+      return { success: true, refundId: 're_1', amount, status: 'succeeded' };
+    };
+
+    const result = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.refund.status, 'SUCCEEDED');
+    assert.equal(result.refund.externalId, 're_1');
+    assert.deepEqual(refundEntries().map(entry => [entry.status, entry.externalId]), [['SUCCEEDED', 're_1']]);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'REFUNDED');
+  });
+
+  it('books the refund once when charge.refunded arrives before Stripe answers', async () => {
+    stripe.refundPayment = async (paymentIntentId, amount, refund) => {
+      stripe.refunds = [stripeRefund({ metadata: { refundId: String(refund.id), orderId: '1' } })];
+
+      const response = await deliver('charge.refunded', chargeRefunded());
+      assert.equal(response.status, 200);
+
+      return { success: true, refundId: 're_1', amount, status: 'succeeded' };
+    };
+
+    const result = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(refundEntries().map(entry => [entry.status, entry.externalId]), [['SUCCEEDED', 're_1']]);
+    assert.equal(prisma.$tables.order[0].refundedAmount, 47.75);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'REFUNDED');
+  });
+
+  it('books the refund once when charge.refunded arrives after Stripe answered', async () => {
+    stripe.refundPayment = async (paymentIntentId, amount) =>
+      ({ success: true, refundId: 're_1', amount, status: 'succeeded' });
+
+    const { refund } = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+    stripe.refunds = [stripeRefund({ metadata: { refundId: String(refund.id), orderId: '1' } })];
+    await deliver('charge.refunded', chargeRefunded());
+
+    assert.equal(refundEntries().length, 1);
+    assert.equal(prisma.$tables.order[0].refundedAmount, 47.75);
+  });
+
+  it('settles a refund Stripe left pending when charge.refund.updated reports it', async () => {
+    stripe.refundPayment = async (paymentIntentId, amount) =>
+      ({ success: true, refundId: 're_1', amount, status: 'pending' });
+
+    const { refund } = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    assert.equal(refund.status, 'PENDING');
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+
+    await deliver('charge.refund.updated', stripeRefund({ metadata: { refundId: String(refund.id), orderId: '1' } }));
+
+    assert.equal(prisma.$tables.refund[0].status, 'SUCCEEDED');
+    assert.deepEqual(refundEntries().map(entry => entry.status), ['SUCCEEDED']);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'REFUNDED');
+  });
+
+  it('gives the reservation back when Stripe rejects the refund', async () => {
+    stripe.refundPayment = async () => ({ success: false, error: 'Charge already refunded' });
+
+    const result = await issueRefund(prisma, loadOrder(), { reason: 'Cold food' });
+
+    assert.equal(result.status, 502);
+    assert.equal(result.refund.status, 'FAILED');
+    assert.deepEqual(refundEntries().map(entry => entry.status), ['FAILED']);
+    assert.equal(prisma.$tables.order[0].refundedAmount, 0);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PAID');
+  });
+
+  it('books a dashboard refund once, however many events report it', async () => {
+    stripe.refunds = [stripeRefund({ id: 're_dashboard', amount: 1000 })];
+    const charge = chargeRefunded({ amount_refunded: 1000, refunded: false });
+
+    await deliver('charge.refunded', charge);
+    await deliver('charge.refunded', charge);
+
+    assert.deepEqual(refundEntries().map(entry => [entry.externalId, entry.amount]), [['re_dashboard', 10]]);
+    assert.equal(prisma.$tables.order[0].refundedAmount, 10);
+    assert.equal(prisma.$tables.order[0].paymentStatus, 'PARTIALLY_REFUNDED');
+  });
+});